@@ -0,0 +1,149 @@
+import supabase from './src/config/supabase.js';
+import { encryptSecret, decryptSecret, fingerprintSecret } from './src/utils/encryption.js';
+import { NODE_SECRET_FIELDS } from './src/services/credentialService.js';
+
+/**
+ * One-off: move inline HTTP node secrets (drafts and published snapshots) into the
+ * credential vault, and fingerprint credentials created before fingerprints existed.
+ * Run once after the 20240615 and 20240616 migrations: node move-inline-secrets.js
+ * Running it again changes nothing.
+ */
+
+const parseProperties = (properties) => (
+  typeof properties === 'string' ? JSON.parse(properties) : properties || {}
+);
+
+/**
+ * The credential an inline auth setup stands for, or null when its secrets are unused
+ */
+const toCredential = (properties) => {
+  const { authType, bearerToken, basicUsername, basicPassword, apiKeyHeader, apiKeyValue } = properties;
+
+  if (authType === 'bearer' && bearerToken) {
+    return { type: 'bearer', secret: { token: bearerToken }, metadata: {} };
+  }
+  if (authType === 'basic' && basicUsername && basicPassword) {
+    return { type: 'basic', secret: { username: basicUsername, password: basicPassword }, metadata: { username: basicUsername } };
+  }
+  if (authType === 'apikey' && apiKeyHeader && apiKeyValue) {
+    return { type: 'apikey', secret: { value: apiKeyValue }, metadata: { headerName: apiKeyHeader } };
+  }
+  return null;
+};
+
+const credentialKey = (type, fingerprint, metadata) => `${type}:${fingerprint}:${JSON.stringify(metadata || {})}`;
+
+async function fingerprintCredentials() {
+  const { data, error } = await supabase
+    .from('credentials')
+    .select('id, encrypted_data')
+    .is('secret_fingerprint', null);
+
+  if (error) throw error;
+
+  for (const credential of data || []) {
+    const { error: updateError } = await supabase
+      .from('credentials')
+      .update({ secret_fingerprint: fingerprintSecret(decryptSecret(credential.encrypted_data)) })
+      .eq('id', credential.id);
+
+    if (updateError) throw updateError;
+  }
+
+  console.log(`✓ Fingerprinted ${(data || []).length} credential(s)`);
+}
+
+async function moveInlineSecrets() {
+  const { data: credentials, error: credentialsError } = await supabase
+    .from('credentials')
+    .select('id, type, metadata, secret_fingerprint');
+
+  if (credentialsError) throw credentialsError;
+
+  // Nodes with the same secret share one credential
+  const credentialIds = new Map((credentials || []).map((credential) => [
+    credentialKey(credential.type, credential.secret_fingerprint, credential.metadata),
+    credential.id,
+  ]));
+
+  const ensureCredential = async (node, { type, secret, metadata }) => {
+    const fingerprint = fingerprintSecret(secret);
+    const key = credentialKey(type, fingerprint, metadata);
+    if (credentialIds.has(key)) return credentialIds.get(key);
+
+    const { data, error } = await supabase
+      .from('credentials')
+      .insert({
+        name: `${node.name || 'HTTP node'} (${fingerprint.slice(0, 6)})`,
+        type,
+        encrypted_data: encryptSecret(secret),
+        metadata,
+        secret_fingerprint: fingerprint,
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔐 Created credential "${node.name || 'HTTP node'} (${fingerprint.slice(0, 6)})"`);
+    credentialIds.set(key, data.id);
+    return data.id;
+  };
+
+  const moveNode = async (node, versionId) => {
+    const properties = parseProperties(node.properties);
+    if (!NODE_SECRET_FIELDS.some((field) => properties[field])) return false;
+
+    const credential = toCredential(properties);
+    const credentialId = credential ? await ensureCredential(node, credential) : null;
+
+    const { error } = await supabase.rpc('replace_inline_secrets', {
+      p_node_id: node.id,
+      p_version_id: versionId,
+      p_credential_id: credentialId,
+    });
+
+    if (error) throw error;
+    return true;
+  };
+
+  const { data: nodes, error: nodesError } = await supabase
+    .from('nodes')
+    .select('id, name, properties')
+    .eq('type', 'http');
+
+  if (nodesError) throw nodesError;
+
+  let draftCount = 0;
+  for (const node of nodes || []) {
+    if (await moveNode(node, null)) draftCount += 1;
+  }
+  console.log(`✓ Moved inline secrets of ${draftCount} draft node(s)`);
+
+  const { data: versions, error: versionsError } = await supabase
+    .from('flow_versions')
+    .select('id, nodes');
+
+  if (versionsError) throw versionsError;
+
+  let snapshotCount = 0;
+  for (const version of versions || []) {
+    for (const node of (version.nodes || []).filter((snapshot) => snapshot.type === 'http')) {
+      if (await moveNode(node, version.id)) snapshotCount += 1;
+    }
+  }
+  console.log(`✓ Moved inline secrets of ${snapshotCount} published node snapshot(s)`);
+}
+
+async function main() {
+  try {
+    await fingerprintCredentials();
+    await moveInlineSecrets();
+    console.log('\n✅ Inline secrets are in the vault');
+  } catch (error) {
+    console.error('❌ Moving inline secrets failed:', error.message || error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -15,6 +15,9 @@ import messageRoutes from './routes/messages.js';
 import webhookRoutes from './routes/webhooks.js';
 import templateRoutes from './routes/templates.js';
 import conversationRoutes from './routes/conversations.js';
+import mediaRoutes from './routes/media.js';
+import credentialRoutes from './routes/credentials.js';
+import consentRoutes from './routes/consents.js';
 
 // Load environment variables
 dotenv.config();
@@ -46,6 +49,9 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/consents', consentRoutes);
 
 /**
  * Health check endpoint
@@ -0,0 +1,40 @@
+import supabase from '../config/supabase.js';
+import { getFlowFunnel, parseDateRange } from '../services/analyticsService.js';
+
+/**
+ * Get Per-Node Funnel Analytics of a Flow
+ * Query: from, to (ISO dates; defaults to the last 30 days)
+ */
+export const getFlowAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const range = parseDateRange(req.query.from, req.query.to);
+
+    if (!range) {
+      res.status(400).json({ success: false, message: 'from and to must be valid dates, with from before to' });
+      return;
+    }
+
+    const { data: flow, error } = await supabase
+      .from('flows')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const funnel = await getFlowFunnel(id, range);
+
+    res.status(200).json({
+      success: true,
+      data: funnel,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
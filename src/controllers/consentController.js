@@ -0,0 +1,108 @@
+import { sendSuccess, sendError } from '../utils/response.js';
+import { CONSENT_SOURCES, listConsents, setConsent, normalizePhoneNumber } from '../services/consentService.js';
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// Helper to convert snake_case to camelCase for a consent record
+const mapConsent = (consent) => ({
+  id: consent.id,
+  phoneNumber: consent.phone_number,
+  status: consent.status,
+  source: consent.source,
+  keyword: consent.keyword,
+  notes: consent.notes,
+  optedOutAt: consent.opted_out_at,
+  optedInAt: consent.opted_in_at,
+  updatedAt: consent.updated_at,
+});
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// First column of each CSV line, skipping a header row
+const parseCsvNumbers = (csv) => String(csv || '')
+  .split(/\r?\n/)
+  .map((line) => line.split(',')[0].replace(/"/g, '').trim())
+  .filter((value) => value && /\d/.test(value));
+
+// List consent records (?status=opted_out|opted_in|all, default opted_out)
+export const getConsents = async (req, res) => {
+  try {
+    const consents = await listConsents({ status: req.query.status || 'opted_out' });
+    return sendSuccess(res, consents.map(mapConsent), 'Consent records fetched successfully');
+  } catch (error) {
+    console.error('Get consents error:', error);
+    return sendError(res, error.message || 'Failed to fetch consent records', 500);
+  }
+};
+
+// Opt a single number out or back in
+export const updateConsent = async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { status, source = 'api', notes } = req.body;
+
+    if (!CONSENT_STATUSES.includes(status)) {
+      return sendError(res, `status must be one of: ${CONSENT_STATUSES.join(', ')}`, 400);
+    }
+    if (!CONSENT_SOURCES.includes(source)) {
+      return sendError(res, `source must be one of: ${CONSENT_SOURCES.join(', ')}`, 400);
+    }
+    if (!normalizePhoneNumber(phoneNumber)) {
+      return sendError(res, 'A valid phone number is required', 400);
+    }
+
+    const [consent] = await setConsent(phoneNumber, status, { source, notes: notes || null });
+    return sendSuccess(res, mapConsent(consent), 'Consent updated successfully');
+  } catch (error) {
+    console.error('Update consent error:', error);
+    return sendError(res, error.message || 'Failed to update consent', 500);
+  }
+};
+
+// Import opt-outs from { phoneNumbers: [...] } or { csv: "phone_number\n..." }
+export const importOptOuts = async (req, res) => {
+  try {
+    const { phoneNumbers, csv, notes } = req.body;
+    const numbers = Array.isArray(phoneNumbers) ? phoneNumbers : parseCsvNumbers(csv);
+
+    if (numbers.length === 0) {
+      return sendError(res, 'Provide phoneNumbers or csv with at least one number', 400);
+    }
+
+    const imported = await setConsent(numbers, 'opted_out', { source: 'import', notes: notes || null });
+    return sendSuccess(res, { imported: imported.length }, `${imported.length} number(s) opted out`, 201);
+  } catch (error) {
+    console.error('Import opt-outs error:', error);
+    return sendError(res, error.message || 'Failed to import opt-outs', 500);
+  }
+};
+
+// Export the opt-out list as CSV (or JSON with ?format=json)
+export const exportOptOuts = async (req, res) => {
+  try {
+    const consents = await listConsents({ status: 'opted_out' });
+
+    if (req.query.format === 'json') {
+      return sendSuccess(res, consents.map(mapConsent), 'Opt-out list exported successfully');
+    }
+
+    const header = 'phone_number,opted_out_at,source,keyword,notes';
+    const lines = consents.map((consent) => [
+      consent.phone_number,
+      consent.opted_out_at,
+      consent.source,
+      consent.keyword,
+      consent.notes,
+    ].map(escapeCsv).join(','));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="opt-outs.csv"');
+    return res.status(200).send([header, ...lines].join('\n'));
+  } catch (error) {
+    console.error('Export opt-outs error:', error);
+    return sendError(res, error.message || 'Failed to export opt-outs', 500);
+  }
+};
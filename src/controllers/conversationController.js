@@ -1,5 +1,8 @@
 import supabase from '../config/supabase.js';
 import axios from 'axios';
+import { handOffContact } from '../services/handoffService.js';
+import { isOptedOut } from '../services/consentService.js';
+import { getConversationTrace as getExecutionTrace } from '../services/traceService.js';
 
 // In-memory cache for last user interaction times
 // Structure: { phoneNumber: { timestamp: Date, cachedAt: Date } }
@@ -143,6 +146,31 @@ export const getConversationMessages = async (req, res) => {
   }
 };
 
+/**
+ * Get the engine's execution trace for a phone number
+ * Query: sessionId (one session), limit (number of recent sessions, default 5)
+ */
+export const getConversationTrace = async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { sessionId } = req.query;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 50);
+
+    const data = await getExecutionTrace(phoneNumber, { sessionId, limit });
+
+    res.status(200).json({ 
+      success: true, 
+      data 
+    });
+  } catch (error) {
+    console.error('[Conversation] Error fetching execution trace:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch execution trace' 
+    });
+  }
+};
+
 /**
  * Send manual message from conversation chat
  */
@@ -159,6 +187,15 @@ export const sendConversationMessage = async (req, res) => {
       });
     }
 
+    // Never message numbers that asked us to stop
+    if (await isOptedOut(phoneNumber)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Cannot send message: number has opted out',
+        reason: 'opted_out'
+      });
+    }
+
     // Check 24-hour messaging window (WhatsApp Policy)
     const lastMessageTime = await getLastUserInteraction(phoneNumber);
 
@@ -273,6 +310,13 @@ export const sendConversationMessage = async (req, res) => {
       console.log('[Conversation] Message stored:', conversationData?.id);
     }
 
+    // An agent replied - stop the bot answering this contact in parallel
+    try {
+      await handOffContact(phoneNumber, { reason: 'agent_reply', assignedTo: req.user?.username || null });
+    } catch (handoffError) {
+      console.error('[Conversation] Error handing off contact:', handoffError);
+    }
+
     if (status === 'sent') {
       res.status(200).json({ 
         success: true, 
@@ -298,8 +342,9 @@ export const sendConversationMessage = async (req, res) => {
 
 /**
  * Store bot message in conversations (called from flowEngine)
+ * options.contentType / options.payload record non-text sends (media, interactive)
  */
-export const storeBotMessage = async (phoneNumber, message, flowId, nodeId, waMessageId, status = 'sent') => {
+export const storeBotMessage = async (phoneNumber, message, flowId, nodeId, waMessageId, status = 'sent', options = {}) => {
   try {
     console.log('[Conversation] Storing bot message:', { 
       phoneNumber, 
@@ -318,7 +363,9 @@ export const storeBotMessage = async (phoneNumber, message, flowId, nodeId, waMe
       status: status,
       wati_message_id: waMessageId,
       flow_id: flowId,
-      node_id: nodeId
+      node_id: nodeId,
+      content_type: options.contentType || 'text',
+      payload: options.payload || null
     });
     
     if (result.error) {
@@ -333,15 +380,19 @@ export const storeBotMessage = async (phoneNumber, message, flowId, nodeId, waMe
 
 /**
  * Store user message in conversations (called from webhook)
+ * options.contentType / options.payload / options.waMessageId come from the normalized inbound message
  */
-export const storeUserMessage = async (phoneNumber, message) => {
+export const storeUserMessage = async (phoneNumber, message, options = {}) => {
   try {
     await supabase.from('conversations').insert({
       phone_number: phoneNumber,
       message: message,
       message_type: 'user',
       direction: 'received',
-      status: 'received'
+      status: 'received',
+      wati_message_id: options.waMessageId || null,
+      content_type: options.contentType || 'text',
+      payload: options.payload || null
     });
     
     // Update cache with new user interaction
@@ -0,0 +1,199 @@
+import supabase from '../config/supabase.js';
+import { sendSuccess, sendError } from '../utils/response.js';
+import { encryptSecret, fingerprintSecret } from '../utils/encryption.js';
+
+const CREDENTIAL_TYPES = ['bearer', 'basic', 'apikey'];
+
+// Helper to convert snake_case to camelCase for Credential (never includes the secret)
+const mapCredential = (credential) => ({
+  id: credential.id,
+  name: credential.name,
+  type: credential.type,
+  metadata: credential.metadata || {},
+  fingerprint: credential.secret_fingerprint || null,
+  createdAt: credential.created_at,
+  updatedAt: credential.updated_at,
+  rotatedAt: credential.rotated_at,
+});
+
+/**
+ * Build the secret payload and non-secret metadata for a credential type.
+ * Returns { error } when required fields are missing.
+ */
+const buildSecret = (type, body) => {
+  if (type === 'bearer') {
+    if (!body.token) return { error: 'token is required for bearer credentials' };
+    return { secret: { token: body.token }, metadata: {} };
+  }
+  if (type === 'basic') {
+    if (!body.username || !body.password) return { error: 'username and password are required for basic credentials' };
+    return { secret: { username: body.username, password: body.password }, metadata: { username: body.username } };
+  }
+  if (type === 'apikey') {
+    if (!body.value) return { error: 'value is required for API key credentials' };
+    return { secret: { value: body.value }, metadata: { headerName: body.headerName || 'X-API-Key' } };
+  }
+  return { error: `type must be one of: ${CREDENTIAL_TYPES.join(', ')}` };
+};
+
+/**
+ * HTTP nodes that reference a credential
+ */
+const findCredentialUsage = async (credentialId) => {
+  const { data, error } = await supabase
+    .from('nodes')
+    .select('id, name, flow_id')
+    .eq('type', 'http')
+    .eq('properties->>credentialId', credentialId);
+
+  if (error) throw error;
+  return data || [];
+};
+
+// Get all credentials (masked)
+export const getCredentials = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('credentials')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    return sendSuccess(res, (data || []).map(mapCredential), 'Credentials fetched successfully');
+  } catch (error) {
+    console.error('Get credentials error:', error);
+    return sendError(res, error.message || 'Failed to fetch credentials', 500);
+  }
+};
+
+// Create a credential
+export const createCredential = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+
+    if (!name) {
+      return sendError(res, 'name is required', 400);
+    }
+
+    const { secret, metadata, error: secretError } = buildSecret(type, req.body);
+    if (secretError) {
+      return sendError(res, secretError, 400);
+    }
+
+    const { data, error } = await supabase
+      .from('credentials')
+      .insert({
+        name,
+        type,
+        encrypted_data: encryptSecret(secret),
+        metadata,
+        secret_fingerprint: fingerprintSecret(secret),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return sendSuccess(res, mapCredential(data), 'Credential created successfully', 201);
+  } catch (error) {
+    console.error('Create credential error:', error);
+    return sendError(res, error.message || 'Failed to create credential', 500);
+  }
+};
+
+// Rename and/or rotate a credential. Flows reference it by id, so a rotation applies everywhere at once.
+export const updateCredential = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('credentials')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return sendError(res, 'Credential not found', 404);
+    }
+
+    const now = new Date().toISOString();
+    const updates = { updated_at: now };
+    if (name !== undefined) updates.name = name;
+
+    const rotating = ['token', 'password', 'value'].some((field) => req.body[field] !== undefined);
+    if (rotating) {
+      const type = req.body.type || existing.type;
+      const { secret, metadata, error: secretError } = buildSecret(type, {
+        ...existing.metadata,
+        ...req.body,
+      });
+      if (secretError) {
+        return sendError(res, secretError, 400);
+      }
+
+      updates.type = type;
+      updates.encrypted_data = encryptSecret(secret);
+      updates.metadata = metadata;
+      updates.secret_fingerprint = fingerprintSecret(secret);
+      updates.rotated_at = now;
+    } else if (req.body.headerName !== undefined && existing.type === 'apikey') {
+      updates.metadata = { ...existing.metadata, headerName: req.body.headerName };
+    }
+
+    const { data, error } = await supabase
+      .from('credentials')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const usage = await findCredentialUsage(id);
+    const message = rotating
+      ? `Credential rotated (used by ${usage.length} node${usage.length === 1 ? '' : 's'})`
+      : 'Credential updated successfully';
+
+    return sendSuccess(res, { ...mapCredential(data), usage }, message);
+  } catch (error) {
+    console.error('Update credential error:', error);
+    return sendError(res, error.message || 'Failed to update credential', 500);
+  }
+};
+
+// List the HTTP nodes that use a credential
+export const getCredentialUsage = async (req, res) => {
+  try {
+    const usage = await findCredentialUsage(req.params.id);
+    return sendSuccess(res, usage, 'Credential usage fetched successfully');
+  } catch (error) {
+    console.error('Get credential usage error:', error);
+    return sendError(res, error.message || 'Failed to fetch credential usage', 500);
+  }
+};
+
+// Delete a credential that no node uses
+export const deleteCredential = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const usage = await findCredentialUsage(id);
+    if (usage.length > 0) {
+      return sendError(res, `Credential is used by ${usage.length} HTTP node(s)`, 409);
+    }
+
+    const { error } = await supabase
+      .from('credentials')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    return sendSuccess(res, null, 'Credential deleted successfully');
+  } catch (error) {
+    console.error('Delete credential error:', error);
+    return sendError(res, error.message || 'Failed to delete credential', 500);
+  }
+};
@@ -1,4 +1,10 @@
 import supabase from '../config/supabase.js';
+import { clearTriggerCache } from '../services/triggerRouter.js';
+import { maskNodeSecrets } from '../services/credentialService.js';
+import { collectFlowVariables, validateFlow as validateFlowGraph, validateVersion } from '../services/flowValidator.js';
+import { getPublishedVersionId } from '../services/flowVersionService.js';
+import { getFlowEdges, setStartNode, mapEdge } from '../services/edgeService.js';
+import { exportFlow as buildFlowDocument, importFlow as createFlowFromDocument, validateFlowDocument } from '../services/flowTransferService.js';
 
 // Helper to convert snake_case to camelCase for Flow
 const mapFlow = (flow) => ({
@@ -8,8 +14,17 @@ const mapFlow = (flow) => ({
   description: flow.description,
   triggerType: flow.trigger_type,
   triggerValue: flow.trigger_value,
+  triggerMatchType: flow.trigger_match_type,
+  triggerCaseSensitive: flow.trigger_case_sensitive,
+  triggerPriority: flow.trigger_priority,
+  isDefault: flow.is_default,
+  reminderAfterMinutes: flow.reminder_after_minutes,
+  reminderMessage: flow.reminder_message,
+  sessionTimeoutHours: flow.session_timeout_hours,
   isActive: flow.is_active,
+  publishedVersionId: flow.published_version_id,
   firstNodeId: flow.first_node_id,
+  revision: flow.revision,
   createdAt: flow.created_at,
   updatedAt: flow.updated_at,
 });
@@ -21,7 +36,7 @@ const mapNode = (node) => ({
   flowId: node.flow_id,
   type: node.type,
   name: node.name,
-  properties: node.properties,
+  properties: maskNodeSecrets(node.properties),
   connections: node.connections,
   position: node.position,
   createdAt: node.created_at,
@@ -52,7 +67,18 @@ export const getAllFlows = async (req, res) => {
  */
 export const createFlow = async (req, res) => {
   try {
-    const { name, description, triggerType, triggerValue } = req.body;
+    const {
+      name,
+      description,
+      triggerType,
+      triggerValue,
+      triggerMatchType,
+      triggerCaseSensitive,
+      triggerPriority,
+      reminderAfterMinutes,
+      reminderMessage,
+      sessionTimeoutHours,
+    } = req.body;
 
     const { data, error } = await supabase
       .from('flows')
@@ -61,12 +87,20 @@ export const createFlow = async (req, res) => {
         description,
         trigger_type: triggerType,
         trigger_value: triggerValue,
+        trigger_match_type: triggerMatchType || 'contains_word',
+        trigger_case_sensitive: triggerCaseSensitive === true,
+        trigger_priority: triggerPriority || 0,
+        reminder_after_minutes: reminderAfterMinutes || null,
+        reminder_message: reminderMessage || null,
+        session_timeout_hours: sessionTimeoutHours || null,
       })
       .select()
       .single();
 
     if (error) throw error;
 
+    clearTriggerCache();
+
     res.status(201).json({ success: true, data: mapFlow(data) });
   } catch (error) {
     console.error(error);
@@ -101,12 +135,15 @@ export const getFlowById = async (req, res) => {
 
     if (nodesError) throw nodesError;
 
+    const edges = await getFlowEdges(id);
+
     // Add virtual start node with connections to first real node
     const allNodes = nodes ? [...nodes] : [];
     
     // Create start node with connection to first node if exists
-    const startNodeConnections = flow.first_node_id 
-      ? [{ targetNodeId: flow.first_node_id }]
+    const firstNodeId = edges.find((edge) => !edge.source_node_id)?.target_node_id || flow.first_node_id;
+    const startNodeConnections = firstNodeId
+      ? [{ targetNodeId: firstNodeId }]
       : [];
     
     const startNode = {
@@ -130,6 +167,7 @@ export const getFlowById = async (req, res) => {
         ...mapFlow(flow),
         webhookUrl: `${process.env.API_URL || 'http://localhost:3001'}/api/webhooks/trigger/${id}`,
         nodes: [startNode, ...allNodes.map(mapNode)],
+        edges: edges.map(mapEdge),
       },
     });
   } catch (error) {
@@ -144,17 +182,73 @@ export const getFlowById = async (req, res) => {
 export const updateFlow = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, triggerType, triggerValue, isActive, firstNodeId } = req.body;
+    const {
+      name,
+      description,
+      triggerType,
+      triggerValue,
+      triggerMatchType,
+      triggerCaseSensitive,
+      triggerPriority,
+      isDefault,
+      reminderAfterMinutes,
+      reminderMessage,
+      sessionTimeoutHours,
+      isActive,
+      firstNodeId,
+    } = req.body;
 
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
     if (triggerType !== undefined) updates.trigger_type = triggerType;
     if (triggerValue !== undefined) updates.trigger_value = triggerValue;
+    if (triggerMatchType !== undefined) updates.trigger_match_type = triggerMatchType;
+    if (triggerCaseSensitive !== undefined) updates.trigger_case_sensitive = triggerCaseSensitive;
+    if (triggerPriority !== undefined) updates.trigger_priority = triggerPriority;
+    if (isDefault !== undefined) updates.is_default = isDefault;
+    if (reminderAfterMinutes !== undefined) updates.reminder_after_minutes = reminderAfterMinutes || null;
+    if (reminderMessage !== undefined) updates.reminder_message = reminderMessage || null;
+    if (sessionTimeoutHours !== undefined) updates.session_timeout_hours = sessionTimeoutHours || null;
     if (isActive !== undefined) updates.is_active = isActive;
-    if (firstNodeId !== undefined) updates.first_node_id = firstNodeId;
     updates.updated_at = new Date().toISOString();
 
+    // Sessions only run published versions, so a flow goes live once it has one without
+    // validation errors. Checked before anything is written.
+    if (isActive === true) {
+      const versionId = await getPublishedVersionId(id);
+      if (!versionId) {
+        res.status(409).json({ success: false, message: 'Publish the flow before activating it' });
+        return;
+      }
+
+      const validation = await validateVersion(versionId);
+      if (!validation.valid) {
+        res.status(422).json({
+          success: false,
+          message: 'Flow has validation errors and cannot be activated',
+          data: validation,
+        });
+        return;
+      }
+    }
+
+    // Only one flow can be the default fallback
+    if (isDefault === true) {
+      const { error: resetError } = await supabase
+        .from('flows')
+        .update({ is_default: false })
+        .eq('is_default', true)
+        .neq('id', id);
+
+      if (resetError) throw resetError;
+    }
+
+    // The start edge decides where the flow begins; it is saved together with first_node_id
+    if (firstNodeId !== undefined) {
+      await setStartNode(id, firstNodeId || null);
+    }
+
     const { data, error } = await supabase
       .from('flows')
       .update(updates)
@@ -164,6 +258,8 @@ export const updateFlow = async (req, res) => {
 
     if (error) throw error;
 
+    clearTriggerCache();
+
     res.status(200).json({ success: true, data: mapFlow(data) });
   } catch (error) {
     console.error(error);
@@ -186,6 +282,8 @@ export const deleteFlow = async (req, res) => {
 
     if (error) throw error;
 
+    clearTriggerCache();
+
     res.status(200).json({ success: true, message: 'Flow removed' });
   } catch (error) {
     console.error(error);
@@ -209,49 +307,14 @@ export const getFlowVariables = async (req, res) => {
 
     if (error) throw error;
 
-    const variables = [];
-
-    // Scan nodes for variables
-    if (nodes) {
-      nodes.forEach(node => {
-        const properties = node.properties || {};
-
-        // Input nodes create variables
-        if (node.type === 'input' && properties.variableName) {
-          variables.push({
-            name: properties.variableName,
-            type: properties.inputType || 'text',
-            description: `User input from: ${node.name || 'Input node'}`,
-            source: 'input',
-            nodeId: node.id
-          });
-        }
-
-        // HTTP nodes create variables
-        if (node.type === 'http' && properties.responseVariable) {
-          variables.push({
-            name: properties.responseVariable,
-            type: 'object',
-            description: `API response data from: ${properties.label || properties.url || 'HTTP request'}`,
-            source: 'http',
-            nodeId: node.id
-          });
-        }
-      });
-    }
-
-    // Add default system variables
-    const systemVariables = [
-      { name: 'phone_number', type: 'string', description: 'User phone number', source: 'system' },
-      { name: 'customer_name', type: 'string', description: 'Customer name', source: 'system' },
-      { name: 'email', type: 'string', description: 'Email address', source: 'system' }
-    ];
+    // System variables plus those set by input, HTTP and subflow nodes
+    const variables = collectFlowVariables(nodes || []);
 
     res.status(200).json({
       success: true,
       data: {
         flowId: id,
-        variables: [...systemVariables, ...variables]
+        variables
       }
     });
   } catch (error) {
@@ -259,3 +322,84 @@ export const getFlowVariables = async (req, res) => {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
+
+/**
+ * Validate a Flow's Node Graph
+ */
+export const validateFlow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: flow, error } = await supabase
+      .from('flows')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const validation = await validateFlowGraph(id);
+
+    res.status(200).json({ success: true, data: validation });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Export a Flow as a Portable JSON Document
+ */
+export const exportFlow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const document = await buildFlowDocument(id);
+
+    if (!document) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const filename = (document.flow.name || 'flow').replace(/[^\w-]+/g, '-').toLowerCase();
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.status(200).json(document);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Import a Flow from an Exported Document (created inactive)
+ */
+export const importFlow = async (req, res) => {
+  try {
+    const { valid, error: documentError } = validateFlowDocument(req.body);
+
+    if (!valid) {
+      res.status(400).json({ success: false, message: documentError });
+      return;
+    }
+
+    const { flow, nodes, edges, warnings } = await createFlowFromDocument(req.body, { name: req.query.name });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...mapFlow(flow),
+        nodes: nodes.map(mapNode),
+        edges: edges.map(mapEdge),
+      },
+      warnings,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
@@ -0,0 +1,148 @@
+import supabase from '../config/supabase.js';
+import {
+  listVersions,
+  getVersion,
+  publishFlow as publishFlowVersion,
+  rollbackFlow as rollbackFlowVersion,
+} from '../services/flowVersionService.js';
+import { validateFlow as validateDraft, validateVersion } from '../services/flowValidator.js';
+
+// Helper to convert snake_case to camelCase for a flow version
+const mapVersion = (version, publishedVersionId) => ({
+  id: version.id,
+  flowId: version.flow_id,
+  versionNumber: version.version_number,
+  publishedBy: version.published_by,
+  publishedAt: version.published_at,
+  notes: version.notes,
+  rolledBackFrom: version.rolled_back_from,
+  nodeCount: Array.isArray(version.nodes) ? version.nodes.length : undefined,
+  isPublished: version.id === publishedVersionId,
+});
+
+const getFlow = async (id) => {
+  const { data, error } = await supabase
+    .from('flows')
+    .select('id, published_version_id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get Versions of a Flow
+ */
+export const getFlowVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const flow = await getFlow(id);
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const versions = await listVersions(id);
+
+    res.status(200).json({
+      success: true,
+      data: versions.map((version) => mapVersion(version, flow.published_version_id)),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Publish the Draft
+ */
+export const publishFlow = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const flow = await getFlow(id);
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    // The draft becomes what every new session runs, so it has to be valid
+    const validation = await validateDraft(id);
+    if (!validation.valid) {
+      res.status(422).json({
+        success: false,
+        message: 'Flow has validation errors and cannot be published',
+        data: validation,
+      });
+      return;
+    }
+
+    const version = await publishFlowVersion(id, {
+      publishedBy: req.user?.username || null,
+      notes: req.body?.notes || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: mapVersion(version, version.id),
+      message: `Published version ${version.version_number}`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Roll Back to an Earlier Version (re-published as a new version)
+ */
+export const rollbackFlow = async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+
+    const flow = await getFlow(id);
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const target = await getVersion(versionId);
+    if (!target || target.flow_id !== id) {
+      res.status(404).json({ success: false, message: 'Version not found for this flow' });
+      return;
+    }
+
+    // Older versions may predate checks added since; do not put a broken graph back live
+    const validation = await validateVersion(versionId);
+    if (!validation.valid) {
+      res.status(422).json({
+        success: false,
+        message: 'This version has validation errors and cannot be rolled back to',
+        data: validation,
+      });
+      return;
+    }
+
+    const version = await rollbackFlowVersion(id, versionId, {
+      publishedBy: req.user?.username || null,
+      notes: req.body?.notes || null,
+    });
+
+    if (!version) {
+      res.status(404).json({ success: false, message: 'Version not found for this flow' });
+      return;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: mapVersion(version, version.id),
+      message: `Rolled back - published as version ${version.version_number}`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
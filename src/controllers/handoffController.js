@@ -0,0 +1,84 @@
+import { listQueue } from '../services/handoffService.js';
+import { resumeBotForContact, closeConversationForContact } from '../services/flowEngine.js';
+
+// Helper to convert snake_case to camelCase for queue entries
+const mapQueueEntry = (entry) => ({
+  id: entry.id,
+  phoneNumber: entry.phone_number,
+  sessionId: entry.session_id,
+  flowId: entry.flow_id,
+  nodeId: entry.node_id,
+  reason: entry.reason,
+  status: entry.status,
+  assignedTo: entry.assigned_to,
+  resolution: entry.resolution,
+  createdAt: entry.created_at,
+  updatedAt: entry.updated_at,
+  closedAt: entry.closed_at,
+});
+
+/**
+ * Get conversations waiting for (or being handled by) an agent
+ */
+export const getAgentQueue = async (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : undefined;
+    const entries = await listQueue(statuses);
+
+    res.status(200).json({
+      success: true,
+      data: entries.map(mapQueueEntry)
+    });
+  } catch (error) {
+    console.error('[Handoff] Error fetching agent queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch agent queue'
+    });
+  }
+};
+
+/**
+ * Hand the conversation back to the bot
+ */
+export const resumeBot = async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const session = await resumeBotForContact(phoneNumber);
+
+    res.status(200).json({
+      success: true,
+      message: 'Bot resumed',
+      data: session ? { sessionId: session.id, status: session.status, currentNodeId: session.current_node_id } : null
+    });
+  } catch (error) {
+    console.error('[Handoff] Error resuming bot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume bot',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Close the agent conversation and end the contact's session
+ */
+export const closeConversation = async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    await closeConversationForContact(phoneNumber);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation closed'
+    });
+  } catch (error) {
+    console.error('[Handoff] Error closing conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close conversation',
+      error: error.message
+    });
+  }
+};
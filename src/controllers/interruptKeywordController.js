@@ -0,0 +1,93 @@
+import supabase from '../config/supabase.js';
+import { sendSuccess, sendError } from '../utils/response.js';
+import { INTERRUPT_ACTIONS, clearInterruptCache, normalizeKeyword } from '../services/interruptService.js';
+
+// Helper to convert snake_case to camelCase for an interrupt keyword
+const mapInterrupt = (interrupt) => ({
+  id: interrupt.id,
+  action: interrupt.action,
+  keywords: interrupt.keywords || [],
+  reply: interrupt.reply,
+  targetFlowId: interrupt.target_flow_id,
+  isActive: interrupt.is_active,
+  updatedAt: interrupt.updated_at,
+});
+
+// Accept an array or a comma-separated string of synonyms
+const parseKeywords = (keywords) => {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  return [...new Set(list.map(normalizeKeyword).filter(Boolean))];
+};
+
+// Get all interrupt keywords
+export const getInterruptKeywords = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('interrupt_keywords')
+      .select('*');
+
+    if (error) throw error;
+
+    const sorted = (data || []).sort((a, b) => INTERRUPT_ACTIONS.indexOf(a.action) - INTERRUPT_ACTIONS.indexOf(b.action));
+    return sendSuccess(res, sorted.map(mapInterrupt), 'Interrupt keywords fetched successfully');
+  } catch (error) {
+    console.error('Get interrupt keywords error:', error);
+    return sendError(res, error.message || 'Failed to fetch interrupt keywords', 500);
+  }
+};
+
+// Update the synonyms, reply or target flow for one action
+export const updateInterruptKeyword = async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { keywords, reply, targetFlowId, isActive } = req.body;
+
+    if (!INTERRUPT_ACTIONS.includes(action)) {
+      return sendError(res, `action must be one of: ${INTERRUPT_ACTIONS.join(', ')}`, 400);
+    }
+
+    const updates = { action, updated_at: new Date().toISOString() };
+
+    if (keywords !== undefined) {
+      const parsed = parseKeywords(keywords);
+      if (parsed.length === 0) {
+        return sendError(res, 'At least one keyword is required', 400);
+      }
+
+      // The same word cannot trigger two actions
+      const { data: others, error: othersError } = await supabase
+        .from('interrupt_keywords')
+        .select('action, keywords')
+        .neq('action', action);
+
+      if (othersError) throw othersError;
+
+      const clash = (others || []).find((other) => (
+        (other.keywords || []).some((keyword) => parsed.includes(normalizeKeyword(keyword)))
+      ));
+      if (clash) {
+        return sendError(res, `A keyword is already used by the ${clash.action} action`, 409);
+      }
+
+      updates.keywords = parsed;
+    }
+    if (reply !== undefined) updates.reply = reply || null;
+    if (targetFlowId !== undefined) updates.target_flow_id = targetFlowId || null;
+    if (isActive !== undefined) updates.is_active = isActive;
+
+    const { data, error } = await supabase
+      .from('interrupt_keywords')
+      .upsert(updates, { onConflict: 'action' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    clearInterruptCache();
+
+    return sendSuccess(res, mapInterrupt(data), 'Interrupt keyword updated successfully');
+  } catch (error) {
+    console.error('Update interrupt keyword error:', error);
+    return sendError(res, error.message || 'Failed to update interrupt keyword', 500);
+  }
+};
@@ -0,0 +1,127 @@
+import supabase from '../config/supabase.js';
+import { sendSuccess, sendError } from '../utils/response.js';
+import axios from 'axios';
+
+// Helper to convert snake_case to camelCase for Media
+const mapMedia = (media) => ({
+  id: media.id,
+  name: media.name,
+  mediaType: media.media_type,
+  mimeType: media.mime_type,
+  filename: media.filename,
+  sizeBytes: media.size_bytes,
+  whatsappMediaId: media.whatsapp_media_id,
+  createdAt: media.created_at,
+});
+
+/**
+ * Map a MIME type to the WhatsApp media message type
+ */
+const getMediaType = (mimeType) => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+};
+
+// Get all uploaded media
+export const getMedia = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('media_assets')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return sendSuccess(res, (data || []).map(mapMedia), 'Media fetched successfully');
+  } catch (error) {
+    console.error('Get media error:', error);
+    return sendError(res, error.message || 'Failed to fetch media', 500);
+  }
+};
+
+// Upload a file to WhatsApp once and keep its media id for media nodes
+// Body: { name, filename, mimeType, data } where data is base64 (a data: URL is accepted too)
+export const uploadMedia = async (req, res) => {
+  try {
+    const { name, filename, mimeType, data } = req.body;
+
+    if (!mimeType || !data) {
+      return sendError(res, 'mimeType and data (base64) are required', 400);
+    }
+
+    const whatsappToken = process.env.WHATSAPP_TOKEN;
+    const phoneNumberId = process.env.PHONE_NUMBER_ID;
+
+    if (!whatsappToken || !phoneNumberId) {
+      return sendError(res, 'WhatsApp API not configured. Please check environment variables (WHATSAPP_TOKEN, PHONE_NUMBER_ID).', 400);
+    }
+
+    const base64 = String(data).replace(/^data:[^;]+;base64,/, '');
+    const buffer = Buffer.from(base64, 'base64');
+
+    if (buffer.length === 0) {
+      return sendError(res, 'Uploaded file is empty', 400);
+    }
+
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename || name || 'upload');
+
+    const metaResponse = await axios.post(
+      `https://graph.facebook.com/v22.0/${phoneNumberId}/media`,
+      form,
+      {
+        headers: {
+          Authorization: `Bearer ${whatsappToken}`,
+        },
+      }
+    );
+
+    const { data: media, error } = await supabase
+      .from('media_assets')
+      .insert({
+        name: name || filename || 'Untitled media',
+        media_type: getMediaType(mimeType),
+        mime_type: mimeType,
+        filename: filename || null,
+        size_bytes: buffer.length,
+        whatsapp_media_id: metaResponse.data.id,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return sendSuccess(res, mapMedia(media), 'Media uploaded successfully', 201);
+  } catch (error) {
+    console.error('Upload media error:', error);
+    if (error.response) {
+      // Meta API error - return 400 (not 401/403 to avoid login redirect)
+      const metaError = error.response.data?.error?.message || 'Failed to upload media to Meta';
+      return sendError(res, metaError, 400);
+    }
+    return sendError(res, error.message || 'Failed to upload media', 500);
+  }
+};
+
+// Delete uploaded media record
+export const deleteMedia = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from('media_assets')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    return sendSuccess(res, null, 'Media deleted successfully');
+  } catch (error) {
+    console.error('Delete media error:', error);
+    return sendError(res, error.message || 'Failed to delete media', 500);
+  }
+};
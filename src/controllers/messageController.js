@@ -1,5 +1,6 @@
 import supabase from '../config/supabase.js';
 import axios from 'axios';
+import { isOptedOut } from '../services/consentService.js';
 
 /**
  * Send Message (Manual or Test)
@@ -8,6 +9,11 @@ export const sendMessage = async (req, res) => {
   try {
     const { phoneNumber, message, flowId, nodeId } = req.body;
 
+    if (await isOptedOut(phoneNumber)) {
+        res.status(403).json({ success: false, message: 'Cannot send message: number has opted out', reason: 'opted_out' });
+        return;
+    }
+
     // 1. Get WhatsApp API Config
     const { data: config } = await supabase
       .from('api_config')
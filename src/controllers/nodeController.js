@@ -1,5 +1,16 @@
 import supabase from '../config/supabase.js';
 import crypto from 'crypto';
+import { maskNodeSecrets, restoreMaskedSecrets, findInlineSecrets, describeInlineSecrets } from '../services/credentialService.js';
+import {
+  getFlowEdges,
+  deriveEdgesFromLinks,
+  checkEdges,
+  describeHandleConflict,
+  toEdgeRow,
+  setStartNode,
+  mapEdge,
+} from '../services/edgeService.js';
+import { syncFlowGraph, saveNode, bumpFlowRevision } from '../services/flowSyncService.js';
 
 // Helper mapping
 const mapNode = (node) => ({
@@ -8,39 +19,99 @@ const mapNode = (node) => ({
   flowId: node.flow_id,
   type: node.type,
   name: node.name,
-  properties: node.properties,
+  properties: maskNodeSecrets(node.properties),
   connections: node.connections,
   position: node.position,
   createdAt: node.created_at,
   nodeId: node.node_id,
-  previousNodeId: node.previous_node_id,
 });
 
+/**
+ * Older clients link a node through previous_node_id (parent id or handle id): the
+ * incoming edges that link describes, as [{ source_node_id, source_handle }]
+ */
+const getLinkedEdges = async (flowId, node, previousNodeId) => {
+  const { data: flowNodes, error } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('flow_id', flowId);
+
+  if (error) throw error;
+
+  const others = (flowNodes || []).filter((item) => item.id !== node.id);
+  return deriveEdgesFromLinks([...others, { ...node, previous_node_id: previousNodeId || null }])
+    .filter((edge) => edge.target_node_id === node.id)
+    .map(({ source_node_id, source_handle }) => ({ source_node_id, source_handle }));
+};
+
+// A unique violation is either a node id that is taken or a handle another request just connected
+const describeDuplicate = (error) => (
+  error.message?.includes('idx_edges') ? 'That handle already leads to another node' : 'Node already exists'
+);
+
+/**
+ * Answer a saveNode result that was not saved. Returns true when a response was sent.
+ */
+const rejectUnsavedNode = async (res, result) => {
+  if (result.status === 'not_found') {
+    res.status(404).json({ success: false, message: 'Node not found' });
+    return true;
+  }
+  if (result.status === 'root_exists') {
+    res.status(409).json({ success: false, message: 'The flow already has a first node; link this node to a parent instead' });
+    return true;
+  }
+  if (result.status === 'handle_taken') {
+    const { data: source } = await supabase
+      .from('nodes')
+      .select('id, name')
+      .eq('id', result.sourceNodeId)
+      .maybeSingle();
+    res.status(409).json({ success: false, message: describeHandleConflict(source || { id: result.sourceNodeId }, result.sourceHandle) });
+    return true;
+  }
+  return false;
+};
+
 /**
  * Create Node (Single)
+ * The node, its link from previous_node_id and the flow's revision are saved in one transaction.
  */
 export const createNode = async (req, res) => {
   try {
     const { flowId, type, name, position, properties, id, previous_node_id } = req.body;
 
-    const { data, error } = await supabase
-      .from('nodes')
-      .insert({
-        id: id || crypto.randomUUID(),
-        flow_id: flowId,
-        type,
-        name,
-        position,
-        properties,
-        previous_node_id: previous_node_id || null,
-      })
-      .select()
-      .single();
+    if (!flowId) {
+      res.status(400).json({ success: false, message: 'Flow ID required' });
+      return;
+    }
 
-    if (error) throw error;
+    const inlineSecrets = findInlineSecrets(properties);
+    if (inlineSecrets.length > 0) {
+      res.status(400).json({ success: false, message: describeInlineSecrets(inlineSecrets) });
+      return;
+    }
 
-    res.status(201).json({ success: true, data: mapNode(data) });
+    const node = {
+      id: id || crypto.randomUUID(),
+      type,
+      name,
+      position,
+      properties: restoreMaskedSecrets(properties, null),
+    };
+    const incomingEdges = previous_node_id !== undefined
+      ? await getLinkedEdges(flowId, node, previous_node_id)
+      : null;
+
+    const result = await saveNode(flowId, node, { isNew: true, incomingEdges });
+    if (await rejectUnsavedNode(res, result)) return;
+
+    res.status(201).json({ success: true, data: mapNode(result.node), revision: result.revision });
   } catch (error) {
+    if (error.code === '23505') {
+      res.status(409).json({ success: false, message: describeDuplicate(error) });
+      return;
+    }
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
@@ -48,31 +119,52 @@ export const createNode = async (req, res) => {
 
 /**
  * Update Node
+ * The changes, any relink from previous_node_id and the flow's revision are saved in one transaction.
  */
 export const updateNode = async (req, res) => {
   try {
     const { id } = req.params;
     const { name, type, position, properties, connections, previous_node_id } = req.body;
 
-    const updates = {};
-    if (name !== undefined) updates.name = name;
-    if (type !== undefined) updates.type = type;
-    if (position !== undefined) updates.position = position;
-    if (properties !== undefined) updates.properties = properties;
-    if (connections !== undefined) updates.connections = connections;
-    if (previous_node_id !== undefined) updates.previous_node_id = previous_node_id;
+    const inlineSecrets = findInlineSecrets(properties);
+    if (inlineSecrets.length > 0) {
+      res.status(400).json({ success: false, message: describeInlineSecrets(inlineSecrets) });
+      return;
+    }
 
-    const { data, error } = await supabase
+    const { data: existing, error: existingError } = await supabase
       .from('nodes')
-      .update(updates)
+      .select('*')
       .eq('id', id)
-      .select()
-      .single();
+      .maybeSingle();
 
-    if (error) throw error;
+    if (existingError) throw existingError;
+    if (!existing) {
+      res.status(404).json({ success: false, message: 'Node not found' });
+      return;
+    }
+
+    const node = { id };
+    if (name !== undefined) node.name = name;
+    if (type !== undefined) node.type = type;
+    if (position !== undefined) node.position = position;
+    // Secrets come back masked from the API; keep the stored values
+    if (properties !== undefined) node.properties = restoreMaskedSecrets(properties, existing.properties);
+    if (connections !== undefined) node.connections = connections;
+
+    const incomingEdges = previous_node_id !== undefined
+      ? await getLinkedEdges(existing.flow_id, { ...existing, ...node }, previous_node_id)
+      : null;
+
+    const result = await saveNode(existing.flow_id, node, { incomingEdges });
+    if (await rejectUnsavedNode(res, result)) return;
 
-    res.status(200).json({ success: true, data: mapNode(data) });
+    res.status(200).json({ success: true, data: mapNode(result.node), revision: result.revision });
   } catch (error) {
+    if (error.code === '23505') {
+      res.status(409).json({ success: false, message: describeDuplicate(error) });
+      return;
+    }
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
@@ -85,14 +177,17 @@ export const deleteNode = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const { error } = await supabase
+    const { data: removed, error } = await supabase
       .from('nodes')
       .delete()
-      .eq('id', id);
+      .eq('id', id)
+      .select('flow_id');
 
     if (error) throw error;
 
-    res.status(200).json({ success: true, message: 'Node removed' });
+    const revision = await bumpFlowRevision(removed?.[0]?.flow_id);
+
+    res.status(200).json({ success: true, message: 'Node removed', revision });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
@@ -101,111 +196,285 @@ export const deleteNode = async (req, res) => {
 
 /**
  * Batch Update Nodes (Sync Flow)
+ * Body: { flowId, revision, nodes, edges }. The save is applied as one diff. revision is
+ * required (428 without it); when it is not the flow's current revision the save is
+ * rejected with 409 and the stored draft.
+ * Clients that send no edges link nodes through each node's previous_node_id
+ * (parent id or handle id), converted to edges here.
  */
 export const batchUpdateNodes = async (req, res) => {
   try {
-    const { flowId, nodes } = req.body;
+    const { flowId, nodes, edges, revision } = req.body;
 
-    console.log('[Nodes Batch] Request:', { flowId, nodeCount: nodes?.length });
+    console.log('[Nodes Batch] Request:', { flowId, revision, nodeCount: nodes?.length, edgeCount: edges?.length });
 
     if (!flowId) {
       res.status(400).json({ success: false, message: 'Flow ID required' });
       return;
     }
 
-    // 1. Delete existing nodes for this flow
-    console.log('[Nodes Batch] Deleting existing nodes for flow:', flowId);
-    const { error: deleteError } = await supabase
-      .from('nodes')
-      .delete()
-      .eq('flow_id', flowId);
-
-    if (deleteError) {
-      console.error('[Nodes Batch] Delete error:', deleteError);
-      throw deleteError;
+    // Without the revision the client loaded, a stale save could overwrite someone else's
+    if (revision === undefined || revision === null || revision === '' || !Number.isInteger(Number(revision))) {
+      res.status(428).json({ success: false, message: 'revision required: send the revision the flow was loaded at' });
+      return;
     }
 
-    if (!nodes || nodes.length === 0) {
-      console.log('[Nodes Batch] No nodes to insert');
-      res.status(200).json({ success: true, data: [] });
+    const nodeWithSecrets = (nodes || []).find((node) => findInlineSecrets(node.properties).length > 0);
+    if (nodeWithSecrets) {
+      res.status(400).json({
+        success: false,
+        message: describeInlineSecrets(findInlineSecrets(nodeWithSecrets.properties), nodeWithSecrets.name || nodeWithSecrets.id),
+      });
       return;
     }
 
-    // 2. Prepare nodes for insertion (without previous_node_id first)
-    const nodesToInsert = nodes.map((node) => ({
+    // Keep stored secrets for nodes the client sends back masked
+    const { data: existingNodes, error: existingError } = await supabase
+      .from('nodes')
+      .select('id, node_id, properties')
+      .eq('flow_id', flowId);
+
+    if (existingError) throw existingError;
+
+    const previousProperties = {};
+    const previousNodeIds = {};
+    (existingNodes || []).forEach((node) => {
+      previousProperties[node.id] = node.properties;
+      previousNodeIds[node.id] = node.node_id;
+    });
+
+    const nodeRows = (nodes || []).map((node) => ({
       id: node.id || crypto.randomUUID(),
-      flow_id: flowId,
       type: node.type,
       name: node.name,
       position: node.position,
-      properties: node.properties || {},
+      properties: restoreMaskedSecrets(node.properties || {}, previousProperties[node.id]),
       connections: node.connections || [],
-      previous_node_id: null,
     }));
 
-    console.log('[Nodes Batch] Inserting nodes:', nodesToInsert.length);
-
-    // 3. Insert new nodes (this generates node_id for each)
-    const { data: insertedNodes, error: insertError } = await supabase
-      .from('nodes')
-      .insert(nodesToInsert)
-      .select();
+    if (new Set(nodeRows.map((node) => node.id)).size !== nodeRows.length) {
+      res.status(400).json({ success: false, message: 'Node ids must be unique' });
+      return;
+    }
 
-    if (insertError) {
-      console.error('[Nodes Batch] Insert error:', insertError);
-      throw insertError;
+    const edgeRows = Array.isArray(edges)
+      ? edges.map((edge) => toEdgeRow(flowId, edge))
+      : deriveEdgesFromLinks((nodes || []).map((node, index) => ({
+        ...nodeRows[index],
+        node_id: previousNodeIds[nodeRows[index].id],
+        previous_node_id: node.previous_node_id,
+      })));
+
+    const edgeError = checkEdges(nodeRows, edgeRows);
+    if (edgeError) {
+      res.status(400).json({ success: false, message: edgeError });
+      return;
     }
 
-    console.log('[Nodes Batch] Nodes inserted, now updating previous_node_id...');
+    const result = await syncFlowGraph(flowId, { nodes: nodeRows, edges: edgeRows, baseRevision: revision });
 
-    // 4. Create a map of id -> node_id for quick lookup
-    const idToNodeIdMap = {};
-    insertedNodes.forEach(node => {
-      idToNodeIdMap[node.id] = node.node_id;
-    });
+    if (result.status === 'not_found') {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+    if (result.status === 'invalid') {
+      res.status(400).json({ success: false, message: result.error });
+      return;
+    }
+    if (result.status === 'conflict') {
+      console.warn(`[Nodes Batch] Conflict on flow ${flowId}: client revision ${revision}, stored ${result.current.revision}`);
+      res.status(409).json({
+        success: false,
+        message: 'This flow was changed by someone else. Reload it before saving.',
+        revision: result.current.revision,
+        data: result.current.nodes.map(mapNode),
+        edges: result.current.edges.map(mapEdge),
+      });
+      return;
+    }
 
-    // 5. Update previous_node_id for each node
-    const updatePromises = nodes.map(async (node) => {
-      if (node.previous_node_id) {
-        let actualPreviousNodeId = node.previous_node_id;
-        
-        // Check if previous_node_id is a button ID (UUID format but not in our node map)
-        // If it's in our map, it's a node id that needs to be converted to node_id
-        if (idToNodeIdMap[node.previous_node_id]) {
-          actualPreviousNodeId = idToNodeIdMap[node.previous_node_id];
-        }
-        // Otherwise it's already a btn_id, keep it as is
-
-        console.log(`[Nodes Batch] Updating node ${node.id}: previous_node_id = ${actualPreviousNodeId}`);
-
-        const { error: updateError } = await supabase
-          .from('nodes')
-          .update({ previous_node_id: actualPreviousNodeId })
-          .eq('id', node.id);
-
-        if (updateError) {
-          console.error('[Nodes Batch] Update error for node:', node.id, updateError);
-        }
-      }
+    res.status(200).json({
+      success: true,
+      revision: result.revision,
+      changes: result.changes,
+      data: result.nodes.map(mapNode),
+      edges: result.edges.map(mapEdge),
     });
+  } catch (error) {
+    console.error('[Nodes Batch] Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Get Edges of a Flow
+ */
+export const getEdges = async (req, res) => {
+  try {
+    const { flowId } = req.query;
+
+    if (!flowId) {
+      res.status(400).json({ success: false, message: 'Flow ID required' });
+      return;
+    }
 
-    await Promise.all(updatePromises);
+    const edges = await getFlowEdges(flowId);
 
-    // 6. Fetch final updated nodes
-    const { data: finalNodes, error: fetchError } = await supabase
+    res.status(200).json({ success: true, data: edges.map(mapEdge) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Create Edge
+ * Body: { flowId, sourceNodeId, sourceHandle, targetNodeId }; sourceNodeId 'start-node' (or null) is the flow start.
+ * The start edge is saved together with flows.first_node_id; a flow has at most one.
+ */
+export const createEdge = async (req, res) => {
+  try {
+    const { flowId } = req.body;
+
+    if (!flowId) {
+      res.status(400).json({ success: false, message: 'Flow ID required' });
+      return;
+    }
+
+    const edge = toEdgeRow(flowId, req.body);
+
+    const { data: flowNodes, error: nodesError } = await supabase
       .from('nodes')
-      .select()
+      .select('*')
       .eq('flow_id', flowId);
 
-    if (fetchError) {
-      console.error('[Nodes Batch] Fetch error:', fetchError);
-      throw fetchError;
+    if (nodesError) throw nodesError;
+
+    const edgeError = checkEdges(flowNodes || [], [edge]);
+    if (edgeError) {
+      res.status(400).json({ success: false, message: edgeError });
+      return;
+    }
+
+    if (!edge.source_node_id) {
+      const { data: existingStart, error: startError } = await supabase
+        .from('edges')
+        .select('id, target_node_id')
+        .eq('flow_id', flowId)
+        .is('source_node_id', null)
+        .limit(1)
+        .maybeSingle();
+
+      if (startError) throw startError;
+      if (existingStart) {
+        res.status(409).json({
+          success: false,
+          message: existingStart.target_node_id === edge.target_node_id
+            ? 'Edge already exists'
+            : 'The flow already has a first node; remove its start edge first',
+        });
+        return;
+      }
+
+      const revision = await setStartNode(flowId, edge.target_node_id);
+
+      const { data: startEdge, error: fetchError } = await supabase
+        .from('edges')
+        .select('*')
+        .eq('flow_id', flowId)
+        .is('source_node_id', null)
+        .limit(1)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+
+      res.status(201).json({ success: true, data: mapEdge(startEdge), revision });
+      return;
+    }
+
+    // Each handle leads to one node; the existing edge has to be removed first
+    let existingQuery = supabase
+      .from('edges')
+      .select('id, target_node_id')
+      .eq('flow_id', flowId)
+      .eq('source_node_id', edge.source_node_id);
+    existingQuery = edge.source_handle
+      ? existingQuery.eq('source_handle', edge.source_handle)
+      : existingQuery.is('source_handle', null);
+
+    const { data: existing, error: existingError } = await existingQuery.limit(1).maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      const source = flowNodes.find((node) => node.id === edge.source_node_id);
+      res.status(409).json({
+        success: false,
+        message: existing.target_node_id === edge.target_node_id
+          ? 'Edge already exists'
+          : describeHandleConflict(source, edge.source_handle),
+      });
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('edges')
+      .insert(edge)
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      res.status(409).json({ success: false, message: 'Edge already exists' });
+      return;
     }
+    if (error) throw error;
 
-    console.log('[Nodes Batch] Success! Final nodes:', finalNodes?.length);
-    res.status(200).json({ success: true, data: finalNodes.map(mapNode) });
+    const revision = await bumpFlowRevision(flowId);
+
+    res.status(201).json({ success: true, data: mapEdge(data), revision });
   } catch (error) {
-    console.error('[Nodes Batch] Error:', error);
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Delete Edge
+ * Removing the start edge also clears flows.first_node_id.
+ */
+export const deleteEdge = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: edge, error: fetchError } = await supabase
+      .from('edges')
+      .select('id, flow_id, source_node_id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!edge) {
+      res.status(404).json({ success: false, message: 'Edge not found' });
+      return;
+    }
+
+    if (!edge.source_node_id) {
+      const revision = await setStartNode(edge.flow_id, null);
+      res.status(200).json({ success: true, message: 'Edge removed', revision });
+      return;
+    }
+
+    const { error } = await supabase
+      .from('edges')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    const revision = await bumpFlowRevision(edge.flow_id);
+
+    res.status(200).json({ success: true, message: 'Edge removed', revision });
+  } catch (error) {
+    console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
@@ -0,0 +1,137 @@
+import supabase from '../config/supabase.js';
+import {
+  createSimulation as createFlowSimulation,
+  getSimulation,
+  sendSimulatedMessage,
+  getSimulationState,
+  deleteSimulation as discardSimulation,
+} from '../services/simulatorService.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Simulations are addressed under their flow; one from another flow is treated as missing
+const findSimulation = (req, res) => {
+  const { id, simulationId } = req.params;
+  const session = getSimulation(simulationId);
+
+  if (!session || session.simulation.flowId !== id) {
+    res.status(404).json({ success: false, message: 'Simulation not found or expired' });
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Start a Simulation of the Flow's Draft
+ */
+export const createSimulation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variables, httpMocks, contactName, phoneNumber, liveHttp } = req.body || {};
+
+    if ((variables !== undefined && !isPlainObject(variables)) || (httpMocks !== undefined && !isPlainObject(httpMocks))) {
+      res.status(400).json({ success: false, message: 'variables and httpMocks must be objects' });
+      return;
+    }
+    if (liveHttp !== undefined && typeof liveHttp !== 'boolean') {
+      res.status(400).json({ success: false, message: 'liveHttp must be a boolean' });
+      return;
+    }
+
+    const { data: flow, error } = await supabase
+      .from('flows')
+      .select('id')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!flow) {
+      res.status(404).json({ success: false, message: 'Flow not found' });
+      return;
+    }
+
+    const result = await createFlowSimulation(id, { variables, httpMocks, contactName, phoneNumber, liveHttp });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Get a Simulation's Full Transcript
+ */
+export const getSimulationById = async (req, res) => {
+  try {
+    const session = findSimulation(req, res);
+    if (!session) return;
+
+    res.status(200).json({
+      success: true,
+      data: getSimulationState(session),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Send a Simulated Inbound Message
+ * Body: { text } | { buttonId, title } | { listRowId, title } | { message }, plus optional httpMocks and liveHttp
+ */
+export const sendSimulationMessage = async (req, res) => {
+  try {
+    const session = findSimulation(req, res);
+    if (!session) return;
+
+    const { httpMocks, liveHttp } = req.body || {};
+    if (httpMocks !== undefined && !isPlainObject(httpMocks)) {
+      res.status(400).json({ success: false, message: 'httpMocks must be an object' });
+      return;
+    }
+    if (liveHttp !== undefined && typeof liveHttp !== 'boolean') {
+      res.status(400).json({ success: false, message: 'liveHttp must be a boolean' });
+      return;
+    }
+
+    const result = await sendSimulatedMessage(session, req.body || {}, { httpMocks, liveHttp });
+
+    if (!result) {
+      res.status(400).json({ success: false, message: 'Provide text, buttonId, listRowId or message' });
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+/**
+ * Discard a Simulation
+ */
+export const deleteSimulation = async (req, res) => {
+  try {
+    const session = findSimulation(req, res);
+    if (!session) return;
+
+    discardSimulation(session.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Simulation deleted',
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getConsents,
+  updateConsent,
+  importOptOuts,
+  exportOptOuts,
+} from '../controllers/consentController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List consent records (opted-out numbers by default)
+router.get('/', getConsents);
+
+// Export the opt-out list (CSV)
+router.get('/export', exportOptOuts);
+
+// Import opt-outs
+router.post('/import', importOptOuts);
+
+// Opt a number out or back in
+router.put('/:phoneNumber', updateConsent);
+
+export default router;
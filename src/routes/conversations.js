@@ -2,8 +2,14 @@ import express from 'express';
 import { 
   getConversations, 
   getConversationMessages, 
+  getConversationTrace,
   sendConversationMessage 
 } from '../controllers/conversationController.js';
+import {
+  getAgentQueue,
+  resumeBot,
+  closeConversation
+} from '../controllers/handoffController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -14,9 +20,21 @@ router.use(protect);
 // Get all conversations
 router.get('/', getConversations);
 
+// Get conversations handed off to agents
+router.get('/queue', getAgentQueue);
+
 // Get messages for specific phone number
 router.get('/:phoneNumber', getConversationMessages);
 
+// Get the engine's execution trace (recent sessions and errors)
+router.get('/:phoneNumber/trace', getConversationTrace);
+
+// Hand a handed-off conversation back to the bot
+router.post('/:phoneNumber/resume', resumeBot);
+
+// Close a handed-off conversation
+router.post('/:phoneNumber/close', closeConversation);
+
 // Send message from conversation chat
 router.post('/send', sendConversationMessage);
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getCredentials,
+  createCredential,
+  updateCredential,
+  getCredentialUsage,
+  deleteCredential,
+} from '../controllers/credentialController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Get all credentials (secrets masked)
+router.get('/', getCredentials);
+
+// Create credential
+router.post('/', createCredential);
+
+// Rename or rotate credential
+router.put('/:id', updateCredential);
+
+// HTTP nodes using a credential
+router.get('/:id/usage', getCredentialUsage);
+
+// Delete credential (only when unused)
+router.delete('/:id', deleteCredential);
+
+export default router;
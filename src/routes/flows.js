@@ -7,7 +7,22 @@ import {
   updateFlow,
   deleteFlow,
   getFlowVariables,
+  validateFlow,
+  exportFlow,
+  importFlow,
 } from '../controllers/flowController.js';
+import {
+  getFlowVersions,
+  publishFlow,
+  rollbackFlow,
+} from '../controllers/flowVersionController.js';
+import {
+  createSimulation,
+  getSimulationById,
+  sendSimulationMessage,
+  deleteSimulation,
+} from '../controllers/simulatorController.js';
+import { getFlowAnalytics } from '../controllers/analyticsController.js';
 
 const router = Router();
 
@@ -23,6 +38,12 @@ router.get('/', protect, getAllFlows);
  */
 router.post('/', protect, createFlow);
 
+/**
+ * Import Flow from an Exported Document
+ * POST /api/flows/import
+ */
+router.post('/import', protect, importFlow);
+
 /**
  * Get Flow by ID
  * GET /api/flows/:id
@@ -35,6 +56,66 @@ router.get('/:id', protect, getFlowById);
  */
 router.get('/:id/variables', protect, getFlowVariables);
 
+/**
+ * Export Flow as a Portable JSON Document
+ * GET /api/flows/:id/export
+ */
+router.get('/:id/export', protect, exportFlow);
+
+/**
+ * Validate a Flow's Node Graph
+ * POST /api/flows/:id/validate
+ */
+router.post('/:id/validate', protect, validateFlow);
+
+/**
+ * Get Published Versions of a Flow
+ * GET /api/flows/:id/versions
+ */
+router.get('/:id/versions', protect, getFlowVersions);
+
+/**
+ * Publish the Flow's Draft as a New Version
+ * POST /api/flows/:id/publish
+ */
+router.post('/:id/publish', protect, publishFlow);
+
+/**
+ * Re-publish an Earlier Version
+ * POST /api/flows/:id/versions/:versionId/rollback
+ */
+router.post('/:id/versions/:versionId/rollback', protect, rollbackFlow);
+
+/**
+ * Get Per-Node Funnel Analytics
+ * GET /api/flows/:id/analytics?from=&to=
+ */
+router.get('/:id/analytics', protect, getFlowAnalytics);
+
+/**
+ * Start a Dry-Run Simulation of the Flow's Draft
+ * POST /api/flows/:id/simulations
+ */
+router.post('/:id/simulations', protect, createSimulation);
+
+/**
+ * Get a Simulation's Transcript
+ * GET /api/flows/:id/simulations/:simulationId
+ */
+router.get('/:id/simulations/:simulationId', protect, getSimulationById);
+
+/**
+ * Send a Simulated Inbound Message
+ * POST /api/flows/:id/simulations/:simulationId/messages
+ */
+router.post('/:id/simulations/:simulationId/messages', protect, sendSimulationMessage);
+
+/**
+ * Discard a Simulation
+ * DELETE /api/flows/:id/simulations/:simulationId
+ */
+router.delete('/:id/simulations/:simulationId', protect, deleteSimulation);
+
 /**
  * Update Flow
  * PUT /api/flows/:id
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getMedia,
+  uploadMedia,
+  deleteMedia,
+} from '../controllers/mediaController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Get all uploaded media
+router.get('/', getMedia);
+
+// Upload media to WhatsApp (base64 JSON body)
+router.post('/', uploadMedia);
+
+// Delete media record
+router.delete('/:id', deleteMedia);
+
+export default router;
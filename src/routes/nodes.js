@@ -5,6 +5,9 @@ import {
   updateNode,
   deleteNode,
   batchUpdateNodes,
+  getEdges,
+  createEdge,
+  deleteEdge,
 } from '../controllers/nodeController.js';
 
 const router = Router();
@@ -15,6 +18,24 @@ const router = Router();
  */
 router.post('/', protect, createNode);
 
+/**
+ * Get Edges of a Flow
+ * GET /api/nodes/edges?flowId=
+ */
+router.get('/edges', protect, getEdges);
+
+/**
+ * Create Edge
+ * POST /api/nodes/edges
+ */
+router.post('/edges', protect, createEdge);
+
+/**
+ * Delete Edge
+ * DELETE /api/nodes/edges/:id
+ */
+router.delete('/edges/:id', protect, deleteEdge);
+
 /**
  * Update Node
  * PUT /api/nodes/:id
@@ -5,6 +5,10 @@ import {
   updateApiConfig,
   testConnection,
 } from '../controllers/settingsController.js';
+import {
+  getInterruptKeywords,
+  updateInterruptKeyword,
+} from '../controllers/interruptKeywordController.js';
 
 const router = Router();
 
@@ -26,4 +30,16 @@ router.post('/', protect, updateApiConfig);
  */
 router.post('/test', protect, testConnection);
 
+/**
+ * Get Interrupt Keywords (STOP, MENU, AGENT, RESTART, HELP)
+ * GET /api/settings/keywords
+ */
+router.get('/keywords', protect, getInterruptKeywords);
+
+/**
+ * Update Interrupt Keyword
+ * PUT /api/settings/keywords/:action
+ */
+router.put('/keywords/:action', protect, updateInterruptKeyword);
+
 export default router;
@@ -3,6 +3,8 @@
  */
 import app from './app.js';
 import { logger } from './utils/logger.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
+import { startSessionSweeper, stopSessionSweeper } from './services/sessionSweeper.js';
 
 /**
  * Start server with port
@@ -13,6 +15,8 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`Health check: http://localhost:${PORT}/api/health`);
+  startScheduler();
+  startSessionSweeper();
 });
 
 /**
@@ -20,6 +24,8 @@ const server = app.listen(PORT, () => {
  */
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received');
+  stopScheduler();
+  stopSessionSweeper();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -28,6 +34,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received');
+  stopScheduler();
+  stopSessionSweeper();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,219 @@
+import supabase from '../config/supabase.js';
+import { getDraftGraph, findHandleNode } from './flowVersionService.js';
+import { getNodeHandles } from './edgeService.js';
+
+/**
+ * Flow analytics - the engine logs node entries, exits, drop-offs, button / list choices
+ * and flow completions to flow_node_events; getFlowFunnel turns them into a per-node funnel.
+ * Recording never throws: a failed analytics write must not break a conversation.
+ */
+
+// Session end reasons that count as the contact dropping off at their current node
+const DROP_OFF_REASONS = ['inactivity', 'resume_lost', 'handoff_timeout', 'superseded', 'stopped'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+const insertEvents = async (events) => {
+  if (events.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('flow_node_events').insert(events);
+    if (error) throw error;
+  } catch (error) {
+    console.error('[Analytics] Failed to record flow events:', error.message);
+  }
+};
+
+/**
+ * Last node the session entered, read from its execution trace: { nodeId, flowId, at }
+ */
+const getLastEntry = (session) => {
+  const trace = session.execution_trace || [];
+  for (let i = trace.length - 1; i >= 0; i--) {
+    if (trace[i].type === 'node_entered') return trace[i];
+  }
+  return null;
+};
+
+const toExitEvent = (session, entry, now) => ({
+  flow_id: entry.flowId,
+  session_id: session.id,
+  node_id: entry.nodeId,
+  event_type: 'exit',
+  duration_ms: Math.max(now - new Date(entry.at).getTime(), 0),
+});
+
+/**
+ * The session moved on to node: log an exit for the node it was on and an entry for this one.
+ * Must run before the node_entered trace event for node is added.
+ */
+export const recordNodeEntry = async (session, node, flowId) => {
+  if (!session?.id || session.simulation) return;
+
+  const previous = getLastEntry(session);
+  const events = [];
+  if (previous?.flowId) {
+    events.push(toExitEvent(session, previous, Date.now()));
+  }
+  events.push({ flow_id: flowId, session_id: session.id, node_id: node.id, event_type: 'entry' });
+
+  await insertEvents(events);
+};
+
+/**
+ * A flow ran to its end. When the session has nowhere else to go (not returning from
+ * a subflow) the last node it was on is exited too.
+ */
+export const recordFlowComplete = async (session, { finished = true } = {}) => {
+  if (!session?.id || session.simulation || !session.flow_id) return;
+
+  const events = [{ flow_id: session.flow_id, session_id: session.id, event_type: 'complete' }];
+  const previous = finished ? getLastEntry(session) : null;
+  if (previous?.flowId) {
+    events.unshift(toExitEvent(session, previous, Date.now()));
+  }
+
+  await insertEvents(events);
+};
+
+/**
+ * A button or list reply: log the choice against the node that offered it
+ */
+export const recordChoice = async (session, handle) => {
+  if (!session?.id || session.simulation || !session.flow_id || !handle) return;
+
+  try {
+    const node = await findHandleNode({
+      flowId: session.flow_id,
+      versionId: session.flow_version_id || null,
+      handle,
+    });
+    if (!node) return;
+
+    await insertEvents([{
+      flow_id: session.flow_id,
+      session_id: session.id,
+      node_id: node.id,
+      event_type: 'choice',
+      handle,
+    }]);
+  } catch (error) {
+    console.error('[Analytics] Failed to record choice:', error.message);
+  }
+};
+
+/**
+ * Sessions that ended without finishing: log a drop-off at the node each was waiting on.
+ * Sessions ended for other reasons (completed, closed by an agent) are ignored.
+ */
+export const recordDropOffs = async (sessions, reason) => {
+  if (!DROP_OFF_REASONS.includes(reason)) return;
+
+  await insertEvents((sessions || [])
+    .filter((session) => session?.id && !session.simulation && session.flow_id && session.current_node_id)
+    .map((session) => ({
+      flow_id: session.flow_id,
+      session_id: session.id,
+      node_id: session.current_node_id,
+      event_type: 'drop_off',
+    })));
+};
+
+/**
+ * Parse the from / to query values; defaults to the last 30 days. Returns null when a date is invalid.
+ */
+export const parseDateRange = (from, to, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    return null;
+  }
+  return { from: start, to: end };
+};
+
+const parseProperties = (node) => (
+  typeof node.properties === 'string' ? JSON.parse(node.properties) : node.properties || {}
+);
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Funnel of a flow over a date range. Every node of the draft is listed (zeros when no
+ * contact reached it) so the builder can colour the whole graph; nodes that have since
+ * been deleted but still have events in the range are listed with deleted: true.
+ */
+export const getFlowFunnel = async (flowId, { from, to }) => {
+  const [{ data: funnel, error }, graph] = await Promise.all([
+    supabase.rpc('get_flow_funnel', {
+      p_flow_id: flowId,
+      p_from: from.toISOString(),
+      p_to: to.toISOString(),
+    }),
+    getDraftGraph(flowId),
+  ]);
+
+  if (error) throw error;
+
+  const stats = new Map((funnel?.nodes || []).map((row) => [row.node_id, row]));
+  const choicesByNode = new Map();
+  (funnel?.choices || []).forEach((row) => {
+    choicesByNode.set(row.node_id, [...(choicesByNode.get(row.node_id) || []), row]);
+  });
+
+  const toNodeFunnel = (nodeId, node) => {
+    const row = stats.get(nodeId) || {};
+    const entries = Number(row.entries) || 0;
+    const dropOffs = Number(row.drop_offs) || 0;
+    const chosen = choicesByNode.get(nodeId) || [];
+    const totalChoices = chosen.reduce((total, choice) => total + Number(choice.count), 0);
+    const handles = node
+      ? getNodeHandles(node, parseProperties(node)).filter((item) => item.handle && ['button', 'list'].includes(node.type))
+      : [];
+
+    // Handles the node offers today, plus any that were chosen but have since been removed
+    const choiceHandles = [...new Set([...handles.map((item) => item.handle), ...chosen.map((choice) => choice.handle)])];
+
+    return {
+      nodeId,
+      name: node?.name ?? null,
+      type: node?.type ?? null,
+      ...(!node && { deleted: true }),
+      entries,
+      sessions: Number(row.sessions) || 0,
+      exits: Number(row.exits) || 0,
+      dropOffs,
+      dropOffRate: rate(dropOffs, entries),
+      medianTimeMs: row.median_ms === null || row.median_ms === undefined ? null : Math.round(row.median_ms),
+      choices: choiceHandles.map((handle) => {
+        const count = Number(chosen.find((choice) => choice.handle === handle)?.count) || 0;
+        return {
+          handle,
+          label: handles.find((item) => item.handle === handle)?.label ?? null,
+          count,
+          share: rate(count, totalChoices),
+        };
+      }),
+    };
+  };
+
+  const draftIds = new Set(graph.nodes.map((node) => node.id));
+  const nodes = [
+    ...graph.nodes.filter((node) => !['note', 'start'].includes(node.type)).map((node) => toNodeFunnel(node.id, node)),
+    ...[...stats.keys()].filter((nodeId) => !draftIds.has(nodeId)).map((nodeId) => toNodeFunnel(nodeId, null)),
+  ];
+
+  const sessions = Number(funnel?.sessions) || 0;
+  const completed = Number(funnel?.completed) || 0;
+
+  return {
+    flowId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    sessions,
+    completed,
+    completionRate: rate(completed, sessions),
+    nodes,
+  };
+};
@@ -0,0 +1,90 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Consent registry - records opt-outs / opt-ins per number and answers
+ * "may we message this number?" for every outbound send
+ */
+
+export const CONSENT_SOURCES = ['keyword', 'api', 'import', 'agent'];
+
+// Sends check consent on every message; cache lookups briefly and update the cache on writes
+const CACHE_TTL = 60 * 1000;
+const consentCache = new Map();
+
+/**
+ * Numbers are stored as WhatsApp sends them: digits only
+ */
+export const normalizePhoneNumber = (phoneNumber) => String(phoneNumber || '').replace(/\D/g, '');
+
+/**
+ * Has this number opted out?
+ */
+export const isOptedOut = async (phoneNumber) => {
+  const phone = normalizePhoneNumber(phoneNumber);
+  const cached = consentCache.get(phone);
+  if (cached && (Date.now() - cached.cachedAt) < CACHE_TTL) {
+    return cached.optedOut;
+  }
+
+  const { data, error } = await supabase
+    .from('contact_consents')
+    .select('status')
+    .eq('phone_number', phone)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const optedOut = data?.status === 'opted_out';
+  consentCache.set(phone, { optedOut, cachedAt: Date.now() });
+  return optedOut;
+};
+
+/**
+ * Record an opt-out or opt-in for one or more numbers
+ */
+export const setConsent = async (phoneNumbers, status, { source = 'api', keyword = null, notes = null } = {}) => {
+  const now = new Date().toISOString();
+  const phones = [...new Set([].concat(phoneNumbers).map(normalizePhoneNumber).filter(Boolean))];
+  if (phones.length === 0) return [];
+
+  const rows = phones.map((phone) => ({
+    phone_number: phone,
+    status,
+    source,
+    keyword,
+    notes,
+    updated_at: now,
+    ...(status === 'opted_out' ? { opted_out_at: now } : { opted_in_at: now }),
+  }));
+
+  const { data, error } = await supabase
+    .from('contact_consents')
+    .upsert(rows, { onConflict: 'phone_number' })
+    .select();
+
+  if (error) throw error;
+
+  phones.forEach((phone) => {
+    consentCache.set(phone, { optedOut: status === 'opted_out', cachedAt: Date.now() });
+  });
+
+  console.log(`[Consent] ${phones.length} number(s) ${status} (${source})`);
+  return data || [];
+};
+
+/**
+ * List consent records, newest change first
+ */
+export const listConsents = async ({ status = 'opted_out' } = {}) => {
+  let query = supabase
+    .from('contact_consents')
+    .select('*')
+    .order('updated_at', { ascending: false });
+
+  if (status && status !== 'all') query = query.eq('status', status);
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data || [];
+};
@@ -0,0 +1,106 @@
+import supabase from '../config/supabase.js';
+import { decryptSecret, isMaskedSecret, SECRET_MASK } from '../utils/encryption.js';
+
+/**
+ * Credential service - resolves vault secrets for HTTP nodes and keeps
+ * inline node secrets out of API responses
+ */
+
+// Inline secret fields an HTTP node may still carry from before the vault existed
+export const NODE_SECRET_FIELDS = ['bearerToken', 'basicPassword', 'apiKeyValue'];
+
+/**
+ * Load and decrypt a credential. Only called while executing a node.
+ */
+export const resolveCredential = async (credentialId) => {
+  const { data, error } = await supabase
+    .from('credentials')
+    .select('*')
+    .eq('id', credentialId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error(`Credential not found: ${credentialId}`);
+
+  return {
+    type: data.type,
+    metadata: data.metadata || {},
+    secret: decryptSecret(data.encrypted_data),
+  };
+};
+
+/**
+ * Add authentication headers for an HTTP node, from its vault credential or legacy inline fields
+ */
+export const applyHttpAuthentication = async (headers, properties) => {
+  if (properties.credentialId) {
+    const { type, metadata, secret } = await resolveCredential(properties.credentialId);
+
+    if (type === 'bearer') {
+      headers['Authorization'] = `Bearer ${secret.token}`;
+    } else if (type === 'basic') {
+      const credentials = Buffer.from(`${secret.username}:${secret.password}`).toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    } else if (type === 'apikey') {
+      headers[metadata.headerName || 'X-API-Key'] = secret.value;
+    }
+    return headers;
+  }
+
+  const { authType, bearerToken, basicUsername, basicPassword, apiKeyHeader, apiKeyValue } = properties;
+
+  if (authType === 'bearer' && bearerToken) {
+    headers['Authorization'] = `Bearer ${bearerToken}`;
+  } else if (authType === 'basic' && basicUsername && basicPassword) {
+    const credentials = Buffer.from(`${basicUsername}:${basicPassword}`).toString('base64');
+    headers['Authorization'] = `Basic ${credentials}`;
+  } else if (authType === 'apikey' && apiKeyHeader && apiKeyValue) {
+    headers[apiKeyHeader] = apiKeyValue;
+  }
+  return headers;
+};
+
+/**
+ * Replace inline secrets in node properties with a mask for API responses
+ */
+export const maskNodeSecrets = (properties) => {
+  if (!properties || typeof properties !== 'object') return properties;
+
+  const masked = { ...properties };
+  NODE_SECRET_FIELDS.forEach((field) => {
+    if (masked[field]) masked[field] = SECRET_MASK;
+  });
+  return masked;
+};
+
+/**
+ * Inline secret fields that carry a new value instead of the mask of a stored one.
+ * Saves reject these: new secrets belong in the vault.
+ */
+export const findInlineSecrets = (properties) => {
+  if (!properties || typeof properties !== 'object') return [];
+  return NODE_SECRET_FIELDS.filter((field) => properties[field] && !isMaskedSecret(properties[field]));
+};
+
+/**
+ * Error message for a node that sends inline secrets
+ */
+export const describeInlineSecrets = (fields, nodeName = null) => {
+  const message = `Inline HTTP secrets (${fields.join(', ')}) are not accepted; create a credential and set credentialId instead`;
+  return nodeName ? `Node "${nodeName}": ${message}` : message;
+};
+
+/**
+ * When the client saves a node with masked secrets, keep the stored values
+ */
+export const restoreMaskedSecrets = (properties, previousProperties) => {
+  if (!properties || typeof properties !== 'object') return properties;
+
+  const restored = { ...properties };
+  NODE_SECRET_FIELDS.forEach((field) => {
+    if (isMaskedSecret(restored[field])) {
+      restored[field] = previousProperties?.[field] ?? null;
+    }
+  });
+  return restored;
+};
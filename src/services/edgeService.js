@@ -0,0 +1,239 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Flow edges - graph links between nodes, stored in the edges table.
+ *
+ * An edge is { source_node_id, source_handle, target_node_id }:
+ * - source_node_id NULL is the flow's start (the edge to its first node)
+ * - source_handle NULL is the source node's default path; otherwise a handle id the
+ *   node exposes (btn_id, row_id, branch_id, fallback_id, HTTP outcome ids)
+ *
+ * Several edges may end at one node (merging paths, loops); each source handle leads to one node.
+ * Flows saved before edges existed linked nodes through nodes.previous_node_id;
+ * deriveEdgesFromLinks converts that shape.
+ */
+
+export const START_NODE_ID = 'start-node'; // Virtual start node used by the builder
+
+const HTTP_HANDLE_KEYS = ['success_id', 'client_error_id', 'server_error_id', 'timeout_id', 'error_id'];
+
+/**
+ * Handles edges can leave a node from: [{ handle, label }], where handle null is the default path
+ */
+export const getNodeHandles = (node, properties) => {
+  const handles = [];
+  const add = (handle, label) => {
+    if (handle) handles.push({ handle, label });
+  };
+
+  if (node.type === 'button') {
+    (properties.buttons || []).forEach((btn) => add(btn.btn_id, `button "${btn.text || btn.btn_id}"`));
+    return handles;
+  }
+  if (node.type === 'list') {
+    const sections = properties.sections?.length ? properties.sections : [{ rows: properties.rows || [] }];
+    sections.forEach((section) => (section.rows || []).forEach((row) => add(row.row_id, `row "${row.title || row.row_id}"`)));
+    return handles;
+  }
+
+  handles.push({ handle: null, label: 'default path' });
+
+  if (node.type === 'condition') {
+    (properties.branches || []).forEach((branch) => add(branch.branch_id, `branch "${branch.label || branch.branch_id}"`));
+  } else if (node.type === 'input') {
+    add(properties.fallback_id, 'fallback');
+  } else if (node.type === 'http') {
+    HTTP_HANDLE_KEYS.forEach((key) => add(properties[key], key));
+  }
+
+  return handles;
+};
+
+const parseProperties = (node) => {
+  if (typeof node.properties !== 'string') return node.properties || {};
+  try {
+    return JSON.parse(node.properties);
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Node that exposes a handle (the button or list node behind a reply id), or null
+ */
+export const findHandleOwner = (nodes, handle) => (
+  nodes.find((node) => getNodeHandles(node, parseProperties(node)).some((item) => item.handle === handle)) || null
+);
+
+/**
+ * Normalize an edge from API input (camelCase or snake_case). The builder's virtual
+ * start node becomes a NULL source.
+ */
+export const toEdgeRow = (flowId, edge) => {
+  const source = edge.sourceNodeId !== undefined ? edge.sourceNodeId : edge.source_node_id;
+  const handle = edge.sourceHandle !== undefined ? edge.sourceHandle : edge.source_handle;
+
+  return {
+    flow_id: flowId,
+    source_node_id: !source || source === START_NODE_ID ? null : source,
+    source_handle: handle || null,
+    target_node_id: edge.targetNodeId !== undefined ? edge.targetNodeId : edge.target_node_id,
+  };
+};
+
+/**
+ * Error for a second edge leaving the same handle of source
+ */
+export const describeHandleConflict = (source, handle) => (
+  `${handle ? `Handle ${handle} of` : 'The default path of'} "${source.name || source.id}" already leads to another node; a handle can only have one outgoing edge`
+);
+
+/**
+ * Check edges against the flow's nodes: both ends must exist, the handle must belong to
+ * the source node and each handle may lead to only one node (the start may have several,
+ * which the validator reports). Returns an error message, or null when every edge is valid.
+ */
+export const checkEdges = (nodes, edges) => {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const seen = new Set();
+  const outgoing = new Map(); // source node + handle -> target node
+
+  for (const edge of edges) {
+    if (!edge.target_node_id || !nodesById.has(edge.target_node_id)) {
+      return `Edge target ${edge.target_node_id || '(missing)'} is not a node of this flow`;
+    }
+    if (edge.source_node_id === null) {
+      if (edge.source_handle) return 'Edges from the start cannot have a source handle';
+    } else {
+      const source = nodesById.get(edge.source_node_id);
+      if (!source) return `Edge source ${edge.source_node_id} is not a node of this flow`;
+
+      const handles = getNodeHandles(source, parseProperties(source)).map(({ handle }) => handle);
+      if (!handles.includes(edge.source_handle)) {
+        return edge.source_handle
+          ? `Node "${source.name || source.id}" has no handle ${edge.source_handle}`
+          : `Node "${source.name || source.id}" has no default path; connect one of its handles`;
+      }
+    }
+
+    const key = `${edge.source_node_id}:${edge.source_handle}:${edge.target_node_id}`;
+    if (seen.has(key)) return 'Duplicate edge';
+    seen.add(key);
+
+    if (edge.source_node_id !== null) {
+      const handleKey = `${edge.source_node_id}:${edge.source_handle || ''}`;
+      if (outgoing.has(handleKey)) {
+        return describeHandleConflict(nodesById.get(edge.source_node_id), edge.source_handle);
+      }
+      outgoing.set(handleKey, edge.target_node_id);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert previous_node_id links (a parent's node_id or id, or a handle id) into edges.
+ * Nodes without a previous node become start edges.
+ */
+export const deriveEdgesFromLinks = (nodes) => {
+  const graphNodes = nodes.filter((node) => node.type !== 'note');
+  const handleOwner = new Map();
+  graphNodes.forEach((node) => {
+    getNodeHandles(node, parseProperties(node)).forEach(({ handle }) => {
+      if (handle) handleOwner.set(handle, node);
+    });
+  });
+
+  return graphNodes.flatMap((node) => {
+    const previous = node.previous_node_id;
+    if (!previous) {
+      return node.type === 'start' ? [] : [{ source_node_id: null, source_handle: null, target_node_id: node.id }];
+    }
+
+    const parent = graphNodes.find((candidate) => candidate.id !== node.id
+      && (String(candidate.node_id) === String(previous) || candidate.id === previous));
+    if (parent) {
+      return [{ source_node_id: parent.id, source_handle: null, target_node_id: node.id }];
+    }
+
+    const owner = handleOwner.get(previous);
+    return owner ? [{ source_node_id: owner.id, source_handle: previous, target_node_id: node.id }] : [];
+  });
+};
+
+/**
+ * Follow an edge in an in-memory graph { nodes, edges }.
+ * handle is null for the flow's first node, a handle id, or a node's id for its default path
+ * (scheduled jobs and subflow frames saved before edges existed hold the node_id instead).
+ */
+export const followEdge = ({ nodes, edges }, handle) => {
+  let edge;
+
+  if (handle === null || handle === undefined) {
+    edge = edges.find((item) => item.source_node_id === null);
+  } else {
+    edge = edges.find((item) => item.source_handle === handle);
+    if (!edge) {
+      const source = nodes.find((node) => node.id === handle || (node.node_id !== undefined && node.node_id !== null && String(node.node_id) === String(handle)));
+      edge = source && edges.find((item) => item.source_node_id === source.id && !item.source_handle);
+    }
+  }
+
+  return edge ? nodes.find((node) => node.id === edge.target_node_id) || null : null;
+};
+
+/**
+ * Edges of a flow's draft, oldest first
+ */
+export const getFlowEdges = async (flowId) => {
+  const { data, error } = await supabase
+    .from('edges')
+    .select('*')
+    .eq('flow_id', flowId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Point the flow's start edge at a node (null removes it). The edge, flows.first_node_id
+ * and the flow's revision change in one transaction; returns the new revision.
+ */
+export const setStartNode = async (flowId, nodeId) => {
+  const { data, error } = await supabase.rpc('set_flow_start_node', {
+    p_flow_id: flowId,
+    p_node_id: nodeId || null,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Flow id that owns a handle (for button replies that arrive without a live session)
+ */
+export const getFlowIdForHandle = async (handle) => {
+  const { data, error } = await supabase
+    .from('edges')
+    .select('flow_id')
+    .eq('source_handle', handle)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.flow_id || null;
+};
+
+/**
+ * API shape of an edge
+ */
+export const mapEdge = (edge) => ({
+  id: edge.id,
+  flowId: edge.flow_id,
+  sourceNodeId: edge.source_node_id || START_NODE_ID,
+  sourceHandle: edge.source_handle,
+  targetNodeId: edge.target_node_id,
+  createdAt: edge.created_at,
+});
@@ -0,0 +1,1524 @@
+import supabase from '../config/supabase.js';
+import axios from 'axios';
+import { storeUserMessage, storeBotMessage } from '../controllers/conversationController.js';
+import { interpolate, interpolateDeep, getValueByPath } from '../utils/interpolate.js';
+import { findMatchingBranch } from '../utils/conditions.js';
+import { validateInboundInput } from '../utils/validators.js';
+import { normalizeInboundMessage } from '../utils/inboundMessage.js';
+import { queryJsonPath } from '../utils/jsonPath.js';
+import { getNextTimeInZone, addDuration, isValidTimeZone } from '../utils/time.js';
+import {
+  withSessionLock,
+  getActiveSession,
+  getSessionById,
+  startSession,
+  advanceSession,
+  touchSession,
+  endSession,
+} from './sessionService.js';
+import { registerJobHandler, scheduleJob, cancelPendingJobs } from './scheduler.js';
+import { enqueueHandoff, closeHandoff, getOpenHandoff, touchHandoff } from './handoffService.js';
+import { findTriggeredFlow, getDefaultFlow } from './triggerRouter.js';
+import { findInterrupt } from './interruptService.js';
+import { isOptedOut, setConsent } from './consentService.js';
+import { getPublishedVersionId, findFlowNode, findNodeById } from './flowVersionService.js';
+import { getFlowIdForHandle } from './edgeService.js';
+import { applyHttpAuthentication } from './credentialService.js';
+import { traceEvent, logExecutionError, summarizeValue } from './traceService.js';
+import { recordNodeEntry, recordFlowComplete, recordChoice } from './analyticsService.js';
+
+/**
+ * Flow engine - walks flow nodes for a contact and keeps contact_sessions in step
+ */
+
+// WhatsApp API Configuration
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
+const WHATSAPP_API_URL = `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const MEDIA_TYPES = ['image', 'video', 'document', 'audio'];
+
+// Invalid answers allowed on an input node before taking its fallback branch
+const DEFAULT_INPUT_MAX_RETRIES = 3;
+
+// HTTP node retry limits
+const HTTP_MAX_RETRIES = 5;
+const HTTP_DEFAULT_RETRY_DELAY = 1; // seconds, doubled on every retry
+
+// Maximum nesting of subflow nodes
+const MAX_SUBFLOW_DEPTH = Number(process.env.MAX_SUBFLOW_DEPTH) || 5;
+
+// WhatsApp interactive list limits
+const LIST_MAX_ROWS = 10;
+const LIST_MAX_SECTIONS = 10;
+
+const FALLBACK_MESSAGE = "Sorry, I didn't understand that.";
+
+/**
+ * Parse node properties (stored as JSONB, but older rows may hold a string)
+ */
+function parseProperties(node) {
+  return typeof node?.properties === 'string'
+    ? JSON.parse(node.properties)
+    : node?.properties || {};
+}
+
+/**
+ * Parse a JSON string property, passing objects through
+ */
+function parseJsonProperty(value, label) {
+  if (!value) return null;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    console.error(`❌ Invalid ${label} JSON:`, e);
+    return null;
+  }
+}
+
+/**
+ * Variables available to {{placeholders}}: session context plus system variables
+ */
+export function getSessionVariables(session, phoneNumber) {
+  const context = session?.context || {};
+
+  return {
+    ...context,
+    phone_number: phoneNumber,
+    contact: {
+      phone_number: phoneNumber,
+      name: context.customer_name || null,
+    },
+  };
+}
+
+/**
+ * Initial session context built from the WhatsApp contact profile
+ */
+function buildInitialContext(contact) {
+  const context = {};
+  if (contact?.profile?.name) {
+    context.customer_name = contact.profile.name;
+  }
+  return context;
+}
+
+/**
+ * Start a session for the contact and open its trace with why it started
+ */
+async function startTracedSession(phoneNumber, flowId, contact, reason, message = null) {
+  const session = await startSession(phoneNumber, flowId, buildInitialContext(contact));
+  traceEvent(session, 'session_started', {
+    reason,
+    versionId: session.flow_version_id || null,
+    message: message ? summarizeValue(message.summary) : null,
+  });
+  return session;
+}
+
+/**
+ * Store a value in the session context (persisted with the next session update)
+ */
+function setSessionVariable(session, name, value) {
+  session.context = { ...(session.context || {}), [name]: value };
+  traceEvent(session, 'variable_set', { name, value: summarizeValue(value) });
+  console.log(`📝 Variable set: ${name}`);
+}
+
+/**
+ * Work out when a delay node should resume.
+ * Properties: { delayType: 'duration', duration, unit } or { delayType: 'until', time: 'HH:mm', dayOffset, timezone }
+ */
+function getDelayRunAt(properties, variables, now = new Date()) {
+  if (properties?.delayType === 'until') {
+    // Prefer the contact's own time zone when the flow has collected one
+    const timeZone = [variables.timezone, properties.timezone, DEFAULT_TIMEZONE]
+      .find((tz) => isValidTimeZone(tz)) || 'UTC';
+    return getNextTimeInZone(properties.time, properties.dayOffset || 0, timeZone, now);
+  }
+
+  return addDuration(now, properties?.duration || 0, properties?.unit || 'minutes');
+}
+
+/**
+ * Build WhatsApp list sections from a list node, capped at the 10-row limit.
+ * Accepts { sections: [{ title, rows: [{ row_id, title, description }] }] } or a flat { rows: [...] }.
+ */
+function buildListSections(properties, variables) {
+  const sections = properties?.sections?.length
+    ? properties.sections
+    : [{ title: properties?.sectionTitle || '', rows: properties?.rows || [] }];
+
+  let remaining = LIST_MAX_ROWS;
+
+  return sections.slice(0, LIST_MAX_SECTIONS).map((section) => {
+    const rows = (section.rows || []).slice(0, remaining);
+    remaining -= rows.length;
+
+    const formatted = {
+      rows: rows.map((row) => {
+        const formattedRow = {
+          id: row.row_id,
+          title: interpolate(row.title, variables)
+        };
+        if (row.description) {
+          formattedRow.description = interpolate(row.description, variables);
+        }
+        return formattedRow;
+      })
+    };
+    if (section.title) {
+      formatted.title = interpolate(section.title, variables);
+    }
+    return formatted;
+  }).filter((section) => section.rows.length > 0);
+}
+
+/**
+ * Build the media object for a media node: an uploaded asset's WhatsApp id, or a public link.
+ * Captions are not supported on audio; filenames only apply to documents.
+ */
+async function buildMediaObject(properties, mediaType, variables) {
+  const media = {};
+
+  if (properties?.mediaAssetId) {
+    const { data: asset, error } = await supabase
+      .from('media_assets')
+      .select('*')
+      .eq('id', properties.mediaAssetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!asset) throw new Error(`Media asset not found: ${properties.mediaAssetId}`);
+
+    media.id = asset.whatsapp_media_id;
+    if (mediaType === 'document' && !properties.filename && asset.filename) {
+      media.filename = asset.filename;
+    }
+  } else if (properties?.url) {
+    media.link = interpolate(properties.url, variables);
+  } else {
+    throw new Error('Media node has neither mediaAssetId nor url');
+  }
+
+  if (properties?.caption && mediaType !== 'audio') {
+    media.caption = interpolate(properties.caption, variables);
+  }
+  if (properties?.filename && mediaType === 'document') {
+    media.filename = interpolate(properties.filename, variables);
+  }
+
+  return media;
+}
+
+/**
+ * Number of {{n}} placeholders in a template component's text
+ */
+function countTemplatePlaceholders(text) {
+  return new Set((text || '').match(/\{\{\d+\}\}/g) || []).size;
+}
+
+/**
+ * Build the template object for a template node from an APPROVED template.
+ * headerParameters / bodyParameters are ordered lists of values for {{1}}, {{2}}…;
+ * buttonParameters is [{ index, value }] for URL suffixes and quick reply payloads.
+ */
+async function buildTemplateObject(properties, variables) {
+  if (!properties?.templateId) {
+    throw new Error('Template node has no templateId');
+  }
+
+  const { data: template, error } = await supabase
+    .from('templates')
+    .select('*')
+    .eq('id', properties.templateId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!template) throw new Error(`Template not found: ${properties.templateId}`);
+  if (template.status !== 'APPROVED') {
+    throw new Error(`Template "${template.name}" is ${template.status}, only APPROVED templates can be sent`);
+  }
+
+  const templateComponents = template.components || [];
+  const findComponent = (type) => templateComponents.find((component) => component.type === type);
+  const toTextParameters = (values) => (values || []).map((value) => ({
+    type: 'text',
+    text: String(interpolate(value, variables))
+  }));
+
+  const components = [];
+
+  const header = findComponent('HEADER');
+  if (header?.format === 'TEXT') {
+    const parameters = toTextParameters(properties.headerParameters);
+    if (parameters.length < countTemplatePlaceholders(header.text)) {
+      throw new Error(`Template "${template.name}" header needs ${countTemplatePlaceholders(header.text)} parameter(s)`);
+    }
+    if (parameters.length > 0) {
+      components.push({ type: 'header', parameters });
+    }
+  } else if (header && ['IMAGE', 'VIDEO', 'DOCUMENT'].includes(header.format)) {
+    const mediaType = header.format.toLowerCase();
+    const media = await buildMediaObject(
+      { mediaAssetId: properties.headerMediaAssetId, url: properties.headerMediaUrl },
+      mediaType,
+      variables
+    );
+    components.push({ type: 'header', parameters: [{ type: mediaType, [mediaType]: media }] });
+  }
+
+  const body = findComponent('BODY');
+  const bodyParameters = toTextParameters(properties.bodyParameters);
+  if (bodyParameters.length < countTemplatePlaceholders(body?.text)) {
+    throw new Error(`Template "${template.name}" body needs ${countTemplatePlaceholders(body.text)} parameter(s)`);
+  }
+  if (bodyParameters.length > 0) {
+    components.push({ type: 'body', parameters: bodyParameters });
+  }
+
+  const templateButtons = findComponent('BUTTONS')?.buttons || [];
+  (properties.buttonParameters || []).forEach(({ index, value }) => {
+    const button = templateButtons[index];
+    if (!button || value === undefined || value === null || value === '') return;
+
+    const resolved = String(interpolate(value, variables));
+    if (button.type === 'URL') {
+      components.push({ type: 'button', sub_type: 'url', index: String(index), parameters: [{ type: 'text', text: resolved }] });
+    } else if (button.type === 'QUICK_REPLY') {
+      components.push({ type: 'button', sub_type: 'quick_reply', index: String(index), parameters: [{ type: 'payload', payload: resolved }] });
+    }
+  });
+
+  return {
+    name: template.name,
+    language: { code: template.language },
+    ...(components.length > 0 && { components })
+  };
+}
+
+/**
+ * Copy variables between flow scopes. mapping is { targetName: sourcePath }.
+ */
+function mapVariables(mapping, source, target = {}) {
+  const result = { ...target };
+  Object.entries(mapping || {}).forEach(([targetName, sourcePath]) => {
+    const value = getValueByPath(source, sourcePath);
+    if (value !== undefined) {
+      result[targetName] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Enter a subflow: push a return frame and switch the session to the child flow's
+ * published version (versionId; simulations pass null and run the draft).
+ * Returns false (and leaves the session untouched) when depth, cycle or publish checks fail.
+ */
+function enterSubflow(session, node, properties, flowId, versionId) {
+  const subflowId = properties?.subflowId;
+  const stack = session.call_stack || [];
+
+  let problem = null;
+  if (!subflowId) {
+    problem = `Subflow node ${node.id} has no subflowId`;
+  } else if (stack.length >= MAX_SUBFLOW_DEPTH) {
+    problem = `Subflow depth limit (${MAX_SUBFLOW_DEPTH}) reached at node ${node.id}`;
+  } else if (subflowId === flowId || stack.some((frame) => frame.flowId === subflowId)) {
+    problem = `Subflow cycle detected: flow ${subflowId} is already on the call stack`;
+  } else if (!session.simulation && !versionId) {
+    problem = `Subflow ${subflowId} has not been published`;
+  }
+
+  if (problem) {
+    console.error(`❌ ${problem}`);
+    traceEvent(session, 'error', { context: 'subflow', nodeId: node.id, message: problem });
+    return false;
+  }
+
+  const shareVariables = properties.shareVariables !== false;
+  const frame = {
+    flowId,
+    flowVersionId: session.flow_version_id || null,
+    nodeId: node.id,
+    returnHandle: node.id,
+    shareVariables,
+    outputMapping: properties.outputMapping || {},
+  };
+
+  if (!shareVariables) {
+    // Isolated scope: the child only sees mapped inputs plus the contact's name
+    const parentContext = session.context || {};
+    frame.parentContext = parentContext;
+    session.context = mapVariables(properties.inputMapping, parentContext, {
+      customer_name: parentContext.customer_name,
+    });
+  } else if (properties.inputMapping) {
+    session.context = mapVariables(properties.inputMapping, session.context || {}, session.context || {});
+  }
+
+  session.call_stack = [...stack, frame];
+  session.flow_id = subflowId;
+  session.flow_version_id = versionId;
+  traceEvent(session, 'subflow_entered', { nodeId: node.id, fromFlowId: flowId, depth: session.call_stack.length });
+  return true;
+}
+
+/**
+ * Leave the current subflow: pop the frame and restore the caller's flow and variables
+ */
+function exitSubflow(session) {
+  const stack = session.call_stack || [];
+  const frame = stack[stack.length - 1];
+
+  const childContext = session.context || {};
+  const baseContext = frame.shareVariables ? childContext : frame.parentContext || {};
+  session.context = mapVariables(frame.outputMapping, childContext, baseContext);
+
+  session.call_stack = stack.slice(0, -1);
+  session.flow_id = frame.flowId;
+  session.flow_version_id = frame.flowVersionId || null;
+  return frame;
+}
+
+/**
+ * Reached the end of a flow: return to the calling flow if inside a subflow
+ */
+async function handleEndOfFlow(phoneNumber, session) {
+  if (session?.call_stack?.length) {
+    await recordFlowComplete(session, { finished: false });
+    const frame = exitSubflow(session);
+    traceEvent(session, 'subflow_returned', { nodeId: frame.nodeId });
+    console.log(`↩️ Subflow finished - returning to flow ${frame.flowId}`);
+    return getNextNode(false, frame.returnHandle, phoneNumber, frame.flowId, session);
+  }
+
+  console.log(`⛔ No next node found, end of flow`);
+  await recordFlowComplete(session);
+  return { messageContent: null, currentNodeId: null };
+}
+
+/**
+ * Queue a message for the session; applyStep sends it once the step it belongs to is
+ * saved. In a simulation it goes straight to the outbox instead.
+ */
+async function deliver(session, messageContent, flowId, nodeId) {
+  if (!session?.simulation) {
+    session.outgoing_messages = [...(session.outgoing_messages || []), { messageContent, flowId, nodeId }];
+    return;
+  }
+
+  session.simulation.outbox.push({ nodeId: nodeId || null, payload: messageContent });
+  traceMessageSent(session, messageContent, nodeId, true);
+}
+
+/**
+ * Send the messages a live step queued, in order, tracing each on session
+ */
+async function sendQueuedMessages(session, messages) {
+  for (const { messageContent, flowId, nodeId } of messages) {
+    const delivered = await sendReply(messageContent, flowId, nodeId);
+    traceMessageSent(session, messageContent, nodeId, delivered);
+  }
+}
+
+/**
+ * Record a sent message (payload shortened) on the session's trace
+ */
+function traceMessageSent(session, messageContent, nodeId, delivered) {
+  traceEvent(session, 'message_sent', {
+    nodeId: nodeId || null,
+    messageType: messageContent.type,
+    payload: summarizeValue(messageContent[messageContent.type], 2000),
+    delivered,
+  });
+}
+
+/**
+ * Prompt message for an input node
+ */
+function buildInputPrompt(node, properties, phoneNumber, variables) {
+  const body = interpolate(properties?.label || node.name || 'Hello 👋', variables);
+
+  // Location inputs get WhatsApp's "Send location" button
+  if (properties?.inputType === 'location') {
+    return {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'interactive',
+      interactive: {
+        type: 'location_request_message',
+        body: { text: body },
+        action: { name: 'send_location' }
+      }
+    };
+  }
+
+  return {
+    messaging_product: 'whatsapp',
+    to: phoneNumber,
+    type: 'text',
+    text: {
+      body
+    }
+  };
+}
+
+/**
+ * Handle a reply to an input node: store a valid answer and move on, or
+ * send the error and re-prompt. After maxRetries invalid answers the flow
+ * follows the node's fallback branch (fallback_id), or ends if there is none.
+ */
+async function handleInputReply(node, message, phoneNumber, session) {
+  const properties = parseProperties(node);
+  const result = validateInboundInput(message, properties);
+
+  if (result.valid) {
+    if (properties.variableName) {
+      setSessionVariable(session, properties.variableName, result.value);
+    }
+    return getNextNode(false, node.id, phoneNumber, session.flow_id, session);
+  }
+
+  const variables = getSessionVariables(session, phoneNumber);
+  const attempts = (session.retry_count || 0) + 1;
+  const maxRetries = properties.maxRetries !== undefined && properties.maxRetries !== ''
+    ? Number(properties.maxRetries)
+    : DEFAULT_INPUT_MAX_RETRIES;
+  const errorText = interpolate(properties.errorMessage || result.error, { ...variables, error: result.error });
+
+  console.log(`⚠️ Invalid ${properties.inputType || 'text'} input (attempt ${attempts}/${maxRetries + 1})`);
+  traceEvent(session, 'input_invalid', { nodeId: node.id, attempt: attempts, error: result.error });
+
+  await deliver(session, {
+    messaging_product: 'whatsapp',
+    to: phoneNumber,
+    type: 'text',
+    text: { body: errorText }
+  }, session.flow_id, node.id);
+
+  if (attempts > maxRetries) {
+    console.log(`↪️ Input retries exhausted - taking fallback branch`);
+    traceEvent(session, 'branch_chosen', { nodeId: node.id, handle: properties.fallback_id || null, reason: 'retries_exhausted' });
+    if (properties.fallback_id) {
+      return getNextNode(false, properties.fallback_id, phoneNumber, session.flow_id, session);
+    }
+    return handleEndOfFlow(phoneNumber, session);
+  }
+
+  return {
+    messageContent: buildInputPrompt(node, properties, phoneNumber, variables),
+    currentNodeId: node.id,
+    retryCount: attempts
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Classify an HTTP outcome: success (2xx/3xx), client_error (4xx), server_error (5xx) or timeout
+ */
+function getHttpOutcome(status) {
+  if (status === null) return 'timeout';
+  if (status >= 500) return 'server_error';
+  if (status >= 400) return 'client_error';
+  return 'success';
+}
+
+/**
+ * Make the HTTP node's request, retrying timeouts, 429 and 5xx with exponential backoff.
+ * Resolves to { status, data, headers, outcome, attempts, error } and never throws for HTTP failures.
+ */
+async function performHttpRequest(properties, variables) {
+  const {
+    url,
+    method,
+    body,
+    headers,
+    timeout
+  } = properties;
+
+  const requestUrl = interpolate(url, variables);
+  const customHeaders = interpolateDeep(parseJsonProperty(headers, 'headers') || {}, variables);
+
+  // Setup authentication
+  try {
+    await applyHttpAuthentication(customHeaders, properties);
+  } catch (error) {
+    console.error('❌ HTTP authentication failed:', error.message);
+    return { status: null, data: null, headers: {}, outcome: 'error', attempts: 0, error: error.message };
+  }
+
+  let requestBody = null;
+  if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
+    requestBody = interpolateDeep(parseJsonProperty(body, 'body'), variables);
+  }
+
+  const maxRetries = Math.min(Number(properties.retries) || 0, HTTP_MAX_RETRIES);
+  const retryDelay = Number(properties.retryDelay) || HTTP_DEFAULT_RETRY_DELAY;
+  let result = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      const delay = retryDelay * 1000 * 2 ** (attempt - 1);
+      console.log(`🔁 Retrying HTTP request in ${delay}ms (retry ${attempt}/${maxRetries})`);
+      await sleep(delay);
+    }
+
+    console.log(`🌐 Making HTTP ${method || 'GET'} request to: ${requestUrl}`);
+
+    try {
+      const httpResponse = await axios({
+        method: method || 'GET',
+        url: requestUrl,
+        data: requestBody,
+        headers: customHeaders,
+        timeout: (timeout || 30) * 1000,
+        validateStatus: () => true
+      });
+
+      result = {
+        status: httpResponse.status,
+        data: httpResponse.data,
+        headers: httpResponse.headers,
+        outcome: getHttpOutcome(httpResponse.status),
+        attempts: attempt + 1,
+        error: null
+      };
+      console.log(`✅ HTTP request completed with status ${httpResponse.status}`);
+    } catch (error) {
+      // No response at all: timeout, DNS failure, connection refused
+      result = {
+        status: null,
+        data: null,
+        headers: {},
+        outcome: 'timeout',
+        attempts: attempt + 1,
+        error: error.message
+      };
+      console.error('❌ HTTP request failed:', error.message);
+    }
+
+    const retryable = result.outcome === 'timeout' || result.outcome === 'server_error' || result.status === 429;
+    if (!retryable) break;
+  }
+
+  return result;
+}
+
+/**
+ * Simulated HTTP node request: use the mocked response for the node when one is given.
+ * A mock is { status, data, headers }, { timeout: true } or { error: 'message' }.
+ * Nodes without a mock get a not_mocked outcome, unless the step opted into live requests
+ * (simulation.liveHttp) - a dry run must not call real APIs by accident.
+ */
+async function simulateHttpRequest(node, properties, variables, simulation) {
+  const mock = simulation.httpMocks?.[node.id] || simulation.httpMocks?.[node.node_id];
+  let response;
+  if (mock) {
+    response = toMockedResponse(mock);
+  } else if (simulation.liveHttp) {
+    response = await performHttpRequest(properties, variables);
+  } else {
+    response = { status: null, data: null, headers: {}, outcome: 'not_mocked', attempts: 0, error: null };
+  }
+
+  simulation.requests.push({
+    nodeId: node.id,
+    method: properties.method || 'GET',
+    url: interpolate(properties.url, variables),
+    mocked: Boolean(mock),
+    live: !mock && Boolean(simulation.liveHttp),
+    status: response.status,
+    outcome: response.outcome,
+  });
+
+  return response;
+}
+
+function toMockedResponse(mock) {
+  if (mock.error) {
+    return { status: null, data: null, headers: {}, outcome: 'error', attempts: 0, error: String(mock.error) };
+  }
+  if (mock.timeout) {
+    return { status: null, data: null, headers: {}, outcome: 'timeout', attempts: 1, error: 'Mocked timeout' };
+  }
+
+  const status = Number(mock.status) || 200;
+  return { status, data: mock.data ?? null, headers: mock.headers || {}, outcome: getHttpOutcome(status), attempts: 1, error: null };
+}
+
+/**
+ * HTTP node: call the API, map the response into variables and follow the branch for the outcome.
+ * Branch handles: success_id, client_error_id (4xx), server_error_id (5xx), timeout_id, error_id (any failure).
+ * Without a matching handle, HTTP errors continue on the default path; timeouts and auth failures end the flow.
+ * Simulated requests without a mock (not_mocked) continue on the default path with empty response variables.
+ */
+async function executeHttpNode(node, properties, phoneNumber, flowId, session, variables) {
+  console.log(`🌐 HTTP node - making API request`);
+
+  if (!properties?.url) {
+    console.error(`❌ HTTP node ${node.id} has no URL`);
+    traceEvent(session, 'error', { context: 'http_node', nodeId: node.id, message: 'HTTP node has no URL' });
+    return getNextNode(false, node.id, phoneNumber, flowId, session);
+  }
+
+  const startedAt = Date.now();
+  const response = session?.simulation
+    ? await simulateHttpRequest(node, properties, variables, session.simulation)
+    : await performHttpRequest(properties, variables);
+
+  // Headers are left out: they carry the node's credentials
+  traceEvent(session, 'http_request', {
+    nodeId: node.id,
+    method: properties.method || 'GET',
+    url: interpolate(properties.url, variables),
+    status: response.status,
+    outcome: response.outcome,
+    attempts: response.attempts,
+    durationMs: Date.now() - startedAt,
+    response: summarizeValue(response.data),
+    error: response.error,
+  });
+
+  if (response.outcome === 'timeout' || response.outcome === 'error') {
+    await logExecutionError(session, phoneNumber, `HTTP node ${node.id}`, new Error(response.error || response.outcome));
+  }
+
+  // Later nodes read the response through {{responseVariable.path}}
+  if (properties.responseVariable) {
+    setSessionVariable(session, properties.responseVariable, response.data);
+  }
+  if (properties.statusVariable) {
+    setSessionVariable(session, properties.statusVariable, response.status);
+  }
+
+  // responseMappings: [{ variable, path }] where path is JSONPath over the body, or $status
+  (properties.responseMappings || []).forEach(({ variable, path }) => {
+    if (!variable || !path) return;
+    const value = path.trim() === '$status' ? response.status : queryJsonPath(response.data, path);
+    setSessionVariable(session, variable, value === undefined ? null : value);
+  });
+
+  const branchHandles = {
+    success: properties.success_id,
+    client_error: properties.client_error_id || properties.error_id,
+    server_error: properties.server_error_id || properties.error_id,
+    timeout: properties.timeout_id || properties.error_id,
+    error: properties.error_id,
+  };
+  const handle = branchHandles[response.outcome];
+
+  console.log(`🔀 HTTP outcome: ${response.outcome}${response.status ? ` (${response.status})` : ''}`);
+  traceEvent(session, 'branch_chosen', { nodeId: node.id, handle: handle || null, reason: `http_${response.outcome}` });
+
+  if (handle) {
+    return getNextNode(false, handle, phoneNumber, flowId, session);
+  }
+
+  if (response.outcome === 'timeout' || response.outcome === 'error') {
+    return {
+      messageContent: {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'text',
+        text: {
+          body: interpolate(properties.errorMessage || 'API request failed. Please try again later.', variables)
+        }
+      },
+      currentNodeId: null
+    };
+  }
+
+  return getNextNode(false, node.id, phoneNumber, flowId, session);
+}
+
+/**
+ * The flow version a session reads its nodes from. Simulations run the draft (null);
+ * live sessions never do, so one that is not pinned to a version cannot continue.
+ */
+function getSessionVersionId(session) {
+  if (session?.simulation) return null;
+  if (!session?.flow_version_id) {
+    throw new Error(`Session ${session?.id} on flow ${session?.flow_id} is not pinned to a published version`);
+  }
+  return session.flow_version_id;
+}
+
+/**
+ * Load a node by its primary key from the session's pinned flow version (or, simulating, the draft)
+ */
+async function getNodeById(id, session) {
+  return findNodeById(id, getSessionVersionId(session));
+}
+
+/**
+ * Get next node and format for WhatsApp
+ */
+async function getNextNode(isFirstMessage, current_node_id, phoneNumber, flowId, session) {
+  try {
+    // Sessions run the flow version they are pinned to
+    const versionId = getSessionVersionId(session);
+
+    if (isFirstMessage) {
+      console.log(`🚀 Starting flow - fetching first node`);
+    }
+    // A missing handle is the end of a path, not the start of the flow
+    const node = isFirstMessage || current_node_id
+      ? await findFlowNode({
+        flowId,
+        versionId,
+        previousNodeId: isFirstMessage ? null : current_node_id,
+      })
+      : null;
+
+    if (!node) {
+      return handleEndOfFlow(phoneNumber, session);
+    }
+
+    console.log(`📍 Processing node: ${node.id} (${node.type}) - "${node.name}"`);
+    session?.simulation?.path.push({ nodeId: node.id, type: node.type, name: node.name });
+    // Analytics reads the previous node_entered event, so record before tracing this one
+    await recordNodeEntry(session, node, flowId);
+    traceEvent(session, 'node_entered', { flowId, nodeId: node.id, nodeType: node.type, nodeName: node.name, versionId });
+
+    const properties = parseProperties(node);
+    const variables = getSessionVariables(session, phoneNumber);
+
+    // Format based on node type
+    if (node.type === 'button') {
+      // Node has buttons - format as interactive button message
+      const buttons = properties?.buttons || [];
+      console.log(`🔘 Button node with ${buttons.length} buttons`);
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: {
+            text: interpolate(properties?.label || node.name || 'Choose an option', variables)
+          },
+          action: {
+            buttons: buttons.slice(0, 3).map((btn) => ({
+              type: 'reply',
+              reply: {
+                id: btn.btn_id,
+                title: interpolate(btn.text, variables)
+              }
+            }))
+          }
+        }
+      };
+      return {
+        messageContent,
+        currentNodeId: node?.id || null
+      }
+    } else if (node.type === 'list') {
+      // List node - interactive list message with up to 10 rows
+      const sections = buildListSections(properties, variables);
+      console.log(`📋 List node with ${sections.reduce((total, section) => total + section.rows.length, 0)} rows`);
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'interactive',
+        interactive: {
+          type: 'list',
+          body: {
+            text: interpolate(properties?.label || node.name || 'Choose an option', variables)
+          },
+          action: {
+            button: interpolate(properties?.buttonText || 'Options', variables),
+            sections
+          }
+        }
+      };
+      if (properties?.header) {
+        messageContent.interactive.header = { type: 'text', text: interpolate(properties.header, variables) };
+      }
+      if (properties?.footer) {
+        messageContent.interactive.footer = { text: interpolate(properties.footer, variables) };
+      }
+      return {
+        messageContent,
+        currentNodeId: node?.id || null
+      }
+    } else if (node.type === 'message') {
+      // Simple text message - send it and continue with the following node
+      const messageText = interpolate(properties?.label || node.name || 'Hello 👋', variables);
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'text',
+        text: {
+          body: messageText
+        }
+      };
+
+      await deliver(session, messageContent, flowId, node?.id);
+      return getNextNode(false, node.id, phoneNumber, flowId, session);
+    } else if (node.type === 'media') {
+      // Media node - send image / video / document / audio and continue
+      const mediaType = MEDIA_TYPES.includes(properties?.mediaType) ? properties.mediaType : 'image';
+      console.log(`🖼️ Media node (${mediaType})`);
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: mediaType,
+        [mediaType]: await buildMediaObject(properties, mediaType, variables)
+      };
+
+      await deliver(session, messageContent, flowId, node?.id);
+      return getNextNode(false, node.id, phoneNumber, flowId, session);
+    } else if (node.type === 'template') {
+      // Template node - send an approved template (works outside the 24h window) and continue
+      const template = await buildTemplateObject(properties, variables);
+      console.log(`📨 Template node (${template.name})`);
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'template',
+        template
+      };
+
+      await deliver(session, messageContent, flowId, node?.id);
+      return getNextNode(false, node.id, phoneNumber, flowId, session);
+    } else if (node.type === 'http') {
+      return executeHttpNode(node, properties, phoneNumber, flowId, session, variables);
+    } else if (node.type === 'condition') {
+      // Condition node - follow the first matching branch, or the default path
+      const branch = findMatchingBranch(properties?.branches || [], variables);
+
+      if (branch) {
+        console.log(`🔀 Condition matched branch: ${branch.label || branch.branch_id}`);
+        traceEvent(session, 'branch_chosen', { nodeId: node.id, handle: branch.branch_id, label: branch.label || null, reason: 'condition' });
+        return getNextNode(false, branch.branch_id, phoneNumber, flowId, session);
+      }
+
+      console.log(`🔀 No condition matched - taking default branch`);
+      traceEvent(session, 'branch_chosen', { nodeId: node.id, handle: null, reason: 'condition_default' });
+      return getNextNode(false, node.id, phoneNumber, flowId, session);
+    } else if (node.type === 'delay') {
+      // Delay node - park the session and let the scheduler resume it
+      const runAt = getDelayRunAt(properties, variables);
+
+      if (session?.simulation) {
+        // Simulations do not wait: send the label and carry straight on
+        console.log(`⏳ Delay node - simulated, would resume at ${runAt.toISOString()}`);
+        if (properties?.label) {
+          await deliver(session, {
+            messaging_product: 'whatsapp',
+            to: phoneNumber,
+            type: 'text',
+            text: { body: interpolate(properties.label, variables) }
+          }, flowId, node.id);
+        }
+        return getNextNode(false, node.id, phoneNumber, flowId, session);
+      }
+
+      await scheduleJob({
+        jobType: 'resume_flow',
+        runAt,
+        sessionId: session.id,
+        phoneNumber,
+        flowId,
+        nodeId: node.id,
+        payload: { nextNodeHandle: node.id },
+      });
+
+      console.log(`⏳ Delay node - resuming at ${runAt.toISOString()}`);
+      traceEvent(session, 'delay_scheduled', { nodeId: node.id, runAt: runAt.toISOString() });
+
+      let messageContent = null;
+      if (properties?.label) {
+        messageContent = {
+          messaging_product: 'whatsapp',
+          to: phoneNumber,
+          type: 'text',
+          text: {
+            body: interpolate(properties.label, variables)
+          }
+        };
+      }
+      return { messageContent, currentNodeId: node.id, status: 'paused' };
+    } else if (node.type === 'subflow') {
+      // Subflow node - run another flow from its first node, then come back here
+      // Simulations run drafts all the way down
+      const subflowVersionId = session.simulation ? null : await getPublishedVersionId(properties?.subflowId);
+      if (enterSubflow(session, node, properties, flowId, subflowVersionId)) {
+        console.log(`↪️ Entering subflow ${session.flow_id} (depth ${session.call_stack.length})`);
+        return getNextNode(true, null, phoneNumber, session.flow_id, session);
+      }
+      return getNextNode(false, node.id, phoneNumber, flowId, session);
+    } else if (node.type === 'handoff') {
+      // Handoff node - queue the contact for an agent; the bot stays silent until resumed
+      if (!session?.simulation) {
+        await enqueueHandoff({
+          phoneNumber,
+          sessionId: session.id,
+          flowId,
+          nodeId: node.id,
+          reason: 'handoff_node',
+        });
+      }
+
+      console.log(`🙋 Handoff node - ${phoneNumber} handed to an agent`);
+      traceEvent(session, 'handoff', { nodeId: node.id });
+
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'text',
+        text: {
+          body: interpolate(properties?.label || 'Connecting you to an agent. Please wait…', variables)
+        }
+      };
+      return { messageContent, currentNodeId: node.id, status: 'handoff' };
+    } else if (node.type === 'input') {
+      const messageContent = buildInputPrompt(node, properties, phoneNumber, variables);
+      return { messageContent, currentNodeId: node?.id || null }
+    } else {
+      // Default to text message for other types
+      let messageContent = {
+        messaging_product: 'whatsapp',
+        to: phoneNumber,
+        type: 'text',
+        text: {
+          body: interpolate(properties?.label || node.name || 'Message', variables)
+        }
+      };
+      return {
+        messageContent,
+        currentNodeId: node?.id || null
+      }
+    }
+  } catch (error) {
+    console.error('Error getting next node:', error);
+    await logExecutionError(session, phoneNumber, `Flow ${flowId} after ${current_node_id || 'start'}`, error);
+    return {
+      messageContent: null,
+      currentNodeId: null
+    }
+  }
+}
+
+/**
+ * Send a flow message and log it in conversations
+ */
+export async function sendReply(messageContent, flow_id, node_id) {
+  try {
+    if (await isOptedOut(messageContent.to)) {
+      console.log(`🚫 Not sending to ${messageContent.to} - number has opted out`);
+      return false;
+    }
+
+    const response = await axios.post(
+      WHATSAPP_API_URL,
+      messageContent,
+      {
+        headers: {
+          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    console.log(`✅ Reply sent to ${messageContent.to}`);
+
+    // Store bot message in conversations table
+    const phoneNumber = messageContent.to;
+    let messageText = '';
+
+    // Extract message text based on message type
+    if (messageContent.type === 'text' || messageContent.type === 'input') {
+      messageText = messageContent.text?.body || '';
+    } else if (messageContent.type === 'interactive') {
+      if (messageContent.interactive?.type === 'button') {
+        const bodyText = messageContent.interactive.body?.text || '';
+        const buttons = messageContent.interactive.action?.buttons || [];
+        const buttonTexts = buttons.map(btn => btn.reply?.title).filter(Boolean);
+
+        if (buttonTexts.length > 0) {
+          messageText = `${bodyText}\n\n${buttonTexts.map((text, idx) => `${idx + 1}. ${text}`).join('\n')}`;
+        } else {
+          messageText = bodyText;
+        }
+      } else if (messageContent.interactive?.type === 'list') {
+        const bodyText = messageContent.interactive.body?.text || '';
+        const sections = messageContent.interactive.action?.sections || [];
+        const rowTitles = sections.flatMap(section => section.rows || []).map(row => row.title).filter(Boolean);
+
+        messageText = rowTitles.length > 0
+          ? `${bodyText}\n\n${rowTitles.map((text, idx) => `${idx + 1}. ${text}`).join('\n')}`
+          : bodyText;
+      } else {
+        messageText = messageContent.interactive?.body?.text || '';
+      }
+    } else if (MEDIA_TYPES.includes(messageContent.type)) {
+      const media = messageContent[messageContent.type] || {};
+      const label = media.caption || media.filename || media.link || '';
+      messageText = `[${messageContent.type}]${label ? ` ${label}` : ''}`;
+    } else if (messageContent.type === 'template') {
+      messageText = `[template] ${messageContent.template?.name || ''}`.trim();
+    }
+
+    if (messageText && phoneNumber) {
+      const waMessageId = response.data?.messages?.[0]?.id || null;
+      const options = messageContent.type === 'text'
+        ? {}
+        : { contentType: messageContent.type, payload: messageContent[messageContent.type] };
+
+      await storeBotMessage(phoneNumber, messageText, flow_id, node_id, waMessageId, 'sent', options);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error sending reply:', error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Send a text message to a WhatsApp user
+ */
+export async function sendTextMessage(to, message) {
+  try {
+    if (await isOptedOut(to)) {
+      console.log(`🚫 Not sending to ${to} - number has opted out`);
+      return;
+    }
+
+    await axios.post(
+      WHATSAPP_API_URL,
+      {
+        messaging_product: 'whatsapp',
+        to: to,
+        type: 'text',
+        text: { body: message }
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    console.log(`✅ Text message sent to ${to}`);
+  } catch (error) {
+    console.error('❌ Error sending text message:', error.response?.data || error.message);
+  }
+}
+
+/**
+ * Mark message as read
+ */
+export async function markMessageAsRead(messageId) {
+  try {
+    await axios.post(
+      WHATSAPP_API_URL,
+      {
+        messaging_product: 'whatsapp',
+        status: 'read',
+        message_id: messageId
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+  } catch (error) {
+    // Silently fail
+  }
+}
+
+/**
+ * Save the step: move the session to the node now waiting for a reply, then send the
+ * messages the step produced. A step without a waiting node ends the session. Delay
+ * steps park it as 'paused'. When another writer moved the session first (version
+ * conflict) nothing is sent; the conflict is traced on the stored session, which is
+ * returned instead.
+ */
+async function applyStep(session, { messageContent, currentNodeId, status = 'active', retryCount = 0 }) {
+  if (messageContent) {
+    await deliver(session, messageContent, session.flow_id, currentNodeId);
+  }
+
+  const now = new Date().toISOString();
+  const updates = currentNodeId
+    ? { current_node_id: currentNodeId, status, last_interaction_at: now }
+    : { current_node_id: null, status: 'completed', end_reason: 'completed', ended_at: now, last_interaction_at: now };
+  updates.reminder_sent_at = null;
+  updates.context = session.context || {};
+  updates.flow_id = session.flow_id;
+  updates.flow_version_id = session.flow_version_id || null;
+  updates.call_stack = session.call_stack || [];
+  updates.retry_count = retryCount;
+
+  if (!currentNodeId) {
+    traceEvent(session, 'session_ended', { status: 'completed', reason: 'completed' });
+  }
+
+  // Simulated sessions live in memory only
+  if (session.simulation) {
+    return Object.assign(session, updates);
+  }
+
+  const messages = session.outgoing_messages || [];
+  delete session.outgoing_messages;
+
+  const updated = await advanceSession(session, updates);
+
+  if (!updated) {
+    return traceVersionConflict(session, currentNodeId, messages.length);
+  }
+
+  if (!currentNodeId) {
+    console.log(`🏁 Session ${session.id} completed`);
+  }
+
+  if (!messages.length) return updated;
+
+  await sendQueuedMessages(updated, messages);
+  // Save the message_sent events as well; the next inbound message reads the session afresh
+  return (await advanceSession(updated, {})) || updated;
+}
+
+/**
+ * Record on the stored session that a step lost its version check and was dropped.
+ * Returns the stored session, or null when it no longer exists.
+ */
+async function traceVersionConflict(session, nodeId, droppedMessages) {
+  const stored = await getSessionById(session.id);
+  if (!stored) return null;
+
+  traceEvent(stored, 'version_conflict', {
+    nodeId: nodeId || null,
+    expectedVersion: session.version,
+    storedVersion: stored.version,
+    droppedMessages,
+  });
+  return (await advanceSession(stored, {})) || stored;
+}
+
+/**
+ * Run a global interrupt keyword (STOP, START, MENU, AGENT, RESTART, HELP) for a contact.
+ * The keyword's reply goes out first; returns the updated session.
+ * STOP records the opt-out after its confirmation is sent, START opts in before replying.
+ */
+async function handleInterrupt(interrupt, text, phoneNumber, session, contact) {
+  console.log(`⛔ Interrupt keyword: ${interrupt.action}`);
+  traceEvent(session, 'interrupt', { action: interrupt.action, keyword: text });
+
+  if (interrupt.action === 'start') {
+    await setConsent(phoneNumber, 'opted_in', { source: 'keyword', keyword: text });
+  }
+
+  if (interrupt.reply) {
+    const variables = getSessionVariables(session, phoneNumber);
+    await sendReply({
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'text',
+      text: { body: interpolate(interrupt.reply, variables) }
+    }, session?.flow_id || null, null);
+  }
+
+  switch (interrupt.action) {
+    case 'restart': {
+      // Back to the first node of the flow the contact started in, not the current subflow
+      const rootFlowId = session?.call_stack?.[0]?.flowId || session?.flow_id || (await getDefaultFlow())?.id;
+      if (!rootFlowId) return session;
+
+      const restarted = await startTracedSession(phoneNumber, rootFlowId, contact, 'restart');
+      return applyStep(restarted, await getNextNode(true, null, phoneNumber, restarted.flow_id, restarted));
+    }
+
+    case 'menu': {
+      const menuFlowId = interrupt.target_flow_id || (await getDefaultFlow())?.id;
+      if (!menuFlowId) return session;
+
+      const menuSession = await startTracedSession(phoneNumber, menuFlowId, contact, 'menu');
+      return applyStep(menuSession, await getNextNode(true, null, phoneNumber, menuSession.flow_id, menuSession));
+    }
+
+    case 'agent': {
+      // Outside a flow there is no session to park: the queue entry alone keeps the bot silent
+      if (!session) {
+        await enqueueHandoff({ phoneNumber, reason: 'keyword' });
+        return null;
+      }
+
+      await cancelPendingJobs({ sessionId: session.id });
+      await enqueueHandoff({
+        phoneNumber,
+        sessionId: session.id,
+        flowId: session.flow_id,
+        reason: 'keyword',
+      });
+      // No handoff node to continue from, so resuming the bot ends this session
+      return (await advanceSession(session, {
+        status: 'handoff',
+        current_node_id: null,
+        last_interaction_at: new Date().toISOString(),
+      })) || session;
+    }
+
+    case 'stop':
+      await setConsent(phoneNumber, 'opted_out', { source: 'keyword', keyword: text });
+      if (!session) {
+        await closeHandoff(phoneNumber, 'closed');
+        return null;
+      }
+
+      await cancelPendingJobs({ sessionId: session.id });
+      if (session.status === 'handoff') {
+        await closeHandoff(phoneNumber, 'closed');
+      }
+      return endSession(session, 'completed', 'stopped');
+
+    case 'start':
+      return session;
+
+    case 'help':
+    default:
+      // Stay on the current step; the user can answer it after reading the help text
+      return session ? (await touchSession(session)) || session : null;
+  }
+}
+
+/**
+ * Process one inbound WhatsApp message for a contact.
+ * options.contact is the matching entry from the webhook's value.contacts (profile name).
+ * options.flowId pins routing to one flow (direct trigger webhook); otherwise the
+ * trigger router picks among active flows and falls back to the default flow.
+ */
+export async function handleInboundMessage(rawMessage, { contact = null, flowId = null } = {}) {
+  const message = normalizeInboundMessage(rawMessage);
+  const from = message.from;
+
+  return withSessionLock(from, async () => {
+    let session = await getActiveSession(from);
+    let step = null;
+
+    traceEvent(session, 'message_received', {
+      messageType: message.type,
+      message: summarizeValue(message.summary),
+      waMessageId: message.id || null,
+    });
+
+    await storeUserMessage(from, message.summary, {
+      waMessageId: message.id,
+      contentType: message.type,
+      payload: message.payload
+    });
+
+    // STOP / START must work everywhere, even for opted-out or handed-off contacts
+    const interrupt = message.type === 'text' ? await findInterrupt(message.text) : null;
+    const isConsentKeyword = ['stop', 'start'].includes(interrupt?.action);
+
+    if (!isConsentKeyword && await isOptedOut(from)) {
+      console.log(`🚫 ${from} has opted out - ignoring message`);
+      return session;
+    }
+
+    // An agent owns this chat - log the message but do not answer
+    if (session?.status === 'handoff' && !isConsentKeyword) {
+      console.log(`🙋 ${from} is with an agent - bot stays silent`);
+      return (await touchSession(session)) || session;
+    }
+    // Handed off outside a flow: only the queue entry says so
+    if (!session && !isConsentKeyword && await getOpenHandoff(from)) {
+      console.log(`🙋 ${from} is with an agent - bot stays silent`);
+      await touchHandoff(from);
+      return null;
+    }
+
+    if (interrupt) {
+      return handleInterrupt(interrupt, message.text, from, session, contact);
+    }
+
+    if (message.type === 'text') {
+      const text = message.text;
+      console.log(`💬 Text message: ${text}`);
+
+      const currentNode = session?.current_node_id
+        ? await getNodeById(session.current_node_id, session)
+        : null;
+
+      // An input node waiting for an answer gets the text, even when it contains a
+      // trigger keyword; only interrupt keywords (handled above) can leave it
+      const triggeredFlow = currentNode?.type === 'input' ? null : await findTriggeredFlow(text, { flowId });
+
+      if (currentNode?.type === 'input') {
+        step = await handleInputReply(currentNode, message, from, session);
+      } else if (triggeredFlow) {
+        console.log(`🎯 Trigger matched flow ${triggeredFlow.id} (${triggeredFlow.name})`);
+        session = await startTracedSession(from, triggeredFlow.id, contact, 'trigger', message);
+        step = await getNextNode(true, null, from, session.flow_id, session);
+      } else if (!session) {
+        const defaultFlowId = flowId || (await getDefaultFlow())?.id;
+
+        if (defaultFlowId) {
+          console.log(`🎯 No trigger matched - starting default flow ${defaultFlowId}`);
+          session = await startTracedSession(from, defaultFlowId, contact, 'default_flow', message);
+          step = await getNextNode(true, null, from, session.flow_id, session);
+        }
+      }
+    } else if (message.type === 'reply') {
+      // Button clicks, list selections and template quick replies all route on the reply id
+      console.log(`🔘 Reply selected: ${message.replyId}`);
+
+      // Replies from an earlier conversation still work: pick the owning flow back up
+      if (!session) {
+        const replyFlowId = flowId || await getFlowIdForHandle(message.replyId);
+        if (replyFlowId) {
+          session = await startTracedSession(from, replyFlowId, contact, 'reply', message);
+        }
+      }
+      if (session) {
+        traceEvent(session, 'branch_chosen', { handle: message.replyId, reason: 'reply' });
+        await recordChoice(session, message.replyId);
+        step = await getNextNode(false, message.replyId, from, session.flow_id, session);
+      }
+    } else if (session?.current_node_id && message.type !== 'reaction') {
+      // Media, locations and contacts only mean something as an answer to an input node
+      console.log(`📎 ${message.type} message received`);
+      const currentNode = await getNodeById(session.current_node_id, session);
+      if (currentNode?.type === 'input') {
+        step = await handleInputReply(currentNode, message, from, session);
+      }
+    } else {
+      console.log(`📎 ${message.type} message received - nothing to do`);
+    }
+
+    if (step) {
+      return applyStep(session, step);
+    }
+
+    if (message.type === 'text') {
+      await sendTextMessage(from, FALLBACK_MESSAGE);
+    }
+    if (session) {
+      await touchSession(session);
+    }
+    return session;
+  });
+}
+
+/**
+ * Start a simulated session (see simulatorService) on the first node of its flow.
+ * Messages are collected in session.simulation.outbox instead of going to WhatsApp.
+ */
+export async function startSimulation(session) {
+  const step = await getNextNode(true, null, session.phone_number, session.flow_id, session);
+  return applyStep(session, step);
+}
+
+/**
+ * Process one simulated inbound message (raw WhatsApp message object) for a simulated session.
+ * Routes like handleInboundMessage, minus triggers, interrupt keywords and consent checks.
+ */
+export async function processSimulatedMessage(session, rawMessage) {
+  const message = normalizeInboundMessage(rawMessage);
+  const phoneNumber = session.phone_number;
+  let step = null;
+
+  // Handed off to an agent - the bot would stay silent
+  if (session.status === 'handoff') {
+    return session;
+  }
+
+  traceEvent(session, 'message_received', { messageType: message.type, message: summarizeValue(message.summary) });
+
+  if (message.type === 'reply') {
+    traceEvent(session, 'branch_chosen', { handle: message.replyId, reason: 'reply' });
+    step = await getNextNode(false, message.replyId, phoneNumber, session.flow_id, session);
+  } else if (session.current_node_id && message.type !== 'reaction') {
+    const currentNode = await getNodeById(session.current_node_id, session);
+    if (currentNode?.type === 'input') {
+      step = await handleInputReply(currentNode, message, phoneNumber, session);
+    }
+  }
+
+  if (step) {
+    return applyStep(session, step);
+  }
+
+  if (message.type === 'text') {
+    await deliver(session, {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'text',
+      text: { body: FALLBACK_MESSAGE }
+    }, session.flow_id, null);
+  }
+  return session;
+}
+
+/**
+ * Hand a contact back to the bot after a handoff.
+ * Continues after the handoff node when there is one, otherwise ends the session.
+ */
+export async function resumeBotForContact(phoneNumber) {
+  await closeHandoff(phoneNumber, 'resumed');
+
+  return withSessionLock(phoneNumber, async () => {
+    const session = await getActiveSession(phoneNumber);
+    if (!session || session.status !== 'handoff') return null;
+
+    const handoffNode = session.current_node_id ? await getNodeById(session.current_node_id, session) : null;
+
+    if (!handoffNode || !session.flow_id) {
+      return endSession(session, 'completed');
+    }
+
+    console.log(`🤖 Bot resumed for ${phoneNumber}`);
+    traceEvent(session, 'resumed', { reason: 'agent', nodeId: handoffNode.id });
+    const step = await getNextNode(false, handoffNode.id, phoneNumber, session.flow_id, session);
+    return applyStep(session, step);
+  });
+}
+
+/**
+ * Close a handed-off conversation: the agent is done and the bot answers again
+ */
+export async function closeConversationForContact(phoneNumber) {
+  await closeHandoff(phoneNumber, 'closed');
+
+  return withSessionLock(phoneNumber, async () => {
+    const session = await getActiveSession(phoneNumber);
+    if (!session) return null;
+    return endSession(session, 'completed', 'closed');
+  });
+}
+
+/**
+ * Scheduler handler: continue a session parked on a delay node
+ */
+async function resumeDelayedSession(job) {
+  return withSessionLock(job.phone_number, async () => {
+    const session = await getSessionById(job.session_id);
+
+    // The contact moved on (new flow, button click, expiry) - nothing to resume
+    if (!session || session.status !== 'paused' || session.current_node_id !== job.node_id) {
+      console.log(`⏭️ Skipping resume job ${job.id}: session no longer waiting on node ${job.node_id}`);
+      return;
+    }
+
+    console.log(`⏰ Resuming session ${session.id} after delay`);
+    traceEvent(session, 'resumed', { reason: 'delay', nodeId: job.node_id });
+    const step = await getNextNode(false, job.payload?.nextNodeHandle, session.phone_number, session.flow_id, session);
+    await applyStep(session, step);
+  });
+}
+
+registerJobHandler('resume_flow', resumeDelayedSession);
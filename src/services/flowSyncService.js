@@ -0,0 +1,105 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Flow draft sync - saves the builder's copy of a flow. The sync_flow_graph database
+ * function diffs it against the stored draft and writes only what changed, in one
+ * transaction and under the flow's row lock, after rejecting saves based on an outdated
+ * flows.revision.
+ */
+
+const NODE_FIELDS = ['type', 'name', 'position', 'properties', 'connections'];
+
+/**
+ * Count a single-node or single-edge edit as a new revision. Returns the new revision.
+ */
+export const bumpFlowRevision = async (flowId) => {
+  if (!flowId) return null;
+
+  const { data, error } = await supabase.rpc('bump_flow_revision', { p_flow_id: flowId });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Create or update one node and count it as a new revision, in one transaction.
+ * node is { id, ...fields }; on update only the fields present are written.
+ * incomingEdges ([{ source_node_id, source_handle }], null source = start) replace the
+ * node's incoming edges; null leaves them alone.
+ *
+ * Returns one of:
+ * - { status: 'saved', node, revision }
+ * - { status: 'not_found' } when the node to update is not in the flow
+ * - { status: 'root_exists' } when the node would become a second start
+ * - { status: 'handle_taken', sourceNodeId, sourceHandle } when that handle already leads elsewhere
+ */
+export const saveNode = async (flowId, node, { isNew = false, incomingEdges = null } = {}) => {
+  const { data: result, error } = await supabase.rpc('save_node', {
+    p_flow_id: flowId,
+    p_node: node,
+    p_is_new: isNew,
+    p_incoming_edges: incomingEdges,
+  });
+
+  if (error) throw error;
+
+  if (!result.ok) {
+    return {
+      status: result.error,
+      sourceNodeId: result.source_node_id ?? null,
+      sourceHandle: result.source_handle ?? null,
+    };
+  }
+  return { status: 'saved', node: result.node, revision: result.revision };
+};
+
+/**
+ * Stored draft of a flow as one snapshot: { revision, nodes, edges }, or null if the flow does not exist
+ */
+export const getFlowDraft = async (flowId) => {
+  const { data, error } = await supabase.rpc('get_flow_draft', { p_flow_id: flowId });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Save a flow's draft. nodes are node rows and edges edge rows for the whole flow.
+ * baseRevision is the revision the client loaded (required).
+ *
+ * Returns one of:
+ * - { status: 'not_found' }
+ * - { status: 'conflict', current } where current is the stored { revision, nodes, edges }
+ * - { status: 'invalid', error } when a node id is already used by another flow
+ * - { status: 'saved', revision, nodes, edges, changes }
+ */
+export const syncFlowGraph = async (flowId, { nodes, edges, baseRevision }) => {
+  const { data: result, error } = await supabase.rpc('sync_flow_graph', {
+    p_flow_id: flowId,
+    p_base_revision: Number(baseRevision),
+    p_nodes: nodes.map((node) => (
+      Object.fromEntries(['id', ...NODE_FIELDS].map((field) => [field, node[field] ?? null]))
+    )),
+    p_edges: edges.map(({ source_node_id, source_handle, target_node_id }) => ({
+      source_node_id,
+      source_handle,
+      target_node_id,
+    })),
+  });
+
+  if (error) throw error;
+
+  if (!result.ok) {
+    if (result.error === 'not_found') return { status: 'not_found' };
+    if (result.error === 'node_taken') {
+      return { status: 'invalid', error: `Node id ${result.node_id} is already used by another flow` };
+    }
+    const current = await getFlowDraft(flowId);
+    return current ? { status: 'conflict', current } : { status: 'not_found' };
+  }
+
+  console.log(`[Flow Sync] Flow ${flowId} saved as revision ${result.revision}`, result.changes);
+
+  const saved = await getFlowDraft(flowId);
+  return { status: 'saved', revision: result.revision, nodes: saved.nodes, edges: saved.edges, changes: result.changes };
+};
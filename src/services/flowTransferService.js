@@ -0,0 +1,342 @@
+import crypto from 'crypto';
+import supabase from '../config/supabase.js';
+import { getNodeHandles, getFlowEdges, deriveEdgesFromLinks, checkEdges, START_NODE_ID } from './edgeService.js';
+import { maskNodeSecrets, restoreMaskedSecrets, findInlineSecrets, describeInlineSecrets, NODE_SECRET_FIELDS } from './credentialService.js';
+import { clearTriggerCache } from './triggerRouter.js';
+
+/**
+ * Flow import / export - one portable JSON document per flow, for promoting flows
+ * between environments and keeping them in git.
+ *
+ * Version 2 documents list the flow's edges; version 1 documents linked nodes through
+ * previousNodeId (the parent node's id or a handle id) and are still accepted.
+ * On import every node id and handle id is replaced with a fresh one.
+ */
+
+export const FLOW_DOCUMENT_FORMAT = 'whatsapp-flow';
+export const FLOW_DOCUMENT_VERSION = 2;
+
+const FLOW_FIELDS = [
+  'name',
+  'description',
+  'trigger_type',
+  'trigger_value',
+  'trigger_match_type',
+  'trigger_case_sensitive',
+  'trigger_priority',
+  'reminder_after_minutes',
+  'reminder_message',
+  'session_timeout_hours',
+];
+
+const toCamelCase = (field) => field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const parseProperties = (node) => {
+  if (typeof node.properties !== 'string') return node.properties || {};
+  try {
+    return JSON.parse(node.properties);
+  } catch (e) {
+    return {};
+  }
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Replace every string in value that is a key of idMap
+ */
+export const remapIds = (value, idMap) => {
+  if (typeof value === 'string') return idMap.has(value) ? idMap.get(value) : value;
+  if (Array.isArray(value)) return value.map((item) => remapIds(item, idMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)]));
+  }
+  return value;
+};
+
+const fetchByIds = async (table, columns, ids) => {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .in('id', ids);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Build the export document for a flow's draft. Returns null if the flow does not exist.
+ * Inline secrets are masked; credentials, subflows and templates are referenced by id and name.
+ */
+export const exportFlow = async (flowId) => {
+  const { data: flow, error: flowError } = await supabase
+    .from('flows')
+    .select('*')
+    .eq('id', flowId)
+    .maybeSingle();
+
+  if (flowError) throw flowError;
+  if (!flow) return null;
+
+  const { data: nodes, error: nodesError } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('flow_id', flowId)
+    .order('created_at', { ascending: true });
+
+  if (nodesError) throw nodesError;
+
+  const edges = await getFlowEdges(flowId);
+  const propertiesById = new Map((nodes || []).map((node) => [node.id, parseProperties(node)]));
+  const allProperties = [...propertiesById.values()];
+
+  const [templates, credentials, subflows] = await Promise.all([
+    fetchByIds('templates', 'id, name, language, category, components', unique(allProperties.map((p) => p.templateId))),
+    fetchByIds('credentials', 'id, name, type', unique(allProperties.map((p) => p.credentialId))),
+    fetchByIds('flows', 'id, name', unique(allProperties.map((p) => p.subflowId))),
+  ]);
+
+  return {
+    format: FLOW_DOCUMENT_FORMAT,
+    version: FLOW_DOCUMENT_VERSION,
+    exportedAt: new Date().toISOString(),
+    flow: {
+      ...Object.fromEntries(FLOW_FIELDS.map((field) => [toCamelCase(field), flow[field] ?? null])),
+      firstNodeId: flow.first_node_id || null,
+    },
+    nodes: (nodes || []).map((node) => ({
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      position: node.position,
+      properties: maskNodeSecrets(propertiesById.get(node.id)),
+      connections: node.connections || [],
+    })),
+    edges: edges.map((edge) => ({
+      sourceNodeId: edge.source_node_id || START_NODE_ID,
+      sourceHandle: edge.source_handle,
+      targetNodeId: edge.target_node_id,
+    })),
+    templates,
+    credentials,
+    subflows,
+  };
+};
+
+/**
+ * Edges of a document as edge rows (version 1 documents: from previousNodeId links)
+ */
+const getDocumentEdges = (document) => {
+  if (document.version < 2) {
+    return deriveEdgesFromLinks(document.nodes.map((node) => ({ ...node, previous_node_id: node.previousNodeId || null })));
+  }
+
+  return document.edges.map((edge) => ({
+    source_node_id: !edge.sourceNodeId || edge.sourceNodeId === START_NODE_ID ? null : edge.sourceNodeId,
+    source_handle: edge.sourceHandle || null,
+    target_node_id: edge.targetNodeId,
+  }));
+};
+
+/**
+ * Check an import document's shape. Returns { valid, error }.
+ */
+export const validateFlowDocument = (document) => {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { valid: false, error: 'Document must be a JSON object' };
+  }
+  if (document.format !== FLOW_DOCUMENT_FORMAT) {
+    return { valid: false, error: `Unknown document format (expected "${FLOW_DOCUMENT_FORMAT}")` };
+  }
+  if (!Number.isInteger(document.version) || document.version > FLOW_DOCUMENT_VERSION) {
+    return { valid: false, error: `Unsupported document version ${document.version} (this server reads up to ${FLOW_DOCUMENT_VERSION})` };
+  }
+  if (!document.flow || typeof document.flow !== 'object') {
+    return { valid: false, error: 'Document has no flow' };
+  }
+  if (!Array.isArray(document.nodes) || document.nodes.some((node) => !node?.id || !node.type)) {
+    return { valid: false, error: 'Every node needs an id and a type' };
+  }
+  if (new Set(document.nodes.map((node) => node.id)).size !== document.nodes.length) {
+    return { valid: false, error: 'Node ids must be unique' };
+  }
+  const nodeWithSecrets = document.nodes.find((node) => findInlineSecrets(parseProperties(node)).length > 0);
+  if (nodeWithSecrets) {
+    return { valid: false, error: describeInlineSecrets(findInlineSecrets(parseProperties(nodeWithSecrets)), nodeWithSecrets.name || nodeWithSecrets.id) };
+  }
+  if (document.version >= 2) {
+    if (!Array.isArray(document.edges)) {
+      return { valid: false, error: 'Document has no edges' };
+    }
+    const edgeError = checkEdges(document.nodes, getDocumentEdges(document));
+    if (edgeError) return { valid: false, error: edgeError };
+  }
+  return { valid: true, error: null };
+};
+
+/**
+ * Resolve the document's template references in this environment: match on name and
+ * language, otherwise plan a DRAFT copy (created with the flow) that still has to be
+ * submitted to Meta.
+ */
+const resolveTemplates = async (templates, warnings) => {
+  const templateMap = new Map();
+  const newTemplates = [];
+
+  for (const template of templates || []) {
+    const { data: existing, error } = await supabase
+      .from('templates')
+      .select('id, status')
+      .eq('name', template.name)
+      .eq('language', template.language)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (existing) {
+      templateMap.set(template.id, existing.id);
+      if (existing.status !== 'APPROVED') {
+        warnings.push(`Template "${template.name}" exists here but is ${existing.status}`);
+      }
+      continue;
+    }
+
+    const id = crypto.randomUUID();
+    templateMap.set(template.id, id);
+    newTemplates.push({
+      id,
+      name: template.name,
+      language: template.language,
+      category: template.category,
+      components: template.components || [],
+    });
+    warnings.push(`Template "${template.name}" was created as DRAFT - submit it to Meta before activating the flow`);
+  }
+
+  return { templateMap, newTemplates };
+};
+
+/**
+ * Map referenced records (credentials, subflows) onto this environment: keep ids that
+ * exist here, otherwise match by name. Unresolved references are reported as warnings.
+ */
+const resolveReferences = async (table, references, label, warnings) => {
+  const referenceMap = new Map();
+
+  for (const reference of references || []) {
+    const { data: byId, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('id', reference.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (byId) {
+      referenceMap.set(reference.id, byId.id);
+      continue;
+    }
+
+    const { data: byName, error: nameError } = await supabase
+      .from(table)
+      .select('id')
+      .eq('name', reference.name)
+      .limit(1)
+      .maybeSingle();
+
+    if (nameError) throw nameError;
+    if (byName) {
+      referenceMap.set(reference.id, byName.id);
+    } else {
+      warnings.push(`${label} "${reference.name}" does not exist here`);
+    }
+  }
+
+  return referenceMap;
+};
+
+/**
+ * Fresh ids for every node and every handle a node exposes: old id -> new id
+ */
+export const createImportIdMap = (nodes) => {
+  const idMap = new Map();
+  nodes.forEach((node) => {
+    idMap.set(node.id, crypto.randomUUID());
+    getNodeHandles(node, parseProperties(node)).forEach(({ handle }) => {
+      if (handle) idMap.set(handle, crypto.randomUUID());
+    });
+  });
+  return idMap;
+};
+
+/**
+ * Create a new flow from an export document. Node ids and handle ids are remapped,
+ * templates / credentials / subflows are resolved in this environment, and edges are
+ * recreated between the new ids. The flow, its nodes and edges and any DRAFT templates
+ * are written in one transaction. The imported flow starts inactive and unpublished.
+ * Returns { flow, nodes, edges, warnings }.
+ */
+export const importFlow = async (document, { name } = {}) => {
+  const warnings = [];
+
+  const idMap = createImportIdMap(document.nodes);
+
+  const [credentialMap, subflowMap] = await Promise.all([
+    resolveReferences('credentials', document.credentials, 'Credential', warnings),
+    resolveReferences('flows', document.subflows, 'Subflow', warnings),
+  ]);
+  const { templateMap, newTemplates } = await resolveTemplates(document.templates, warnings);
+
+  const source = document.flow || {};
+  const flowRow = Object.fromEntries(FLOW_FIELDS.map((field) => [field, source[toCamelCase(field)] ?? null]));
+  flowRow.name = name || source.name || 'Imported flow';
+  flowRow.trigger_match_type = flowRow.trigger_match_type || 'contains_word';
+  flowRow.trigger_case_sensitive = flowRow.trigger_case_sensitive === true;
+  flowRow.trigger_priority = flowRow.trigger_priority || 0;
+
+  const nodeRows = document.nodes.map((node) => {
+    const exported = parseProperties(node);
+    const properties = remapIds(restoreMaskedSecrets(exported, null), idMap);
+
+    if (properties.templateId) {
+      properties.templateId = templateMap.get(properties.templateId) || properties.templateId;
+    }
+    if (properties.credentialId) {
+      properties.credentialId = credentialMap.get(properties.credentialId) || null;
+    }
+    if (properties.subflowId) {
+      properties.subflowId = subflowMap.get(properties.subflowId) || null;
+    }
+    if (NODE_SECRET_FIELDS.some((field) => exported[field] && !properties[field])) {
+      warnings.push(`Node "${node.name}" had an inline secret that was not exported - re-enter it`);
+    }
+    if (properties.mediaAssetId || properties.headerMediaAssetId) {
+      warnings.push(`Node "${node.name}" uses an uploaded media asset - re-upload it or switch to a URL`);
+    }
+
+    return {
+      id: idMap.get(node.id),
+      type: node.type,
+      name: node.name,
+      position: node.position,
+      properties,
+      connections: remapIds(node.connections || [], idMap),
+    };
+  });
+
+  const { data, error } = await supabase.rpc('import_flow', {
+    p_flow: flowRow,
+    p_templates: newTemplates,
+    p_nodes: nodeRows,
+    p_edges: getDocumentEdges(document).map((edge) => remapIds(edge, idMap)),
+  });
+
+  if (error) throw error;
+
+  clearTriggerCache();
+  console.log(`[Flow Import] Imported flow ${data.flow.id} with ${data.nodes.length} nodes`);
+
+  return { flow: data.flow, nodes: data.nodes, edges: data.edges, warnings: unique(warnings) };
+};
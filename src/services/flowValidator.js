@@ -0,0 +1,335 @@
+import { getNodeHandles } from './edgeService.js';
+import { getVersionGraph, getDraftGraph } from './flowVersionService.js';
+
+/**
+ * Flow validator - static checks over a flow's node graph.
+ * Issues are { severity: 'error' | 'warning', code, message, nodeId }; errors block
+ * activation, publishing and rollback.
+ */
+
+// WhatsApp Cloud API limits
+const MAX_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_LIST_ROW_TITLE = 24;
+const MAX_INTERACTIVE_BODY = 1024;
+const MAX_TEXT_BODY = 4096;
+
+// Nodes that send and continue straight away; a loop of only these never waits for the user
+const AUTO_ADVANCE_TYPES = ['message', 'media', 'template'];
+
+// Variables the engine always provides
+const SYSTEM_VARIABLES = [
+  { name: 'phone_number', type: 'string', description: 'User phone number', source: 'system' },
+  { name: 'customer_name', type: 'string', description: 'Customer name', source: 'system' },
+  { name: 'email', type: 'string', description: 'Email address', source: 'system' },
+  { name: 'contact', type: 'object', description: 'Contact profile (phone_number, name)', source: 'system' },
+];
+
+// Same placeholder syntax as utils/interpolate.js
+const VARIABLE_REGEX = /\{\{\s*([\w-]+(?:\.[\w-]+)*)\s*\}\}/g;
+
+const parseProperties = (node) => {
+  if (typeof node.properties !== 'string') return node.properties || {};
+  try {
+    return JSON.parse(node.properties);
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Variables a flow's nodes define (input answers, HTTP results, subflow outputs), plus system variables
+ */
+export const collectFlowVariables = (nodes = []) => {
+  const variables = [];
+
+  nodes.forEach((node) => {
+    const properties = parseProperties(node);
+
+    // Input nodes create variables
+    if (node.type === 'input' && properties.variableName) {
+      variables.push({
+        name: properties.variableName,
+        type: properties.inputType || 'text',
+        description: `User input from: ${node.name || 'Input node'}`,
+        source: 'input',
+        nodeId: node.id
+      });
+    }
+
+    // HTTP nodes create variables
+    if (node.type === 'http' && properties.responseVariable) {
+      variables.push({
+        name: properties.responseVariable,
+        type: 'object',
+        description: `API response data from: ${properties.label || properties.url || 'HTTP request'}`,
+        source: 'http',
+        nodeId: node.id
+      });
+    }
+
+    // HTTP response mappings and status code create variables too
+    if (node.type === 'http') {
+      (properties.responseMappings || []).forEach((mapping) => {
+        if (!mapping.variable) return;
+        variables.push({
+          name: mapping.variable,
+          type: 'any',
+          description: `Mapped from ${mapping.path} in: ${properties.label || properties.url || 'HTTP request'}`,
+          source: 'http',
+          nodeId: node.id
+        });
+      });
+
+      if (properties.statusVariable) {
+        variables.push({
+          name: properties.statusVariable,
+          type: 'number',
+          description: `HTTP status code from: ${properties.label || properties.url || 'HTTP request'}`,
+          source: 'http',
+          nodeId: node.id
+        });
+      }
+    }
+
+    // Subflow output mappings copy child variables into this flow
+    if (node.type === 'subflow') {
+      Object.keys(properties.outputMapping || {}).forEach((name) => {
+        variables.push({
+          name,
+          type: 'any',
+          description: `Returned by subflow: ${node.name || 'Subflow'}`,
+          source: 'subflow',
+          nodeId: node.id
+        });
+      });
+    }
+  });
+
+  return [...SYSTEM_VARIABLES, ...variables];
+};
+
+/**
+ * Every {{variable}} root name used in a node's properties
+ */
+const findVariableReferences = (value, found = new Set()) => {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(VARIABLE_REGEX)) {
+      const root = match[1].split('.')[0];
+      // {{1}}-style placeholders belong to WhatsApp templates, not flow variables
+      if (!/^\d+$/.test(root)) found.add(root);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => findVariableReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => findVariableReferences(item, found));
+  }
+  return found;
+};
+
+/**
+ * Validate a flow's nodes and edges. Returns { valid, errors, warnings }.
+ */
+export const validateFlowNodes = (allNodes = [], allEdges = []) => {
+  const issues = [];
+  const report = (severity, code, message, nodeId = null) => issues.push({ severity, code, message, nodeId });
+
+  // Notes are annotations on the canvas, not part of the graph
+  const nodes = allNodes.filter((node) => node.type !== 'note');
+  const nodesById = new Map(nodes.map((node) => [node.id, node]));
+  const propertiesById = new Map(nodes.map((node) => [node.id, parseProperties(node)]));
+
+  // --- Graph structure ---
+  const handleKey = (nodeId, handle) => `${nodeId}:${handle || ''}`;
+  const handleLabels = new Map(); // handle key -> label
+  nodes.forEach((node) => {
+    getNodeHandles(node, propertiesById.get(node.id)).forEach(({ handle, label }) => {
+      handleLabels.set(handleKey(node.id, handle), label);
+    });
+  });
+
+  const startEdges = allEdges.filter((edge) => !edge.source_node_id);
+  if (nodes.length > 0 && startEdges.length === 0) {
+    report('error', 'NO_ROOT', 'The flow has no first node (nothing is connected to the start)');
+  }
+  if (startEdges.length > 1) {
+    startEdges.forEach((edge) => {
+      const node = nodesById.get(edge.target_node_id);
+      report('error', 'MULTIPLE_ROOTS', `"${node?.name || edge.target_node_id}" is one of ${startEdges.length} nodes connected to the start; a flow can only start at one`, edge.target_node_id);
+    });
+  }
+
+  const followers = new Map(); // handle key -> target nodes
+  const handleSources = new Map(); // handle key -> source node
+  allEdges.forEach((edge) => {
+    if (!edge.source_node_id) return;
+
+    const source = nodesById.get(edge.source_node_id);
+    const target = nodesById.get(edge.target_node_id);
+    const key = handleKey(edge.source_node_id, edge.source_handle);
+
+    if (!source || !target || !handleLabels.has(key)) {
+      report('error', 'ORPHANED_NODE', `"${target?.name || edge.target_node_id}" is attached to a node or button that does not exist`, edge.target_node_id);
+      return;
+    }
+    followers.set(key, [...(followers.get(key) || []), target]);
+    handleSources.set(key, source);
+  });
+
+  followers.forEach((targets, key) => {
+    if (targets.length > 1) {
+      const source = handleSources.get(key);
+      report('error', 'DUPLICATE_CONNECTION', `${targets.length} nodes follow the ${handleLabels.get(key)} of "${source.name || source.id}"; only one can`, source.id);
+    }
+  });
+
+  const nextNodes = (node) => getNodeHandles(node, propertiesById.get(node.id))
+    .flatMap(({ handle }) => followers.get(handleKey(node.id, handle)) || []);
+
+  // Reachability from the first node
+  const reachable = new Set();
+  const queue = startEdges.length === 1 && nodesById.has(startEdges[0].target_node_id)
+    ? [nodesById.get(startEdges[0].target_node_id)]
+    : [];
+  while (queue.length) {
+    const node = queue.shift();
+    if (reachable.has(node.id)) continue;
+    reachable.add(node.id);
+    nextNodes(node).forEach((next) => queue.push(next));
+  }
+
+  // Loops are allowed when something in them waits for the user; a loop of messages never ends
+  const inLoop = new Set();
+  nodes.filter((node) => AUTO_ADVANCE_TYPES.includes(node.type)).forEach((start) => {
+    const path = [];
+    let node = start;
+
+    while (node && AUTO_ADVANCE_TYPES.includes(node.type) && !inLoop.has(node.id) && !path.includes(node)) {
+      path.push(node);
+      node = (followers.get(handleKey(node.id, null)) || [])[0];
+    }
+
+    if (node && path.includes(node)) {
+      const loop = path.slice(path.indexOf(node));
+      loop.forEach((item) => inLoop.add(item.id));
+      report('error', 'MESSAGE_LOOP', `Nodes ${loop.map((item) => `"${item.name || item.id}"`).join(' → ')} form a loop of messages that never waits for the user`, loop[0].id);
+    }
+  });
+
+  if (startEdges.length === 1) {
+    nodes.forEach((node) => {
+      if (!reachable.has(node.id)) {
+        report('warning', 'UNREACHABLE_NODE', `"${node.name || node.id}" can never be reached from the first node`, node.id);
+      }
+    });
+  }
+
+  // --- Per-node checks ---
+  const btnIds = new Map();
+
+  nodes.forEach((node) => {
+    const properties = propertiesById.get(node.id);
+    const name = node.name || node.id;
+
+    if (node.type === 'button') {
+      const buttons = properties.buttons || [];
+
+      if (buttons.length === 0) {
+        report('error', 'NO_BUTTONS', `Button node "${name}" has no buttons`, node.id);
+      }
+      if (buttons.length > MAX_BUTTONS) {
+        report('error', 'TOO_MANY_BUTTONS', `Button node "${name}" has ${buttons.length} buttons; WhatsApp allows ${MAX_BUTTONS}`, node.id);
+      }
+
+      buttons.forEach((btn) => {
+        if (!btn.btn_id) {
+          report('error', 'MISSING_BUTTON_ID', `A button on "${name}" has no btn_id`, node.id);
+          return;
+        }
+        if (btnIds.has(btn.btn_id)) {
+          report('error', 'DUPLICATE_BUTTON_ID', `Button id ${btn.btn_id} on "${name}" is already used by "${btnIds.get(btn.btn_id)}"`, node.id);
+        }
+        btnIds.set(btn.btn_id, name);
+
+        if ((btn.text || '').length > MAX_BUTTON_TITLE) {
+          report('error', 'BUTTON_TITLE_TOO_LONG', `Button "${btn.text}" on "${name}" is over ${MAX_BUTTON_TITLE} characters`, node.id);
+        }
+        if (!followers.has(handleKey(node.id, btn.btn_id))) {
+          report('warning', 'BUTTON_WITHOUT_TARGET', `Button "${btn.text || btn.btn_id}" on "${name}" has no following node, so tapping it ends the flow`, node.id);
+        }
+      });
+    }
+
+    if (node.type === 'list') {
+      const sections = properties.sections?.length ? properties.sections : [{ rows: properties.rows || [] }];
+      const rows = sections.flatMap((section) => section.rows || []);
+
+      if (rows.length === 0) {
+        report('error', 'NO_LIST_ROWS', `List node "${name}" has no rows`, node.id);
+      }
+      if (rows.length > MAX_LIST_ROWS) {
+        report('warning', 'TOO_MANY_LIST_ROWS', `List node "${name}" has ${rows.length} rows; only the first ${MAX_LIST_ROWS} are sent`, node.id);
+      }
+      rows.forEach((row) => {
+        if ((row.title || '').length > MAX_LIST_ROW_TITLE) {
+          report('error', 'LIST_ROW_TITLE_TOO_LONG', `Row "${row.title}" on "${name}" is over ${MAX_LIST_ROW_TITLE} characters`, node.id);
+        }
+        if (row.row_id && !followers.has(handleKey(node.id, row.row_id))) {
+          report('warning', 'ROW_WITHOUT_TARGET', `Row "${row.title || row.row_id}" on "${name}" has no following node, so choosing it ends the flow`, node.id);
+        }
+      });
+    }
+
+    if (['button', 'list'].includes(node.type) && (properties.label || '').length > MAX_INTERACTIVE_BODY) {
+      report('error', 'BODY_TOO_LONG', `Body text of "${name}" is over ${MAX_INTERACTIVE_BODY} characters`, node.id);
+    }
+    if (['message', 'input'].includes(node.type) && (properties.label || '').length > MAX_TEXT_BODY) {
+      report('error', 'BODY_TOO_LONG', `Text of "${name}" is over ${MAX_TEXT_BODY} characters`, node.id);
+    }
+
+    if (node.type === 'http' && !properties.url) {
+      report('error', 'MISSING_URL', `HTTP node "${name}" has no URL`, node.id);
+    }
+    if (node.type === 'subflow' && !properties.subflowId) {
+      report('error', 'MISSING_SUBFLOW', `Subflow node "${name}" has no flow selected`, node.id);
+    }
+    if (node.type === 'template' && !properties.templateId) {
+      report('error', 'MISSING_TEMPLATE', `Template node "${name}" has no template selected`, node.id);
+    }
+  });
+
+  // --- Variables ---
+  // A subflow can also read its parent's variables, so unknown names are warnings only
+  const definedVariables = new Set(collectFlowVariables(allNodes).map((variable) => variable.name));
+  definedVariables.add('error'); // Input error messages
+
+  nodes.forEach((node) => {
+    findVariableReferences(propertiesById.get(node.id)).forEach((variable) => {
+      if (!definedVariables.has(variable)) {
+        report('warning', 'UNDEFINED_VARIABLE', `"${node.name || node.id}" uses {{${variable}}}, which no node in this flow sets`, node.id);
+      }
+    });
+  });
+
+  const errors = issues.filter((issue) => issue.severity === 'error');
+  const warnings = issues.filter((issue) => issue.severity === 'warning');
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Validate the draft nodes and edges of a flow
+ */
+export const validateFlow = async (flowId) => {
+  const { nodes, edges } = await getDraftGraph(flowId);
+  return validateFlowNodes(nodes, edges);
+};
+
+/**
+ * Validate a published snapshot
+ */
+export const validateVersion = async (versionId) => {
+  const { nodes, edges } = await getVersionGraph(versionId);
+  return validateFlowNodes(nodes, edges);
+};
@@ -0,0 +1,209 @@
+import supabase from '../config/supabase.js';
+import { getFlowEdges, deriveEdgesFromLinks, followEdge, findHandleOwner } from './edgeService.js';
+
+/**
+ * Flow versions - the nodes table is a flow's editable draft; publishing stores an
+ * immutable snapshot in flow_versions and sessions run the snapshot they started on.
+ * Only simulations read the draft; a flow that was never published cannot start sessions.
+ */
+
+// Snapshots never change, so they can be cached for the life of the process
+const MAX_CACHED_VERSIONS = 200;
+const versionGraphCache = new Map();
+
+/**
+ * The version new sessions of a flow should run (null when never published)
+ */
+export const getPublishedVersionId = async (flowId) => {
+  if (!flowId) return null;
+
+  const { data, error } = await supabase
+    .from('flows')
+    .select('published_version_id')
+    .eq('id', flowId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.published_version_id || null;
+};
+
+/**
+ * Get a version row
+ */
+export const getVersion = async (versionId) => {
+  const { data, error } = await supabase
+    .from('flow_versions')
+    .select('*')
+    .eq('id', versionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Nodes and edges of a version; snapshots published before edges existed get theirs
+ * from the nodes' previous_node_id links
+ */
+const toVersionGraph = (version) => ({
+  nodes: version.nodes || [],
+  edges: version.edges || deriveEdgesFromLinks(version.nodes || []),
+});
+
+const cacheVersionGraph = (versionId, graph) => {
+  if (versionGraphCache.size >= MAX_CACHED_VERSIONS) {
+    versionGraphCache.delete(versionGraphCache.keys().next().value);
+  }
+  versionGraphCache.set(versionId, graph);
+};
+
+/**
+ * { nodes, edges } of a published version (cached)
+ */
+export const getVersionGraph = async (versionId) => {
+  if (versionGraphCache.has(versionId)) {
+    return versionGraphCache.get(versionId);
+  }
+
+  const version = await getVersion(versionId);
+  if (!version) throw new Error(`Flow version not found: ${versionId}`);
+
+  const graph = toVersionGraph(version);
+  cacheVersionGraph(versionId, graph);
+  return graph;
+};
+
+/**
+ * Node rows of a published version (cached)
+ */
+export const getVersionNodes = async (versionId) => (await getVersionGraph(versionId)).nodes;
+
+/**
+ * { nodes, edges } of a flow's draft
+ */
+export const getDraftGraph = async (flowId) => {
+  const [{ data: nodes, error }, edges] = await Promise.all([
+    supabase.from('nodes').select('*').eq('flow_id', flowId),
+    getFlowEdges(flowId),
+  ]);
+
+  if (error) throw error;
+  return { nodes: nodes || [], edges };
+};
+
+/**
+ * Find the node an edge leads to from a handle (a node's id for its default path,
+ * or a button / row / branch handle). previousNodeId null returns the flow's first node.
+ * Reads the pinned version when versionId is set, otherwise the draft (simulations).
+ */
+export const findFlowNode = async ({ flowId, versionId, previousNodeId }) => {
+  const graph = versionId ? await getVersionGraph(versionId) : await getDraftGraph(flowId);
+  return followEdge(graph, previousNodeId ?? null);
+};
+
+/**
+ * Find the node a button / row handle belongs to, in the pinned version or (simulating) the draft
+ */
+export const findHandleNode = async ({ flowId, versionId, handle }) => {
+  const graph = versionId ? await getVersionGraph(versionId) : await getDraftGraph(flowId);
+  return findHandleOwner(graph.nodes, handle);
+};
+
+/**
+ * Load a node by its primary key from a version, or (simulating) the draft
+ */
+export const findNodeById = async (id, versionId) => {
+  if (versionId) {
+    const nodes = await getVersionNodes(versionId);
+    return nodes.find((node) => node.id === id) || null;
+  }
+
+  const { data, error } = await supabase
+    .from('nodes')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Versions of a flow, newest first (without the node snapshots)
+ */
+export const listVersions = async (flowId) => {
+  const { data, error } = await supabase
+    .from('flow_versions')
+    .select('id, flow_id, version_number, published_by, notes, rolled_back_from, published_at')
+    .eq('flow_id', flowId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Store a snapshot as the flow's next version and make it the published one
+ */
+const createVersion = async (flowId, { nodes, edges }, { publishedBy = null, notes = null, rolledBackFrom = null } = {}) => {
+  const { data: latest, error: latestError } = await supabase
+    .from('flow_versions')
+    .select('version_number')
+    .eq('flow_id', flowId)
+    .order('version_number', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  const { data: version, error } = await supabase
+    .from('flow_versions')
+    .insert({
+      flow_id: flowId,
+      version_number: (latest?.version_number || 0) + 1,
+      nodes,
+      edges,
+      published_by: publishedBy,
+      notes,
+      rolled_back_from: rolledBackFrom,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: flowError } = await supabase
+    .from('flows')
+    .update({ published_version_id: version.id, updated_at: new Date().toISOString() })
+    .eq('id', flowId);
+
+  if (flowError) throw flowError;
+
+  cacheVersionGraph(version.id, toVersionGraph(version));
+  console.log(`[Versions] Flow ${flowId} published as v${version.version_number}`);
+  return version;
+};
+
+/**
+ * Publish the current draft of a flow
+ */
+export const publishFlow = async (flowId, { publishedBy, notes } = {}) => {
+  const graph = await getDraftGraph(flowId);
+  return createVersion(flowId, graph, { publishedBy, notes });
+};
+
+/**
+ * Re-publish an earlier version as a new version. The draft is left untouched.
+ */
+export const rollbackFlow = async (flowId, versionId, { publishedBy, notes } = {}) => {
+  const target = await getVersion(versionId);
+  if (!target || target.flow_id !== flowId) {
+    return null;
+  }
+
+  return createVersion(flowId, toVersionGraph(target), {
+    publishedBy,
+    notes: notes || `Rollback to v${target.version_number}`,
+    rolledBackFrom: target.id,
+  });
+};
@@ -0,0 +1,153 @@
+import supabase from '../config/supabase.js';
+import {
+  withSessionLock,
+  getActiveSession,
+  advanceSession,
+} from './sessionService.js';
+
+/**
+ * Handoff service - agent queue for contacts the bot has handed to a human.
+ * Contacts handed off inside a flow keep their session (status 'handoff'); contacts
+ * handed off outside any flow only have a queue entry, which keeps the bot silent.
+ */
+
+const OPEN_STATUSES = ['waiting', 'active'];
+
+/**
+ * Get the open queue entry for a contact
+ */
+export const getOpenHandoff = async (phoneNumber) => {
+  const { data, error } = await supabase
+    .from('agent_queue')
+    .select('*')
+    .eq('phone_number', phoneNumber)
+    .in('status', OPEN_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Put a contact in the agent queue (no-op if they are already queued)
+ */
+export const enqueueHandoff = async ({ phoneNumber, sessionId, flowId, nodeId, reason = 'handoff_node', status = 'waiting', assignedTo = null }) => {
+  const existing = await getOpenHandoff(phoneNumber);
+  if (existing) return existing;
+
+  const { data, error } = await supabase
+    .from('agent_queue')
+    .insert({
+      phone_number: phoneNumber,
+      session_id: sessionId || null,
+      flow_id: flowId || null,
+      node_id: nodeId || null,
+      reason,
+      status,
+      assigned_to: assignedTo,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[Handoff] ${phoneNumber} queued for an agent (${reason})`);
+  return data;
+};
+
+/**
+ * Close the open queue entry for a contact
+ */
+export const closeHandoff = async (phoneNumber, resolution = 'closed') => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('agent_queue')
+    .update({ status: 'closed', resolution, closed_at: now, updated_at: now })
+    .eq('phone_number', phoneNumber)
+    .in('status', OPEN_STATUSES)
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Count a message on the contact's open queue entry as activity (for handoffs without a session)
+ */
+export const touchHandoff = async (phoneNumber) => {
+  const { error } = await supabase
+    .from('agent_queue')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('phone_number', phoneNumber)
+    .in('status', OPEN_STATUSES);
+
+  if (error) throw error;
+};
+
+/**
+ * Close open queue entries without a session that nobody has written on since idleBefore.
+ * Entries with a session are closed when the sweeper expires the session.
+ */
+export const closeIdleHandoffs = async (idleBefore) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('agent_queue')
+    .update({ status: 'closed', resolution: 'expired', closed_at: now, updated_at: now })
+    .is('session_id', null)
+    .in('status', OPEN_STATUSES)
+    .lt('updated_at', idleBefore.toISOString())
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length;
+};
+
+/**
+ * List queue entries, oldest first
+ */
+export const listQueue = async (statuses = OPEN_STATUSES) => {
+  const { data, error } = await supabase
+    .from('agent_queue')
+    .select('*')
+    .in('status', statuses)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * An agent took over the chat (e.g. replied manually): silence the bot for this contact.
+ * Without a running flow only the queue entry is created; session is null then.
+ */
+export const handOffContact = async (phoneNumber, { reason = 'agent_reply', assignedTo = null } = {}) => {
+  return withSessionLock(phoneNumber, async () => {
+    let session = await getActiveSession(phoneNumber);
+
+    // Agent replies count as activity, so the sweeper's handoff timeout only closes silent chats
+    if (!session) {
+      const existing = await getOpenHandoff(phoneNumber);
+      if (existing) await touchHandoff(phoneNumber);
+
+      const entry = existing || await enqueueHandoff({ phoneNumber, reason, status: 'active', assignedTo });
+      return { session: null, entry };
+    }
+
+    session = await advanceSession(session, { status: 'handoff', last_interaction_at: new Date().toISOString() }) || session;
+
+    const entry = await enqueueHandoff({
+      phoneNumber,
+      sessionId: session.id,
+      flowId: session.flow_id,
+      reason,
+      status: 'active',
+      assignedTo,
+    });
+
+    return { session, entry };
+  });
+};
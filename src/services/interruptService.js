@@ -0,0 +1,59 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Interrupt keywords - workspace-level commands (STOP, START, MENU, AGENT, RESTART, HELP)
+ * that are checked before trigger routing and input handling
+ */
+
+export const INTERRUPT_ACTIONS = ['stop', 'start', 'menu', 'agent', 'restart', 'help'];
+
+// Keywords change rarely; cache them briefly instead of querying per message
+const CACHE_TTL = 30 * 1000;
+let keywordCache = { rows: null, cachedAt: 0 };
+
+/**
+ * Clear the cached keywords (call after they are updated)
+ */
+export const clearInterruptCache = () => {
+  keywordCache = { rows: null, cachedAt: 0 };
+};
+
+/**
+ * Lowercase, collapse whitespace and drop trailing punctuation so "Menu!" matches "menu"
+ */
+export const normalizeKeyword = (text) => String(text || '')
+  .trim()
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .replace(/[.!?]+$/, '');
+
+const getActiveInterrupts = async () => {
+  const now = Date.now();
+  if (keywordCache.rows && (now - keywordCache.cachedAt) < CACHE_TTL) {
+    return keywordCache.rows;
+  }
+
+  const { data, error } = await supabase
+    .from('interrupt_keywords')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  keywordCache = { rows: data || [], cachedAt: now };
+  return keywordCache.rows;
+};
+
+/**
+ * The interrupt a message triggers, or null. The whole message must be the keyword,
+ * so "help" interrupts but "I need help with my order" does not.
+ */
+export const findInterrupt = async (text) => {
+  const input = normalizeKeyword(text);
+  if (!input) return null;
+
+  const interrupts = await getActiveInterrupts();
+  return interrupts.find((interrupt) => (
+    (interrupt.keywords || []).some((keyword) => normalizeKeyword(keyword) === input)
+  )) || null;
+};
@@ -0,0 +1,220 @@
+import supabase from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * In-process job scheduler backed by the scheduled_jobs table.
+ * Jobs are rows, so anything pending survives a restart and is picked up on the next poll.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+// A job left 'running' this long was owned by a process that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const jobHandlers = new Map();
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * Register the function that runs jobs of a given type
+ */
+export const registerJobHandler = (jobType, handler) => {
+  jobHandlers.set(jobType, handler);
+};
+
+/**
+ * Store a job to run at runAt
+ */
+export const scheduleJob = async ({ jobType, runAt, sessionId, phoneNumber, flowId, nodeId, payload = {} }) => {
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .insert({
+      job_type: jobType,
+      run_at: runAt.toISOString(),
+      session_id: sessionId || null,
+      phone_number: phoneNumber || null,
+      flow_id: flowId || null,
+      node_id: nodeId || null,
+      payload,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[Scheduler] Scheduled ${jobType} job ${data.id} for ${data.run_at}`);
+  return data;
+};
+
+/**
+ * Cancel pending jobs for a phone number and/or session
+ */
+export const cancelPendingJobs = async ({ phoneNumber, sessionId, jobType } = {}) => {
+  let query = supabase
+    .from('scheduled_jobs')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('status', 'pending');
+
+  if (phoneNumber) query = query.eq('phone_number', phoneNumber);
+  if (sessionId) query = query.eq('session_id', sessionId);
+  if (jobType) query = query.eq('job_type', jobType);
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+
+  if (data?.length) {
+    console.log(`[Scheduler] Cancelled ${data.length} pending job(s)`, { phoneNumber, sessionId, jobType });
+  }
+  return data?.length || 0;
+};
+
+/**
+ * Of the given sessions, the ids of those with a job still waiting to run (pending or running)
+ */
+export const getSessionsWithOpenJobs = async (sessionIds) => {
+  if (sessionIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .select('session_id')
+    .in('session_id', sessionIds)
+    .in('status', ['pending', 'running']);
+
+  if (error) throw error;
+  return new Set((data || []).map((job) => job.session_id));
+};
+
+/**
+ * Put jobs whose worker died back in the queue
+ */
+const recoverStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS).toISOString();
+
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({ status: 'pending', locked_at: null, updated_at: new Date().toISOString() })
+    .eq('status', 'running')
+    .lt('locked_at', staleBefore);
+
+  if (error) {
+    logger.error('[Scheduler] Failed to recover stale jobs:', error.message);
+  }
+};
+
+/**
+ * Claim a pending job so no other poller runs it
+ */
+const claimJob = async (job) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('scheduled_jobs')
+    .update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_at: now,
+      updated_at: now,
+    })
+    .eq('id', job.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const finishJob = async (job, updates) => {
+  const { error } = await supabase
+    .from('scheduled_jobs')
+    .update({ ...updates, locked_at: null, updated_at: new Date().toISOString() })
+    .eq('id', job.id);
+
+  if (error) {
+    logger.error(`[Scheduler] Failed to update job ${job.id}:`, error.message);
+  }
+};
+
+const runJob = async (job) => {
+  const handler = jobHandlers.get(job.job_type);
+
+  if (!handler) {
+    logger.warn(`[Scheduler] No handler registered for job type: ${job.job_type}`);
+    await finishJob(job, { status: 'failed', last_error: `No handler for ${job.job_type}` });
+    return;
+  }
+
+  try {
+    await handler(job);
+    await finishJob(job, { status: 'completed', last_error: null });
+  } catch (error) {
+    logger.error(`[Scheduler] Job ${job.id} (${job.job_type}) failed:`, error.message);
+
+    if (job.attempts < MAX_ATTEMPTS) {
+      await finishJob(job, {
+        status: 'pending',
+        last_error: error.message,
+        run_at: new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString(),
+      });
+    } else {
+      await finishJob(job, { status: 'failed', last_error: error.message });
+    }
+  }
+};
+
+/**
+ * Run every job that is due
+ */
+export const runDueJobs = async () => {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    await recoverStaleJobs();
+
+    const { data: dueJobs, error } = await supabase
+      .from('scheduled_jobs')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw error;
+
+    for (const job of dueJobs || []) {
+      const claimed = await claimJob(job);
+      if (claimed) {
+        await runJob(claimed);
+      }
+    }
+  } catch (error) {
+    logger.error('[Scheduler] Poll failed:', error.message);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Start polling for due jobs
+ */
+export const startScheduler = () => {
+  if (pollTimer) return;
+
+  logger.info(`Scheduler polling every ${POLL_INTERVAL_MS / 1000}s`);
+  pollTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  runDueJobs();
+};
+
+/**
+ * Stop polling (used on shutdown)
+ */
+export const stopScheduler = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
@@ -0,0 +1,208 @@
+import supabase from '../config/supabase.js';
+import { cancelPendingJobs } from './scheduler.js';
+import { getPublishedVersionId } from './flowVersionService.js';
+import { traceEvent } from './traceService.js';
+import { recordDropOffs } from './analyticsService.js';
+
+/**
+ * Session service - per-contact flow state stored in contact_sessions
+ */
+
+const LIVE_STATUSES = ['active', 'paused', 'handoff'];
+
+// Per-phone promise chains so messages from the same contact are processed one at a time
+const sessionLocks = new Map();
+
+/**
+ * Run fn while holding the in-process lock for a phone number
+ */
+export const withSessionLock = async (phoneNumber, fn) => {
+  const previous = sessionLocks.get(phoneNumber) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+
+  sessionLocks.set(phoneNumber, current);
+
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(phoneNumber) === current) {
+      sessionLocks.delete(phoneNumber);
+    }
+  }
+};
+
+/**
+ * Get the live (active, paused or handed-off) session for a phone number
+ */
+export const getActiveSession = async (phoneNumber) => {
+  const { data, error } = await supabase
+    .from('contact_sessions')
+    .select('*')
+    .eq('phone_number', phoneNumber)
+    .in('status', LIVE_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Get a session by ID
+ */
+export const getSessionById = async (sessionId) => {
+  const { data, error } = await supabase
+    .from('contact_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Start a new session for a contact, expiring any session they are still in
+ * and cancelling jobs (e.g. delay resumes) that belonged to it.
+ * The session is pinned to the flow's published version; a flow that was never
+ * published throws.
+ */
+export const startSession = async (phoneNumber, flowId, context = {}) => {
+  const now = new Date().toISOString();
+
+  // Sessions never run a flow's draft; checked before the contact's current session ends
+  const flowVersionId = await getPublishedVersionId(flowId);
+  if (flowId && !flowVersionId) {
+    throw new Error(`Flow ${flowId} has not been published`);
+  }
+
+  await cancelPendingJobs({ phoneNumber });
+
+  const { data: superseded, error: expireError } = await supabase
+    .from('contact_sessions')
+    .update({ status: 'expired', end_reason: 'superseded', ended_at: now, updated_at: now })
+    .eq('phone_number', phoneNumber)
+    .in('status', LIVE_STATUSES)
+    .select('id, flow_id, current_node_id');
+
+  if (expireError) throw expireError;
+
+  await recordDropOffs(superseded, 'superseded');
+
+  const { data, error } = await supabase
+    .from('contact_sessions')
+    .insert({
+      phone_number: phoneNumber,
+      flow_id: flowId,
+      flow_version_id: flowVersionId,
+      current_node_id: null,
+      status: 'active',
+      context,
+      last_interaction_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[Session] Started session ${data.id} for ${phoneNumber} on flow ${flowId}`);
+  return data;
+};
+
+/**
+ * Advance a session with compare-and-set on its version.
+ * Returns the updated row, or null if another writer changed the session first.
+ */
+export const advanceSession = async (session, updates) => {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('contact_sessions')
+    .update({
+      // Trace events the engine appended in memory are saved with every update
+      ...(Array.isArray(session.execution_trace) && { execution_trace: session.execution_trace }),
+      ...updates,
+      version: session.version + 1,
+      updated_at: now,
+    })
+    .eq('id', session.id)
+    .eq('version', session.version)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    console.warn(`[Session] Version conflict on session ${session.id} (expected v${session.version})`);
+  }
+
+  return data;
+};
+
+/**
+ * Record an inbound message on the session without moving it
+ */
+export const touchSession = async (session) => {
+  return advanceSession(session, { last_interaction_at: new Date().toISOString(), reminder_sent_at: null });
+};
+
+/**
+ * Close a session as completed or expired. reason is stored in end_reason.
+ */
+export const endSession = async (session, status = 'completed', reason = status) => {
+  const now = new Date().toISOString();
+
+  traceEvent(session, 'session_ended', { status, reason });
+
+  const ended = await advanceSession(session, {
+    status,
+    end_reason: reason,
+    current_node_id: null,
+    ended_at: now,
+  });
+
+  if (ended) {
+    await recordDropOffs([session], reason);
+  }
+  return ended;
+};
+
+/**
+ * Page through sessions in status (default 'active') with no interaction since idleBefore, oldest first
+ */
+export const getIdleSessions = async (idleBefore, { offset = 0, limit = 100, status = 'active' } = {}) => {
+  const { data, error } = await supabase
+    .from('contact_sessions')
+    .select('*')
+    .eq('status', status)
+    .lt('last_interaction_at', idleBefore.toISOString())
+    .order('last_interaction_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Expire an abandoned session, recording the node the contact dropped off at.
+ * reason is stored in end_reason: inactivity, resume_lost or handoff_timeout.
+ */
+export const expireSession = async (session, reason = 'inactivity') => {
+  const now = new Date().toISOString();
+
+  traceEvent(session, 'session_ended', { status: 'expired', reason, nodeId: session.current_node_id });
+
+  const expired = await advanceSession(session, {
+    status: 'expired',
+    end_reason: reason,
+    dropped_off_node_id: session.current_node_id,
+    current_node_id: null,
+    ended_at: now,
+  });
+
+  if (expired) {
+    await recordDropOffs([session], reason);
+  }
+  return expired;
+};
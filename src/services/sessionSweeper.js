@@ -0,0 +1,229 @@
+import supabase from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { interpolate } from '../utils/interpolate.js';
+import { withSessionLock, getSessionById, getIdleSessions, advanceSession, expireSession } from './sessionService.js';
+import { cancelPendingJobs, getSessionsWithOpenJobs } from './scheduler.js';
+import { closeHandoff, closeIdleHandoffs } from './handoffService.js';
+import { sendReply, getSessionVariables } from './flowEngine.js';
+
+/**
+ * In-process sweeper for abandoned sessions: sends each flow's inactivity
+ * reminder once and expires sessions that stay silent past the flow's timeout.
+ * Paused sessions are expired when their delay job is gone (resume_lost), and
+ * handed-off sessions when neither contact nor agent has written for
+ * HANDOFF_TIMEOUT_HOURS (handoff_timeout) - otherwise both would stay live forever.
+ * Handoffs made outside a flow have no session; their queue entries close on the same timeout.
+ */
+
+const SWEEP_INTERVAL_MS = Number(process.env.SESSION_SWEEP_INTERVAL_MS) || 60 * 1000;
+const DEFAULT_TIMEOUT_HOURS = Number(process.env.SESSION_TIMEOUT_HOURS) || 24;
+const HANDOFF_TIMEOUT_HOURS = Number(process.env.HANDOFF_TIMEOUT_HOURS) || 72;
+// A paused session is only checked for its resume job once it has been parked this long
+const PAUSED_GRACE_MS = 15 * 60 * 1000;
+const PAGE_SIZE = 100;
+
+let sweepTimer = null;
+let isSweeping = false;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Inactivity settings for every flow, keyed by flow id
+ */
+const getFlowSettings = async () => {
+  const { data, error } = await supabase
+    .from('flows')
+    .select('id, reminder_after_minutes, reminder_message, session_timeout_hours');
+
+  if (error) throw error;
+
+  const settings = new Map();
+  (data || []).forEach((flow) => {
+    settings.set(flow.id, {
+      reminderMs: flow.reminder_after_minutes && flow.reminder_message
+        ? flow.reminder_after_minutes * MINUTE_MS
+        : null,
+      reminderMessage: flow.reminder_message,
+      timeoutMs: Number(flow.session_timeout_hours || DEFAULT_TIMEOUT_HOURS) * HOUR_MS,
+    });
+  });
+  return settings;
+};
+
+const getDefaultSettings = () => ({
+  reminderMs: null,
+  reminderMessage: null,
+  timeoutMs: DEFAULT_TIMEOUT_HOURS * HOUR_MS,
+});
+
+/**
+ * Send a reminder or expire one idle session. Re-reads the session under its lock
+ * so a message that arrived meanwhile wins.
+ */
+const sweepSession = async (candidate, settings, now) => withSessionLock(candidate.phone_number, async () => {
+  const session = await getSessionById(candidate.id);
+  if (!session || session.status !== 'active') return null;
+
+  const idleMs = now - new Date(session.last_interaction_at).getTime();
+
+  if (idleMs >= settings.timeoutMs) {
+    const expired = await expireSession(session);
+    if (!expired) return null;
+
+    await cancelPendingJobs({ sessionId: session.id });
+    console.log(`[Sweeper] Session ${session.id} expired after ${Math.round(idleMs / MINUTE_MS)} min (dropped off at ${session.current_node_id || 'start'})`);
+    return 'expired';
+  }
+
+  if (settings.reminderMs && !session.reminder_sent_at && idleMs >= settings.reminderMs) {
+    // Claim the reminder first so it is sent at most once
+    const claimed = await advanceSession(session, { reminder_sent_at: new Date(now).toISOString() });
+    if (!claimed) return null;
+
+    const variables = getSessionVariables(session, session.phone_number);
+    await sendReply({
+      messaging_product: 'whatsapp',
+      to: session.phone_number,
+      type: 'text',
+      text: { body: interpolate(settings.reminderMessage, variables) }
+    }, session.flow_id, session.current_node_id);
+
+    console.log(`[Sweeper] Reminder sent to ${session.phone_number} (session ${session.id})`);
+    return 'reminded';
+  }
+
+  return null;
+});
+
+/**
+ * Expire one stalled paused or handed-off session, re-checked under its lock
+ */
+const expireStalledSession = async (candidate, reason) => withSessionLock(candidate.phone_number, async () => {
+  const session = await getSessionById(candidate.id);
+  if (!session || session.status !== candidate.status || session.version !== candidate.version) return false;
+
+  const expired = await expireSession(session, reason);
+  if (!expired) return false;
+
+  if (reason === 'handoff_timeout') {
+    await closeHandoff(session.phone_number, 'expired');
+  }
+  await cancelPendingJobs({ sessionId: session.id });
+  console.log(`[Sweeper] Session ${session.id} expired (${reason}) at ${session.current_node_id || 'start'}`);
+  return true;
+});
+
+/**
+ * Expire paused sessions whose resume job is gone and handoffs nobody answered
+ */
+const sweepStalledSessions = async (now) => {
+  const passes = [
+    { status: 'paused', idleBefore: new Date(now - PAUSED_GRACE_MS), reason: 'resume_lost' },
+    { status: 'handoff', idleBefore: new Date(now - HANDOFF_TIMEOUT_HOURS * HOUR_MS), reason: 'handoff_timeout' },
+  ];
+  let expiredCount = 0;
+
+  for (const { status, idleBefore, reason } of passes) {
+    let offset = 0;
+
+    while (true) {
+      const sessions = await getIdleSessions(idleBefore, { offset, limit: PAGE_SIZE, status });
+      // Paused sessions with a delay job still to run are waiting as intended
+      const waiting = status === 'paused'
+        ? await getSessionsWithOpenJobs(sessions.map((session) => session.id))
+        : new Set();
+      let expiredInPage = 0;
+
+      for (const session of sessions.filter((item) => !waiting.has(item.id))) {
+        try {
+          if (await expireStalledSession(session, reason)) expiredInPage += 1;
+        } catch (error) {
+          logger.error(`[Sweeper] Failed to expire session ${session.id}:`, error.message);
+        }
+      }
+
+      expiredCount += expiredInPage;
+      if (sessions.length < PAGE_SIZE) break;
+      offset += PAGE_SIZE - expiredInPage;
+    }
+  }
+
+  return expiredCount;
+};
+
+/**
+ * Check every idle active session once, then the stalled paused and handed-off ones
+ */
+export const sweepInactiveSessions = async () => {
+  if (isSweeping) return;
+  isSweeping = true;
+
+  try {
+    const flowSettings = await getFlowSettings();
+    const now = Date.now();
+
+    // Nothing can be due before the shortest reminder or timeout
+    const thresholds = [getDefaultSettings(), ...flowSettings.values()]
+      .flatMap((settings) => [settings.reminderMs, settings.timeoutMs])
+      .filter(Boolean);
+    const idleBefore = new Date(now - Math.min(...thresholds));
+
+    const counts = { reminded: 0, expired: 0 };
+    let offset = 0;
+
+    while (true) {
+      const sessions = await getIdleSessions(idleBefore, { offset, limit: PAGE_SIZE });
+      let expiredInPage = 0;
+
+      for (const session of sessions) {
+        try {
+          const result = await sweepSession(session, flowSettings.get(session.flow_id) || getDefaultSettings(), now);
+          if (result) counts[result] += 1;
+          if (result === 'expired') expiredInPage += 1;
+        } catch (error) {
+          logger.error(`[Sweeper] Failed to sweep session ${session.id}:`, error.message);
+        }
+      }
+
+      if (sessions.length < PAGE_SIZE) break;
+      // Expired rows drop out of the result set; reminded ones stay in it
+      offset += PAGE_SIZE - expiredInPage;
+    }
+
+    counts.expired += await sweepStalledSessions(now);
+    const closedHandoffs = await closeIdleHandoffs(new Date(now - HANDOFF_TIMEOUT_HOURS * HOUR_MS));
+
+    if (counts.reminded || counts.expired) {
+      logger.info(`[Sweeper] Sent ${counts.reminded} reminder(s), expired ${counts.expired} session(s)`);
+    }
+    if (closedHandoffs) {
+      logger.info(`[Sweeper] Closed ${closedHandoffs} unanswered handoff(s) without a session`);
+    }
+  } catch (error) {
+    logger.error('[Sweeper] Sweep failed:', error.message);
+  } finally {
+    isSweeping = false;
+  }
+};
+
+/**
+ * Start sweeping on an interval
+ */
+export const startSessionSweeper = () => {
+  if (sweepTimer) return;
+
+  logger.info(`Session sweeper running every ${SWEEP_INTERVAL_MS / 1000}s`);
+  sweepTimer = setInterval(sweepInactiveSessions, SWEEP_INTERVAL_MS);
+  sweepInactiveSessions();
+};
+
+/**
+ * Stop sweeping (used on shutdown)
+ */
+export const stopSessionSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
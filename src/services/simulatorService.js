@@ -0,0 +1,168 @@
+import { randomUUID } from 'crypto';
+import { withSessionLock } from './sessionService.js';
+import { startSimulation as startSimulatedSession, processSimulatedMessage, getSessionVariables } from './flowEngine.js';
+
+/**
+ * Flow simulator - dry-run conversations against a flow's draft.
+ * Simulated sessions live in memory: nothing goes to the Graph API and nothing is
+ * written to contact_sessions or conversations. HTTP nodes use mocked responses; without
+ * one they only make the real request when the step opts in with liveHttp.
+ */
+
+const SIMULATION_TTL_MS = 30 * 60 * 1000;
+const MAX_SIMULATIONS = 200;
+const DEFAULT_PHONE_NUMBER = '10000000000';
+
+const simulations = new Map();
+
+const pruneSimulations = () => {
+  const now = Date.now();
+  simulations.forEach((session, id) => {
+    if (now - session.simulation.lastActiveAt > SIMULATION_TTL_MS) {
+      simulations.delete(id);
+    }
+  });
+
+  // Still full: drop the least recently used
+  while (simulations.size >= MAX_SIMULATIONS) {
+    const [oldestId] = [...simulations.entries()]
+      .sort(([, a], [, b]) => a.simulation.lastActiveAt - b.simulation.lastActiveAt)[0];
+    simulations.delete(oldestId);
+  }
+};
+
+/**
+ * Build a raw WhatsApp webhook message from simulator input:
+ * { text }, { buttonId, title }, { listRowId, title, description } or { message } (a raw message object)
+ */
+export const toInboundMessage = (input, phoneNumber) => {
+  const base = {
+    id: `sim.${randomUUID()}`,
+    from: phoneNumber,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+  };
+
+  if (input?.message && typeof input.message === 'object') {
+    return { ...base, ...input.message, from: phoneNumber };
+  }
+  if (input?.buttonId) {
+    return {
+      ...base,
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id: input.buttonId, title: input.title || input.buttonId } },
+    };
+  }
+  if (input?.listRowId) {
+    return {
+      ...base,
+      type: 'interactive',
+      interactive: {
+        type: 'list_reply',
+        list_reply: { id: input.listRowId, title: input.title || input.listRowId, description: input.description },
+      },
+    };
+  }
+  if (typeof input?.text === 'string') {
+    return { ...base, type: 'text', text: { body: input.text } };
+  }
+  return null;
+};
+
+/**
+ * Result of one simulator step: messages and nodes since `mark`, plus the session state
+ */
+const snapshot = (session, mark) => ({
+  simulationId: session.id,
+  flowId: session.simulation.flowId,
+  currentFlowId: session.flow_id,
+  status: session.status,
+  currentNodeId: session.current_node_id,
+  messages: session.simulation.outbox.slice(mark.outbox),
+  path: session.simulation.path.slice(mark.path),
+  httpRequests: session.simulation.requests.slice(mark.requests),
+  variables: getSessionVariables(session, session.phone_number),
+  callStack: session.call_stack.map((frame) => ({ flowId: frame.flowId, nodeId: frame.nodeId })),
+});
+
+const markOf = (session) => ({
+  outbox: session.simulation.outbox.length,
+  path: session.simulation.path.length,
+  requests: session.simulation.requests.length,
+});
+
+/**
+ * Start a simulation on a flow's draft and run it up to the first node that waits for a reply.
+ * options: { variables, httpMocks: { [nodeId]: mock }, contactName, phoneNumber, liveHttp }
+ * liveHttp lets HTTP nodes without a mock make their real request during this step only.
+ */
+export const createSimulation = async (flowId, { variables = {}, httpMocks = {}, contactName = null, phoneNumber = null, liveHttp = false } = {}) => {
+  pruneSimulations();
+
+  const id = randomUUID();
+  const session = {
+    id,
+    phone_number: phoneNumber || DEFAULT_PHONE_NUMBER,
+    flow_id: flowId,
+    flow_version_id: null,
+    current_node_id: null,
+    status: 'active',
+    context: { ...(contactName && { customer_name: contactName }), ...variables },
+    call_stack: [],
+    retry_count: 0,
+    simulation: { flowId, outbox: [], path: [], requests: [], httpMocks, liveHttp: liveHttp === true, lastActiveAt: Date.now() },
+  };
+
+  simulations.set(id, session);
+  console.log(`[Simulator] Started simulation ${id} on flow ${flowId}`);
+
+  return withSessionLock(`simulation:${id}`, async () => {
+    await startSimulatedSession(session);
+    return snapshot(session, { outbox: 0, path: 0, requests: 0 });
+  });
+};
+
+/**
+ * Get a simulation by id (null once expired or deleted)
+ */
+export const getSimulation = (id) => {
+  const session = simulations.get(id);
+  if (!session) return null;
+
+  if (Date.now() - session.simulation.lastActiveAt > SIMULATION_TTL_MS) {
+    simulations.delete(id);
+    return null;
+  }
+  return session;
+};
+
+/**
+ * Send one simulated inbound message. Returns null when the input is not recognised.
+ * options.httpMocks are merged into the simulation's mocks before the step runs;
+ * options.liveHttp allows real requests for this step only, as for createSimulation.
+ */
+export const sendSimulatedMessage = async (session, input, { httpMocks, liveHttp = false } = {}) => {
+  const rawMessage = toInboundMessage(input, session.phone_number);
+  if (!rawMessage) return null;
+
+  return withSessionLock(`simulation:${session.id}`, async () => {
+    if (httpMocks) {
+      session.simulation.httpMocks = { ...session.simulation.httpMocks, ...httpMocks };
+    }
+    session.simulation.liveHttp = liveHttp === true;
+    session.simulation.lastActiveAt = Date.now();
+
+    const mark = markOf(session);
+    await processSimulatedMessage(session, rawMessage);
+    return snapshot(session, mark);
+  });
+};
+
+/**
+ * Full transcript of a simulation so far
+ */
+export const getSimulationState = (session) => snapshot(session, { outbox: 0, path: 0, requests: 0 });
+
+/**
+ * Discard a simulation
+ */
+export const deleteSimulation = (id) => simulations.delete(id);
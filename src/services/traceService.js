@@ -0,0 +1,131 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Execution trace - what the engine did for a session, step by step, kept in
+ * contact_sessions.execution_trace. Events are appended to the session in memory and
+ * saved with the session's next update. Errors are also written to error_logs.
+ */
+
+// Oldest events are dropped past this, so long-running sessions stay small
+const MAX_TRACE_EVENTS = 300;
+
+// Longest string / serialized value stored in an event
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * Shorten a value for the trace: long strings are cut, large objects become a preview
+ */
+export const summarizeValue = (value, maxLength = MAX_VALUE_LENGTH) => {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+  }
+  if (typeof value !== 'object') return value;
+
+  let serialized;
+  try {
+    serialized = JSON.stringify(value);
+  } catch {
+    return '[unserializable]';
+  }
+  return serialized.length > maxLength ? { truncated: true, preview: `${serialized.slice(0, maxLength)}…` } : value;
+};
+
+/**
+ * Append an event to the session's trace.
+ * type is one of: session_started, message_received, interrupt, node_entered, message_sent,
+ * http_request, variable_set, input_invalid, branch_chosen, subflow_entered, subflow_returned,
+ * delay_scheduled, handoff, resumed, session_ended, version_conflict, error.
+ */
+export const traceEvent = (session, type, data = {}) => {
+  if (!session) return;
+
+  const event = {
+    at: new Date().toISOString(),
+    type,
+    flowId: session.flow_id || null,
+    ...data,
+  };
+
+  const trace = [...(session.execution_trace || []), event];
+  session.execution_trace = trace.length > MAX_TRACE_EVENTS ? trace.slice(-MAX_TRACE_EVENTS) : trace;
+};
+
+/**
+ * Record a failed step: an error event on the session's trace plus a row in error_logs.
+ * Never throws - a failing log write must not break the conversation.
+ */
+export const logExecutionError = async (session, phoneNumber, context, error) => {
+  const message = error?.message || String(error);
+
+  traceEvent(session, 'error', { context, message });
+
+  // Simulated sessions only keep the in-memory trace
+  if (session?.simulation) return;
+
+  try {
+    const { error: insertError } = await supabase
+      .from('error_logs')
+      .insert({
+        phone_number: phoneNumber,
+        context,
+        error_message: message,
+        error_stack: error?.stack || null,
+      });
+
+    if (insertError) throw insertError;
+  } catch (logError) {
+    console.error('[Trace] Failed to write error log:', logError.message);
+  }
+};
+
+/**
+ * Sessions of a phone number with their traces, newest first, plus recent error_logs rows.
+ * sessionId narrows the result to one session.
+ */
+export const getConversationTrace = async (phoneNumber, { sessionId = null, limit = 5 } = {}) => {
+  let sessionQuery = supabase
+    .from('contact_sessions')
+    .select('id, flow_id, flow_version_id, status, end_reason, current_node_id, execution_trace, created_at, ended_at')
+    .eq('phone_number', phoneNumber)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (sessionId) {
+    sessionQuery = sessionQuery.eq('id', sessionId);
+  }
+
+  const [{ data: sessions, error: sessionsError }, { data: errors, error: errorsError }] = await Promise.all([
+    sessionQuery,
+    supabase
+      .from('error_logs')
+      .select('id, context, error_message, timestamp')
+      .eq('phone_number', phoneNumber)
+      .order('timestamp', { ascending: false })
+      .limit(50),
+  ]);
+
+  if (sessionsError) throw sessionsError;
+  if (errorsError) throw errorsError;
+
+  return {
+    sessions: (sessions || []).map((session) => ({
+      sessionId: session.id,
+      flowId: session.flow_id,
+      flowVersionId: session.flow_version_id,
+      status: session.status,
+      endReason: session.end_reason,
+      currentNodeId: session.current_node_id,
+      startedAt: session.created_at,
+      endedAt: session.ended_at,
+      trace: session.execution_trace || [],
+    })),
+    errors: (errors || []).map((row) => ({
+      id: row.id,
+      context: row.context,
+      message: row.error_message,
+      at: row.timestamp,
+    })),
+  };
+};
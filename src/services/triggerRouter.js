@@ -0,0 +1,145 @@
+import supabase from '../config/supabase.js';
+
+/**
+ * Trigger router - picks the flow an inbound message starts from the flows' keyword rules
+ */
+
+// Active keyword flows change rarely; cache them briefly instead of querying per message
+const CACHE_TTL = 30 * 1000;
+let flowCache = { flows: null, cachedAt: 0 };
+
+// More specific match types win ties between flows with the same priority
+const MATCH_TYPE_RANK = {
+  exact: 4,
+  starts_with: 3,
+  contains_word: 2,
+  regex: 1,
+};
+
+/**
+ * Clear the cached flow list (call after flows are created, updated or deleted)
+ */
+export const clearTriggerCache = () => {
+  flowCache = { flows: null, cachedAt: 0 };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Keywords from trigger_value: comma-separated list, or a single pattern for regex rules
+ */
+const getKeywords = (flow) => {
+  const value = flow.trigger_value || '';
+  if (flow.trigger_match_type === 'regex') {
+    return value.trim() ? [value.trim()] : [];
+  }
+  return value.split(',').map((keyword) => keyword.trim()).filter(Boolean);
+};
+
+/**
+ * Does inbound text match a flow's trigger rule?
+ */
+export const matchesTrigger = (text, flow) => {
+  if (!text || typeof text !== 'string') return false;
+
+  const matchType = flow.trigger_match_type || 'contains_word';
+  const caseSensitive = flow.trigger_case_sensitive === true;
+  const input = caseSensitive ? text.trim() : text.trim().toLowerCase();
+
+  return getKeywords(flow).some((keyword) => {
+    const candidate = caseSensitive ? keyword : keyword.toLowerCase();
+
+    switch (matchType) {
+      case 'exact':
+        return input === candidate;
+      case 'starts_with':
+        return input.startsWith(candidate);
+      case 'contains_word':
+        // Whole words only, so "hi" does not match "this" or "shipping"
+        return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(candidate)}(?![\\p{L}\\p{N}_])`, 'u').test(input);
+      case 'regex':
+        try {
+          return new RegExp(keyword, caseSensitive ? 'u' : 'iu').test(text.trim());
+        } catch (e) {
+          console.error(`[Trigger] Invalid regex on flow ${flow.id}: ${keyword}`);
+          return false;
+        }
+      default:
+        return false;
+    }
+  });
+};
+
+/**
+ * Active keyword-triggered flows (cached)
+ */
+const getActiveKeywordFlows = async () => {
+  const now = Date.now();
+  if (flowCache.flows && (now - flowCache.cachedAt) < CACHE_TTL) {
+    return flowCache.flows;
+  }
+
+  const { data, error } = await supabase
+    .from('flows')
+    .select('*')
+    .eq('is_active', true)
+    .eq('trigger_type', 'keyword');
+
+  if (error) throw error;
+
+  flowCache = { flows: data || [], cachedAt: now };
+  return flowCache.flows;
+};
+
+/**
+ * Pick the flow a message triggers.
+ * Conflicts resolve by trigger_priority, then match specificity, then oldest flow.
+ * With flowId set, only that flow's rules are considered.
+ */
+export const findTriggeredFlow = async (text, { flowId } = {}) => {
+  let candidates;
+
+  if (flowId) {
+    const { data, error } = await supabase
+      .from('flows')
+      .select('*')
+      .eq('id', flowId)
+      .maybeSingle();
+
+    if (error) throw error;
+    candidates = data ? [data] : [];
+  } else {
+    candidates = await getActiveKeywordFlows();
+  }
+
+  const matches = candidates.filter((flow) => matchesTrigger(text, flow));
+  if (matches.length === 0) return null;
+
+  matches.sort((a, b) => (
+    (b.trigger_priority || 0) - (a.trigger_priority || 0)
+    || (MATCH_TYPE_RANK[b.trigger_match_type] || 0) - (MATCH_TYPE_RANK[a.trigger_match_type] || 0)
+    || new Date(a.created_at) - new Date(b.created_at)
+  ));
+
+  if (matches.length > 1) {
+    console.log(`[Trigger] ${matches.length} flows matched "${text}" - using ${matches[0].id} (priority ${matches[0].trigger_priority || 0})`);
+  }
+
+  return matches[0];
+};
+
+/**
+ * The fallback flow for messages no trigger matches
+ */
+export const getDefaultFlow = async () => {
+  const { data, error } = await supabase
+    .from('flows')
+    .select('*')
+    .eq('is_default', true)
+    .eq('is_active', true)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,115 @@
+/**
+ * Condition node helpers - evaluate branch rules against flow variables
+ */
+
+import { getValueByPath, interpolate } from './interpolate.js';
+
+export const CONDITION_OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'starts_with',
+  'ends_with',
+  'regex',
+  'greater_than',
+  'greater_than_or_equal',
+  'less_than',
+  'less_than_or_equal',
+  'is_empty',
+  'is_not_empty',
+  'in_list',
+  'not_in_list',
+];
+
+const isEmpty = (value) => (
+  value === undefined
+  || value === null
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+);
+
+const toText = (value, caseSensitive) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map((item) => item.trim());
+};
+
+const compareNumbers = (actual, expected, compare) => {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (isEmpty(actual) || Number.isNaN(a) || Number.isNaN(b)) return false;
+  return compare(a, b);
+};
+
+/**
+ * Evaluate a single rule: { variable, operator, value, caseSensitive }
+ */
+export const evaluateRule = (rule, variables = {}) => {
+  const actual = getValueByPath(variables, rule.variable);
+  const expected = typeof rule.value === 'string' ? interpolate(rule.value, variables) : rule.value;
+  const caseSensitive = rule.caseSensitive === true;
+
+  switch (rule.operator) {
+    case 'equals':
+      return toText(actual, caseSensitive) === toText(expected, caseSensitive);
+    case 'not_equals':
+      return toText(actual, caseSensitive) !== toText(expected, caseSensitive);
+    case 'contains':
+      return toText(actual, caseSensitive).includes(toText(expected, caseSensitive));
+    case 'not_contains':
+      return !toText(actual, caseSensitive).includes(toText(expected, caseSensitive));
+    case 'starts_with':
+      return toText(actual, caseSensitive).startsWith(toText(expected, caseSensitive));
+    case 'ends_with':
+      return toText(actual, caseSensitive).endsWith(toText(expected, caseSensitive));
+    case 'regex':
+      try {
+        return new RegExp(expected, caseSensitive ? '' : 'i').test(toText(actual, true));
+      } catch (e) {
+        console.error(`❌ Invalid condition regex: ${expected}`);
+        return false;
+      }
+    case 'greater_than':
+      return compareNumbers(actual, expected, (a, b) => a > b);
+    case 'greater_than_or_equal':
+      return compareNumbers(actual, expected, (a, b) => a >= b);
+    case 'less_than':
+      return compareNumbers(actual, expected, (a, b) => a < b);
+    case 'less_than_or_equal':
+      return compareNumbers(actual, expected, (a, b) => a <= b);
+    case 'is_empty':
+      return isEmpty(actual);
+    case 'is_not_empty':
+      return !isEmpty(actual);
+    case 'in_list':
+      return toList(expected).some((item) => toText(item, caseSensitive) === toText(actual, caseSensitive));
+    case 'not_in_list':
+      return !toList(expected).some((item) => toText(item, caseSensitive) === toText(actual, caseSensitive));
+    default:
+      console.warn(`⚠️ Unknown condition operator: ${rule.operator}`);
+      return false;
+  }
+};
+
+/**
+ * Find the first branch whose rules match.
+ * Branch shape: { branch_id, label, match: 'all' | 'any', rules: [...] }
+ */
+export const findMatchingBranch = (branches = [], variables = {}) => {
+  return branches.find((branch) => {
+    const rules = branch.rules || [];
+    if (rules.length === 0) return false;
+
+    return branch.match === 'any'
+      ? rules.some((rule) => evaluateRule(rule, variables))
+      : rules.every((rule) => evaluateRule(rule, variables));
+  }) || null;
+};
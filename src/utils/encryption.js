@@ -0,0 +1,58 @@
+/**
+ * AES-256-GCM helpers for secrets stored at rest
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+export const SECRET_MASK = '********';
+
+/**
+ * 32-byte key derived from CREDENTIALS_ENCRYPTION_KEY
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serializable value into "iv:authTag:ciphertext" (base64 parts)
+ */
+export const encryptSecret = (value) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, ciphertext].map((part) => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = String(payload).split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  return JSON.parse(plaintext);
+};
+
+/**
+ * Is this value a mask sent back by the client instead of a real secret?
+ */
+export const isMaskedSecret = (value) => typeof value === 'string' && value.startsWith(SECRET_MASK);
+
+/**
+ * Short keyed fingerprint of a secret: tells two secrets apart without revealing
+ * any of their characters (an unkeyed hash of a password could be brute-forced)
+ */
+export const fingerprintSecret = (value) => (
+  crypto.createHmac('sha256', getKey()).update(JSON.stringify(value)).digest('hex').slice(0, 12)
+);
@@ -0,0 +1,141 @@
+/**
+ * Normalize inbound WhatsApp Cloud API messages into one model:
+ * { id, from, timestamp, type, text, replyId, payload, summary, context }
+ *
+ * - type: text, reply, image, video, audio, document, sticker, location, contacts, reaction, unsupported
+ * - text: what the user typed (text body, media caption, reply title), or null
+ * - replyId: button / list row id or template quick-reply payload, used for routing
+ * - payload: type-specific data stored in conversations.payload and given to input nodes
+ * - summary: readable one-line version stored in conversations.message
+ */
+
+export const INBOUND_MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+);
+
+const withLabel = (type, label) => `[${type}]${label ? ` ${label}` : ''}`;
+
+const normalizeMedia = (message) => {
+  const media = message[message.type] || {};
+  const payload = compact({
+    id: media.id,
+    mime_type: media.mime_type,
+    sha256: media.sha256,
+    caption: media.caption,
+    filename: media.filename,
+    voice: media.voice,
+    animated: media.animated,
+  });
+
+  return {
+    type: message.type,
+    text: media.caption || null,
+    payload,
+    summary: withLabel(message.type, media.caption || media.filename),
+  };
+};
+
+const normalizeLocation = (message) => {
+  const location = message.location || {};
+  const payload = compact({
+    latitude: location.latitude,
+    longitude: location.longitude,
+    name: location.name,
+    address: location.address,
+    url: location.url,
+  });
+  const label = location.name || location.address || `${location.latitude},${location.longitude}`;
+
+  return { type: 'location', text: null, payload, summary: withLabel('location', label) };
+};
+
+const normalizeContacts = (message) => {
+  const contacts = (message.contacts || []).map((contact) => compact({
+    name: contact.name?.formatted_name || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' ') || undefined,
+    phones: (contact.phones || []).map((phone) => phone.wa_id || phone.phone).filter(Boolean),
+    emails: (contact.emails || []).map((email) => email.email).filter(Boolean),
+  }));
+
+  return {
+    type: 'contacts',
+    text: null,
+    payload: { contacts },
+    summary: withLabel('contacts', contacts.map((contact) => contact.name).filter(Boolean).join(', ')),
+  };
+};
+
+const normalizeInteractive = (message) => {
+  const interactive = message.interactive || {};
+  const reply = interactive.button_reply || interactive.list_reply;
+
+  if (!reply) {
+    return {
+      type: 'unsupported',
+      text: null,
+      payload: { interactive },
+      summary: withLabel(`interactive:${interactive.type || 'unknown'}`),
+    };
+  }
+
+  return {
+    type: 'reply',
+    text: reply.title || null,
+    replyId: reply.id,
+    payload: compact({ kind: interactive.type, id: reply.id, title: reply.title, description: reply.description }),
+    summary: reply.title || withLabel('reply', reply.id),
+  };
+};
+
+/**
+ * Normalize a single entry of value.messages from the webhook payload
+ */
+export const normalizeInboundMessage = (message) => {
+  let normalized;
+
+  if (message.type === 'text') {
+    normalized = { type: 'text', text: message.text?.body || '', payload: null, summary: message.text?.body || '' };
+  } else if (message.type === 'interactive') {
+    normalized = normalizeInteractive(message);
+  } else if (message.type === 'button') {
+    // Quick-reply button on a template message
+    normalized = {
+      type: 'reply',
+      text: message.button?.text || null,
+      replyId: message.button?.payload,
+      payload: compact({ kind: 'template_button', id: message.button?.payload, title: message.button?.text }),
+      summary: message.button?.text || withLabel('reply', message.button?.payload),
+    };
+  } else if (INBOUND_MEDIA_TYPES.includes(message.type)) {
+    normalized = normalizeMedia(message);
+  } else if (message.type === 'location') {
+    normalized = normalizeLocation(message);
+  } else if (message.type === 'contacts') {
+    normalized = normalizeContacts(message);
+  } else if (message.type === 'reaction') {
+    const reaction = message.reaction || {};
+    normalized = {
+      type: 'reaction',
+      text: null,
+      payload: compact({ message_id: reaction.message_id, emoji: reaction.emoji }),
+      summary: withLabel('reaction', reaction.emoji || 'removed'),
+    };
+  } else {
+    normalized = {
+      type: 'unsupported',
+      text: null,
+      payload: { original_type: message.type, errors: message.errors },
+      summary: withLabel(message.type || 'unsupported'),
+    };
+  }
+
+  return {
+    id: message.id,
+    from: message.from,
+    timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : null,
+    replyId: null,
+    context: message.context || null,
+    ...normalized,
+  };
+};
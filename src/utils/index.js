@@ -5,3 +5,9 @@
 export * from './logger.js';
 export * from './response.js';
 export * from './constants.js';
+export * from './interpolate.js';
+export * from './conditions.js';
+export * from './validators.js';
+export * from './jsonPath.js';
+export * from './encryption.js';
+export * from './inboundMessage.js';
@@ -0,0 +1,56 @@
+/**
+ * Flow variable helpers - resolve {{variable}} and {{variable.path}} placeholders
+ */
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w-]+(?:\.[\w-]+)*)\s*\}\}/g;
+
+/**
+ * Read a dotted path (e.g. "order.items.0.name") from an object
+ */
+export const getValueByPath = (data, path) => {
+  if (!path) return undefined;
+
+  let value = data;
+  for (const key of path.split('.')) {
+    if (value !== null && typeof value === 'object' && key in value) {
+      value = value[key];
+    } else {
+      return undefined;
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Replace placeholders in a string. Unknown variables are left untouched.
+ */
+export const interpolate = (text, variables = {}) => {
+  if (!text || typeof text !== 'string') return text;
+
+  return text.replace(PLACEHOLDER_REGEX, (match, path) => {
+    const value = getValueByPath(variables, path);
+
+    if (value === undefined || value === null) return match;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+};
+
+/**
+ * Replace placeholders in every string inside an object or array
+ */
+export const interpolateDeep = (value, variables = {}) => {
+  if (typeof value === 'string') return interpolate(value, variables);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolateDeep(item, variables));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolateDeep(item, variables)])
+    );
+  }
+
+  return value;
+};
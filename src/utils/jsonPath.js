@@ -0,0 +1,54 @@
+/**
+ * Minimal JSONPath-style lookups for mapping HTTP responses into flow variables.
+ * Supports $.a.b, $.items[0].name, $['some key'], $.items[*].id and a bare a.b path.
+ */
+
+const TOKEN_REGEX = /\.?([^.[\]]+)|\[(\d+|\*)\]|\[['"]([^'"]+)['"]\]/g;
+
+/**
+ * Split an expression into path segments ('*' marks a wildcard)
+ */
+const tokenize = (expression) => {
+  const path = expression.trim().replace(/^\$/, '');
+  const tokens = [];
+  let match;
+
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(path)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+};
+
+/**
+ * Evaluate an expression against data. Wildcards return arrays; missing paths return undefined.
+ */
+export const queryJsonPath = (data, expression) => {
+  if (!expression || expression.trim() === '$') return data;
+
+  let results = [data];
+  let hasWildcard = false;
+
+  for (const token of tokenize(expression)) {
+    const next = [];
+
+    results.forEach((value) => {
+      if (value === null || value === undefined) return;
+
+      if (token === '*') {
+        hasWildcard = true;
+        if (Array.isArray(value)) next.push(...value);
+        else if (typeof value === 'object') next.push(...Object.values(value));
+      } else if (token === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+        next.push(value.length);
+      } else if (typeof value === 'object' && token in value) {
+        next.push(value[token]);
+      }
+    });
+
+    results = next;
+  }
+
+  if (hasWildcard) return results;
+  return results.length ? results[0] : undefined;
+};
@@ -0,0 +1,92 @@
+/**
+ * Time helpers for delay nodes and the scheduler
+ */
+
+const UNIT_MS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Check that a string is an IANA time zone Intl understands
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Add an amount of seconds / minutes / hours / days to a date
+ */
+export const addDuration = (date, amount, unit = 'minutes') => {
+  const ms = UNIT_MS[unit];
+  if (!ms) throw new Error(`Unknown duration unit: ${unit}`);
+  return new Date(date.getTime() + Number(amount) * ms);
+};
+
+/**
+ * Wall-clock parts of a date as seen in a time zone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = Number(value);
+  });
+  return values;
+};
+
+/**
+ * Offset of a time zone from UTC (in ms) at a given instant
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Next instant a wall-clock time ("09:00") occurs in a time zone.
+ * dayOffset 0 means today (or tomorrow if already past), 1 means tomorrow, etc.
+ */
+export const getNextTimeInZone = (time, dayOffset = 0, timeZone = 'UTC', now = new Date()) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) throw new Error(`Invalid time of day: ${time}`);
+
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) throw new Error(`Invalid time of day: ${time}`);
+
+  const today = getZonedParts(now, timeZone);
+
+  const resolve = (offsetDays) => {
+    const guess = Date.UTC(today.year, today.month - 1, today.day + offsetDays, hour, minute);
+    // Two passes so the offset is taken on the target day (DST changes)
+    let result = guess - getTimeZoneOffset(new Date(guess), timeZone);
+    result = guess - getTimeZoneOffset(new Date(result), timeZone);
+    return new Date(result);
+  };
+
+  let runAt = resolve(Number(dayOffset) || 0);
+  if (runAt <= now) {
+    runAt = resolve((Number(dayOffset) || 0) + 1);
+  }
+  return runAt;
+};
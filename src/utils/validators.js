@@ -0,0 +1,174 @@
+/**
+ * Input node validation - checks a user's answer against the node's inputType
+ */
+
+export const INPUT_TYPES = [
+  'text', 'email', 'phone', 'number', 'date', 'regex', 'choice',
+  'location', 'image', 'video', 'audio', 'document', 'media',
+];
+
+// Input types answered with a non-text message, and the message types each accepts
+const MESSAGE_INPUT_TYPES = {
+  location: ['location'],
+  image: ['image'],
+  video: ['video'],
+  audio: ['audio'],
+  document: ['document'],
+  media: ['image', 'video', 'audio', 'document'],
+};
+
+const MESSAGE_INPUT_ERRORS = {
+  location: 'Please share a location.',
+  image: 'Please send a photo.',
+  video: 'Please send a video.',
+  audio: 'Please send a voice note or audio file.',
+  document: 'Please send a document.',
+  media: 'Please send a photo, video, audio or document.',
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_REGEX = /^\+?\d{7,15}$/;
+
+const DATE_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+};
+
+const invalid = (error) => ({ valid: false, value: null, error });
+const valid = (value) => ({ valid: true, value, error: null });
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+  return String(value || '').split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a date written in a format such as DD/MM/YYYY into ISO YYYY-MM-DD
+ */
+export const parseDate = (text, format = 'YYYY-MM-DD') => {
+  const order = [];
+  const pattern = format.replace(/YYYY|MM|DD|[.*+?^${}()|[\]\\/-]/g, (token) => {
+    if (DATE_TOKENS[token]) {
+      order.push(token);
+      return DATE_TOKENS[token];
+    }
+    return `\\${token}`;
+  });
+
+  const match = new RegExp(`^${pattern}$`).exec(text);
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD));
+  if (
+    date.getUTCFullYear() !== parts.YYYY
+    || date.getUTCMonth() !== parts.MM - 1
+    || date.getUTCDate() !== parts.DD
+  ) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Validate an answer for an input node.
+ * Returns { valid, value, error } where value is the normalized answer to store.
+ */
+export const validateInput = (rawValue, properties = {}) => {
+  const text = String(rawValue ?? '').trim();
+  const inputType = properties.inputType || 'text';
+
+  if (!text) return invalid('Please enter a value.');
+
+  switch (inputType) {
+    case 'email':
+      return EMAIL_REGEX.test(text)
+        ? valid(text.toLowerCase())
+        : invalid('Please enter a valid email address.');
+
+    case 'phone': {
+      const phone = text.replace(/[\s().-]/g, '');
+      return PHONE_REGEX.test(phone)
+        ? valid(phone)
+        : invalid('Please enter a valid phone number.');
+    }
+
+    case 'number': {
+      const number = Number(text.replace(/,/g, ''));
+      if (Number.isNaN(number)) return invalid('Please enter a number.');
+
+      const hasMin = properties.minValue !== undefined && properties.minValue !== '';
+      const hasMax = properties.maxValue !== undefined && properties.maxValue !== '';
+      if (hasMin && number < Number(properties.minValue)) {
+        return invalid(`Please enter a number of at least ${properties.minValue}.`);
+      }
+      if (hasMax && number > Number(properties.maxValue)) {
+        return invalid(`Please enter a number no greater than ${properties.maxValue}.`);
+      }
+      return valid(number);
+    }
+
+    case 'date': {
+      const format = properties.dateFormat || 'YYYY-MM-DD';
+      const date = parseDate(text, format);
+      return date ? valid(date) : invalid(`Please enter a date as ${format}.`);
+    }
+
+    case 'regex':
+      if (!properties.pattern) return valid(text);
+      try {
+        return new RegExp(properties.pattern, properties.caseSensitive ? '' : 'i').test(text)
+          ? valid(text)
+          : invalid('That answer is not in the expected format.');
+      } catch (e) {
+        console.error(`❌ Invalid input regex: ${properties.pattern}`);
+        return valid(text);
+      }
+
+    case 'choice': {
+      const choices = toList(properties.choices);
+      const choice = choices.find((item) => (
+        properties.caseSensitive ? item === text : item.toLowerCase() === text.toLowerCase()
+      ));
+      return choice
+        ? valid(choice)
+        : invalid(`Please reply with one of: ${choices.join(', ')}.`);
+    }
+
+    default: {
+      if (properties.minLength && text.length < Number(properties.minLength)) {
+        return invalid(`Please enter at least ${properties.minLength} characters.`);
+      }
+      if (properties.maxLength && text.length > Number(properties.maxLength)) {
+        return invalid(`Please enter no more than ${properties.maxLength} characters.`);
+      }
+      return valid(text);
+    }
+  }
+};
+
+/**
+ * Validate a normalized inbound message (see utils/inboundMessage.js) for an input node.
+ * Location and media input types store the message payload; other types validate the text.
+ */
+export const validateInboundInput = (message, properties = {}) => {
+  const inputType = properties.inputType || 'text';
+  const acceptedTypes = MESSAGE_INPUT_TYPES[inputType];
+
+  if (acceptedTypes) {
+    return acceptedTypes.includes(message.type)
+      ? valid({ type: message.type, ...message.payload })
+      : invalid(MESSAGE_INPUT_ERRORS[inputType]);
+  }
+
+  if (message.type !== 'text') {
+    return invalid('Please reply with a text message.');
+  }
+  return validateInput(message.text, properties);
+};
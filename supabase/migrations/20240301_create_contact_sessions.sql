@@ -0,0 +1,31 @@
+-- Migration: Re-introduce contact_sessions for per-contact flow state
+-- Date: 2024-03-01
+-- Description: The engine needs to know where each contact is in a flow without
+-- guessing from the last bot message in conversations.
+
+CREATE TABLE IF NOT EXISTS contact_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) NOT NULL,
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  current_node_id TEXT, -- References nodes.id of the node waiting for a reply
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'completed', 'expired')),
+  context JSONB DEFAULT '{}'::jsonb, -- Variables collected during the flow
+  execution_trace JSONB DEFAULT '[]'::jsonb,
+  version INTEGER NOT NULL DEFAULT 0, -- Bumped on every write, used for compare-and-set updates
+  last_interaction_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE
+);
+
+-- A contact can only be inside one live (active or paused) session at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_sessions_live_phone
+  ON contact_sessions(phone_number)
+  WHERE status IN ('active', 'paused');
+
+CREATE INDEX IF NOT EXISTS idx_contact_sessions_phone ON contact_sessions(phone_number);
+CREATE INDEX IF NOT EXISTS idx_contact_sessions_flow ON contact_sessions(flow_id);
+CREATE INDEX IF NOT EXISTS idx_contact_sessions_status ON contact_sessions(status);
+
+COMMENT ON TABLE contact_sessions IS 'Per-contact flow state: current node, status and collected variables';
+COMMENT ON COLUMN contact_sessions.version IS 'Optimistic lock counter, incremented on every update';
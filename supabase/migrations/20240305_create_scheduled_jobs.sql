@@ -0,0 +1,27 @@
+-- Migration: Durable jobs for the in-process scheduler
+-- Date: 2024-03-05
+-- Description: Delay nodes store a resume job here; the server polls for due jobs,
+-- so pending work survives a restart.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_type VARCHAR(50) NOT NULL, -- e.g. 'resume_flow'
+  session_id UUID REFERENCES contact_sessions(id) ON DELETE CASCADE,
+  phone_number VARCHAR(20),
+  flow_id UUID REFERENCES flows(id) ON DELETE CASCADE,
+  node_id TEXT, -- Node that created the job (e.g. the delay node)
+  payload JSONB DEFAULT '{}'::jsonb,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'cancelled', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_session ON scheduled_jobs(session_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_phone ON scheduled_jobs(phone_number);
+
+COMMENT ON TABLE scheduled_jobs IS 'Pending work for the in-process scheduler (delay node resumes, etc.)';
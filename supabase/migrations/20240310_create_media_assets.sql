@@ -0,0 +1,27 @@
+-- Migration: Media assets and typed conversation messages
+-- Date: 2024-03-10
+-- Description: Files uploaded once to WhatsApp and reused by media nodes,
+-- plus content type / payload columns so non-text messages are logged properly.
+
+CREATE TABLE IF NOT EXISTS media_assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  media_type VARCHAR(20) NOT NULL CHECK (media_type IN ('image', 'video', 'document', 'audio')),
+  mime_type VARCHAR(100) NOT NULL,
+  filename VARCHAR(255),
+  size_bytes INTEGER,
+  whatsapp_media_id VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_created_at ON media_assets(created_at DESC);
+
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS content_type VARCHAR(20) DEFAULT 'text';
+
+ALTER TABLE conversations
+ADD COLUMN IF NOT EXISTS payload JSONB;
+
+COMMENT ON TABLE media_assets IS 'Files uploaded to the WhatsApp media API, referenced by media nodes';
+COMMENT ON COLUMN conversations.content_type IS 'WhatsApp message type: text, interactive, image, video, document, audio, ...';
+COMMENT ON COLUMN conversations.payload IS 'Raw message payload for non-text messages';
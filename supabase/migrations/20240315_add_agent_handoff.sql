@@ -0,0 +1,38 @@
+-- Migration: Human handoff
+-- Date: 2024-03-15
+-- Description: Sessions can be handed to an agent (bot stays silent) and
+-- handed-off contacts wait in agent_queue until resumed or closed.
+
+ALTER TABLE contact_sessions DROP CONSTRAINT IF EXISTS contact_sessions_status_check;
+ALTER TABLE contact_sessions ADD CONSTRAINT contact_sessions_status_check
+  CHECK (status IN ('active', 'paused', 'handoff', 'completed', 'expired'));
+
+-- A handed-off session is still live
+DROP INDEX IF EXISTS idx_contact_sessions_live_phone;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_sessions_live_phone
+  ON contact_sessions(phone_number)
+  WHERE status IN ('active', 'paused', 'handoff');
+
+CREATE TABLE IF NOT EXISTS agent_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) NOT NULL,
+  session_id UUID REFERENCES contact_sessions(id) ON DELETE SET NULL,
+  flow_id UUID REFERENCES flows(id) ON DELETE SET NULL,
+  node_id TEXT, -- Handoff node that queued the contact (NULL when an agent took over directly)
+  reason VARCHAR(50) NOT NULL DEFAULT 'handoff_node', -- handoff_node, agent_reply, ...
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'active', 'closed')),
+  assigned_to VARCHAR(255),
+  resolution VARCHAR(20), -- resumed | closed
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one open queue entry per contact
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_queue_open_phone
+  ON agent_queue(phone_number)
+  WHERE status IN ('waiting', 'active');
+
+CREATE INDEX IF NOT EXISTS idx_agent_queue_status ON agent_queue(status, created_at);
+
+COMMENT ON TABLE agent_queue IS 'Contacts handed off to a human agent';
@@ -0,0 +1,9 @@
+-- Migration: Subflow call stack on contact_sessions
+-- Date: 2024-03-20
+-- Description: When a subflow node jumps into another flow, the calling flow and
+-- return point are pushed here and popped when the subflow ends.
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS call_stack JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN contact_sessions.call_stack IS 'Subflow frames: [{ flowId, nodeId, returnHandle, shareVariables, outputMapping, parentContext }]';
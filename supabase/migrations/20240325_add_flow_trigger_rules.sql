@@ -0,0 +1,31 @@
+-- Migration: Keyword trigger rules for routing inbound messages to flows
+-- Date: 2024-03-25
+-- Description: trigger_value holds comma-separated keywords (or one regex);
+-- these columns say how to match them and which flow wins a conflict.
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS trigger_match_type VARCHAR(20) DEFAULT 'contains_word'
+  CHECK (trigger_match_type IN ('exact', 'starts_with', 'contains_word', 'regex'));
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS trigger_case_sensitive BOOLEAN DEFAULT false;
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS trigger_priority INTEGER DEFAULT 0;
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS is_default BOOLEAN DEFAULT false;
+
+-- Only one default (fallback) flow
+CREATE UNIQUE INDEX IF NOT EXISTS idx_flows_single_default ON flows(is_default) WHERE is_default = true;
+
+CREATE INDEX IF NOT EXISTS idx_flows_active_trigger ON flows(is_active, trigger_type);
+
+-- Keep existing installs answering: the flow the webhook used to hardcode becomes the default
+UPDATE flows SET is_default = true
+WHERE id = '2ef6b284-6a6b-4e7a-927a-497ee29d6cb3'
+  AND NOT EXISTS (SELECT 1 FROM flows WHERE is_default = true);
+
+COMMENT ON COLUMN flows.trigger_match_type IS 'How trigger_value keywords match inbound text: exact, starts_with, contains_word, regex';
+COMMENT ON COLUMN flows.trigger_priority IS 'Higher priority wins when several flows match the same message';
+COMMENT ON COLUMN flows.is_default IS 'Fallback flow started when no trigger matches';
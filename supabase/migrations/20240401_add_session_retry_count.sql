@@ -0,0 +1,9 @@
+-- Migration: Input validation retries
+-- Date: 2024-04-01
+-- Description: Counts invalid answers to the input node a session is waiting on;
+-- reset whenever the session moves to another node.
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS retry_count INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN contact_sessions.retry_count IS 'Invalid answers given to the current input node';
@@ -0,0 +1,20 @@
+-- Migration: Encrypted credential vault for HTTP node authentication
+-- Date: 2024-04-05
+-- Description: Named secrets encrypted with the server key (AES-256-GCM).
+-- HTTP nodes reference them by id via properties.credentialId.
+
+CREATE TABLE IF NOT EXISTS credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL UNIQUE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('bearer', 'basic', 'apikey')),
+  encrypted_data TEXT NOT NULL, -- iv:authTag:ciphertext (base64)
+  metadata JSONB DEFAULT '{}'::jsonb, -- Non-secret settings, e.g. { "headerName": "X-API-Key" }
+  secret_hint VARCHAR(10), -- Last characters of the secret, for display only
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  rotated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_credentials_name ON credentials(name);
+
+COMMENT ON TABLE credentials IS 'Encrypted secrets referenced by HTTP nodes; decrypted only at execution time';
@@ -0,0 +1,8 @@
+-- Migration: Template message node
+-- Date: 2024-04-10
+-- Description: Add 'template' node type. Template nodes send an APPROVED WhatsApp
+-- template with header/body/button parameters bound to flow variables, which lets
+-- flows message contacts outside the 24-hour customer service window.
+
+ALTER TABLE nodes DROP CONSTRAINT IF EXISTS nodes_type_check;
+ALTER TABLE nodes ADD CONSTRAINT nodes_type_check CHECK (type IN ('start', 'message', 'button', 'list', 'delay', 'condition', 'input', 'media', 'note', 'handoff', 'subflow', 'tag', 'webhook', 'http', 'template'));
@@ -0,0 +1,35 @@
+-- Migration: Session inactivity reminders and expiry
+-- Date: 2024-04-15
+-- Description: Per-flow inactivity settings. A reminder goes out after
+-- reminder_after_minutes of silence and the session expires after
+-- session_timeout_hours; expired sessions keep the node the contact dropped off at.
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS reminder_after_minutes INTEGER CHECK (reminder_after_minutes > 0);
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS reminder_message TEXT;
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS session_timeout_hours NUMERIC(6, 2) CHECK (session_timeout_hours > 0);
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS end_reason VARCHAR(30);
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS dropped_off_node_id TEXT;
+
+-- The sweeper scans live sessions by last activity
+CREATE INDEX IF NOT EXISTS idx_contact_sessions_live_activity
+  ON contact_sessions(last_interaction_at)
+  WHERE status = 'active';
+
+COMMENT ON COLUMN flows.reminder_after_minutes IS 'Minutes of silence before the reminder message is sent (NULL = no reminder)';
+COMMENT ON COLUMN flows.reminder_message IS 'Reminder text, supports {{variables}}';
+COMMENT ON COLUMN flows.session_timeout_hours IS 'Hours of silence before the session expires (NULL = SESSION_TIMEOUT_HOURS env default)';
+COMMENT ON COLUMN contact_sessions.reminder_sent_at IS 'When the inactivity reminder went out; cleared on the next interaction';
+COMMENT ON COLUMN contact_sessions.end_reason IS 'Why the session ended: completed, inactivity, superseded, closed';
+COMMENT ON COLUMN contact_sessions.dropped_off_node_id IS 'Node the contact was waiting on when the session expired from inactivity';
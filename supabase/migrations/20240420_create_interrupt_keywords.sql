@@ -0,0 +1,26 @@
+-- Migration: Global interrupt keywords
+-- Date: 2024-04-20
+-- Description: Workspace-level keywords that work at any point in any flow.
+-- One row per action; keywords holds the synonyms that trigger it.
+
+CREATE TABLE IF NOT EXISTS interrupt_keywords (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action VARCHAR(20) NOT NULL UNIQUE CHECK (action IN ('stop', 'menu', 'agent', 'restart', 'help')),
+  keywords TEXT[] NOT NULL DEFAULT '{}', -- Matched against the whole message, case-insensitive
+  reply TEXT, -- Sent before the action runs, supports {{variables}}
+  target_flow_id UUID REFERENCES flows(id) ON DELETE SET NULL, -- Main-menu flow for 'menu' (default flow when NULL)
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO interrupt_keywords (action, keywords, reply) VALUES
+  ('stop', ARRAY['stop', 'unsubscribe', 'quit'], 'You have left this conversation. Send "hi" any time to start again.'),
+  ('menu', ARRAY['menu', 'main menu'], NULL),
+  ('agent', ARRAY['agent', 'human', 'talk to agent'], 'Connecting you to an agent. Please wait…'),
+  ('restart', ARRAY['restart', 'start over'], NULL),
+  ('help', ARRAY['help'], 'Reply MENU for the main menu, RESTART to start over, AGENT to talk to a person or STOP to leave.')
+ON CONFLICT (action) DO NOTHING;
+
+COMMENT ON TABLE interrupt_keywords IS 'Global keywords (STOP, MENU, AGENT, RESTART, HELP) checked before flow routing';
+COMMENT ON COLUMN contact_sessions.end_reason IS 'Why the session ended: completed, inactivity, superseded, closed, stopped';
@@ -0,0 +1,37 @@
+-- Migration: Opt-out and consent registry
+-- Date: 2024-04-25
+-- Description: One consent record per number. Every outbound send checks it and
+-- refuses to message numbers that opted out. STOP-style keywords opt out and
+-- START opts back in.
+
+CREATE TABLE IF NOT EXISTS contact_consents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number VARCHAR(20) NOT NULL UNIQUE, -- Digits only, as WhatsApp sends them
+  status VARCHAR(20) NOT NULL CHECK (status IN ('opted_in', 'opted_out')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('keyword', 'api', 'import', 'agent')),
+  keyword TEXT, -- The message that changed the status, for keyword changes
+  notes TEXT,
+  opted_out_at TIMESTAMP WITH TIME ZONE,
+  opted_in_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_consents_status ON contact_consents(status);
+
+-- START opts a number back in
+ALTER TABLE interrupt_keywords DROP CONSTRAINT IF EXISTS interrupt_keywords_action_check;
+ALTER TABLE interrupt_keywords ADD CONSTRAINT interrupt_keywords_action_check
+  CHECK (action IN ('stop', 'start', 'menu', 'agent', 'restart', 'help'));
+
+INSERT INTO interrupt_keywords (action, keywords, reply) VALUES
+  ('start', ARRAY['start', 'subscribe'], 'You are subscribed again. Send "hi" to get started.')
+ON CONFLICT (action) DO NOTHING;
+
+-- STOP now unsubscribes, so point people at START rather than "hi"
+UPDATE interrupt_keywords
+SET reply = 'You have been unsubscribed and will not receive more messages. Reply START to subscribe again.'
+WHERE action = 'stop'
+  AND reply = 'You have left this conversation. Send "hi" any time to start again.';
+
+COMMENT ON TABLE contact_consents IS 'Per-number messaging consent; opted_out numbers are never messaged';
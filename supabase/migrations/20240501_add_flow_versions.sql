@@ -0,0 +1,60 @@
+-- Migration: Flow versioning
+-- Date: 2024-05-01
+-- Description: The nodes table becomes the editable draft of a flow. Publishing
+-- stores an immutable snapshot in flow_versions; sessions are pinned to the
+-- version they started on, so builder saves no longer change live conversations.
+
+CREATE TABLE IF NOT EXISTS flow_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  nodes JSONB NOT NULL DEFAULT '[]'::jsonb, -- Snapshot of the flow's node rows at publish time
+  published_by VARCHAR(255),
+  notes TEXT,
+  rolled_back_from UUID REFERENCES flow_versions(id) ON DELETE SET NULL, -- Set when re-published by a rollback
+  published_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (flow_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_versions_flow ON flow_versions(flow_id, version_number DESC);
+
+-- Published snapshots never change
+CREATE OR REPLACE FUNCTION prevent_flow_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'flow_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS flow_versions_immutable ON flow_versions;
+CREATE TRIGGER flow_versions_immutable
+  BEFORE UPDATE ON flow_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_flow_version_update();
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS published_version_id UUID REFERENCES flow_versions(id) ON DELETE SET NULL;
+
+ALTER TABLE contact_sessions
+ADD COLUMN IF NOT EXISTS flow_version_id UUID REFERENCES flow_versions(id) ON DELETE SET NULL;
+
+-- Existing flows: publish what is live today as version 1
+INSERT INTO flow_versions (flow_id, version_number, nodes, published_by, notes)
+SELECT
+  f.id,
+  1,
+  COALESCE((SELECT jsonb_agg(to_jsonb(n)) FROM nodes n WHERE n.flow_id = f.id), '[]'::jsonb),
+  'migration',
+  'Initial version from live nodes'
+FROM flows f
+WHERE NOT EXISTS (SELECT 1 FROM flow_versions v WHERE v.flow_id = f.id);
+
+UPDATE flows f
+SET published_version_id = v.id
+FROM flow_versions v
+WHERE v.flow_id = f.id
+  AND v.version_number = 1
+  AND f.published_version_id IS NULL;
+
+COMMENT ON TABLE flow_versions IS 'Immutable published snapshots of a flow''s nodes';
+COMMENT ON COLUMN flows.published_version_id IS 'Version new sessions run; NULL means never published (the draft runs)';
+COMMENT ON COLUMN contact_sessions.flow_version_id IS 'Version of the current flow this session is pinned to';
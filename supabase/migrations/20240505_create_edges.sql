@@ -0,0 +1,90 @@
+-- Migration: Explicit flow edges
+-- Date: 2024-05-05
+-- Description: Graph links move from nodes.previous_node_id (a parent's node_id or a
+-- button / row / branch id, one parent per node) to an edges table. An edge leaves a
+-- source node through a handle (NULL = default path) and ends at a target node; a NULL
+-- source is the flow's start. Many edges may share a target, so paths can merge and loop.
+
+CREATE TABLE IF NOT EXISTS edges (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+  source_node_id TEXT REFERENCES nodes(id) ON DELETE CASCADE, -- NULL = flow start
+  source_handle TEXT, -- btn_id, row_id, branch_id, fallback_id or HTTP outcome id; NULL = default path
+  target_node_id TEXT NOT NULL REFERENCES nodes(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_edges_unique
+  ON edges(flow_id, COALESCE(source_node_id, ''), COALESCE(source_handle, ''), target_node_id);
+CREATE INDEX IF NOT EXISTS idx_edges_source_handle ON edges(source_handle) WHERE source_handle IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_edges_target ON edges(target_node_id);
+
+-- Published snapshots carry their edges; NULL on snapshots taken before this migration
+-- (their node rows still hold previous_node_id, which the server converts on read)
+ALTER TABLE flow_versions
+ADD COLUMN IF NOT EXISTS edges JSONB;
+
+-- Existing flows: turn previous_node_id links into edges
+WITH parsed AS (
+  SELECT
+    n.id,
+    n.flow_id,
+    n.type,
+    n.node_id::TEXT AS node_id,
+    n.previous_node_id,
+    CASE WHEN jsonb_typeof(n.properties) = 'string'
+      THEN (n.properties #>> '{}')::jsonb
+      ELSE COALESCE(n.properties, '{}'::jsonb)
+    END AS props
+  FROM nodes n
+),
+as_array AS (
+  SELECT
+    id,
+    flow_id,
+    props,
+    CASE WHEN jsonb_typeof(props->'buttons') = 'array' THEN props->'buttons' ELSE '[]'::jsonb END AS buttons,
+    CASE WHEN jsonb_typeof(props->'rows') = 'array' THEN props->'rows' ELSE '[]'::jsonb END AS rows,
+    CASE WHEN jsonb_typeof(props->'sections') = 'array' THEN props->'sections' ELSE '[]'::jsonb END AS sections,
+    CASE WHEN jsonb_typeof(props->'branches') = 'array' THEN props->'branches' ELSE '[]'::jsonb END AS branches
+  FROM parsed
+),
+handles AS (
+  SELECT a.id AS owner_id, a.flow_id, b->>'btn_id' AS handle
+  FROM as_array a, jsonb_array_elements(a.buttons) b
+  UNION ALL
+  SELECT a.id, a.flow_id, r->>'row_id'
+  FROM as_array a, jsonb_array_elements(a.rows) r
+  UNION ALL
+  SELECT a.id, a.flow_id, r->>'row_id'
+  FROM as_array a,
+    jsonb_array_elements(a.sections) s,
+    jsonb_array_elements(CASE WHEN jsonb_typeof(s->'rows') = 'array' THEN s->'rows' ELSE '[]'::jsonb END) r
+  UNION ALL
+  SELECT a.id, a.flow_id, br->>'branch_id'
+  FROM as_array a, jsonb_array_elements(a.branches) br
+  UNION ALL
+  SELECT a.id, a.flow_id, a.props->>k
+  FROM as_array a,
+    unnest(ARRAY['fallback_id', 'success_id', 'client_error_id', 'server_error_id', 'timeout_id', 'error_id']) k
+)
+INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+SELECT child.flow_id, parent.id, NULL, child.id
+FROM parsed child
+JOIN parsed parent ON parent.flow_id = child.flow_id AND parent.node_id = child.previous_node_id
+UNION ALL
+SELECT child.flow_id, h.owner_id, h.handle, child.id
+FROM parsed child
+JOIN handles h ON h.flow_id = child.flow_id AND h.handle = child.previous_node_id
+UNION ALL
+SELECT child.flow_id, NULL, NULL, child.id
+FROM parsed child
+WHERE child.previous_node_id IS NULL
+  AND child.type NOT IN ('note', 'start')
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE edges IS 'Links between flow nodes; the engine follows these';
+COMMENT ON COLUMN edges.source_node_id IS 'Node the edge leaves from; NULL for the edge to the flow''s first node';
+COMMENT ON COLUMN edges.source_handle IS 'Handle on the source node (button, list row, branch, fallback, HTTP outcome); NULL for the default path';
+COMMENT ON COLUMN flow_versions.edges IS 'Snapshot of the flow''s edges; NULL for versions published before edges existed';
+COMMENT ON COLUMN nodes.previous_node_id IS 'Deprecated: replaced by edges. Kept for rollback, no longer read or written';
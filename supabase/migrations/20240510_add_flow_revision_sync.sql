@@ -0,0 +1,90 @@
+-- Migration: Atomic flow draft sync with revisions
+-- Date: 2024-05-10
+-- Description: flows.revision counts saves of a flow's draft (nodes and edges).
+-- sync_flow_graph applies a computed diff in one transaction and refuses it when
+-- the flow has moved past the revision the editor loaded, so concurrent editors
+-- get a conflict instead of silently overwriting each other.
+
+ALTER TABLE flows
+ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+-- Apply a draft diff atomically.
+-- p_upsert_nodes: [{ id, type, name, position, properties, connections }] (created or changed nodes)
+-- p_delete_node_ids: ids of removed nodes (their edges cascade)
+-- p_insert_edges: [{ source_node_id, source_handle, target_node_id }]
+-- p_delete_edge_ids: ids of removed edges
+-- Returns { ok: true, revision } or { ok: false, revision } when p_base_revision is stale.
+CREATE OR REPLACE FUNCTION sync_flow_graph(
+  p_flow_id UUID,
+  p_base_revision INTEGER,
+  p_upsert_nodes JSONB,
+  p_delete_node_ids TEXT[],
+  p_insert_edges JSONB,
+  p_delete_edge_ids UUID[]
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_revision INTEGER;
+BEGIN
+  SELECT revision INTO v_revision FROM flows WHERE id = p_flow_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Flow not found: %', p_flow_id;
+  END IF;
+
+  IF v_revision <> p_base_revision THEN
+    RETURN jsonb_build_object('ok', false, 'revision', v_revision);
+  END IF;
+
+  DELETE FROM edges
+  WHERE flow_id = p_flow_id AND id = ANY(COALESCE(p_delete_edge_ids, '{}'));
+
+  DELETE FROM nodes
+  WHERE flow_id = p_flow_id AND id = ANY(COALESCE(p_delete_node_ids, '{}'));
+
+  INSERT INTO nodes (id, flow_id, type, name, position, properties, connections)
+  SELECT
+    n->>'id',
+    p_flow_id,
+    n->>'type',
+    n->>'name',
+    n->'position',
+    COALESCE(n->'properties', '{}'::jsonb),
+    COALESCE(n->'connections', '[]'::jsonb)
+  FROM jsonb_array_elements(COALESCE(p_upsert_nodes, '[]'::jsonb)) n
+  ON CONFLICT (id) DO UPDATE SET
+    type = EXCLUDED.type,
+    name = EXCLUDED.name,
+    position = EXCLUDED.position,
+    properties = EXCLUDED.properties,
+    connections = EXCLUDED.connections
+  WHERE nodes.flow_id = p_flow_id;
+
+  INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+  SELECT
+    p_flow_id,
+    e->>'source_node_id',
+    e->>'source_handle',
+    e->>'target_node_id'
+  FROM jsonb_array_elements(COALESCE(p_insert_edges, '[]'::jsonb)) e
+  ON CONFLICT DO NOTHING;
+
+  UPDATE flows
+  SET revision = revision + 1, updated_at = NOW()
+  WHERE id = p_flow_id
+  RETURNING revision INTO v_revision;
+
+  RETURN jsonb_build_object('ok', true, 'revision', v_revision);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Single-node and single-edge edits still count as a new revision
+CREATE OR REPLACE FUNCTION bump_flow_revision(p_flow_id UUID)
+RETURNS INTEGER AS $$
+  UPDATE flows
+  SET revision = revision + 1, updated_at = NOW()
+  WHERE id = p_flow_id
+  RETURNING revision;
+$$ LANGUAGE sql;
+
+COMMENT ON COLUMN flows.revision IS 'Incremented on every save of the draft; batch saves must name the revision they were based on';
@@ -0,0 +1,85 @@
+-- Migration: Per-node flow analytics
+-- Date: 2024-05-15
+-- Description: The engine logs one row per node entry, node exit (with the time spent
+-- on the node), drop-off, button / list choice and flow completion. The funnel for a
+-- date range is computed from these rows by get_flow_funnel; flow_analytics keeps the
+-- all-time entry / exit / drop_off counters, rolled up by a trigger.
+
+CREATE TABLE IF NOT EXISTS flow_node_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  flow_id UUID NOT NULL REFERENCES flows(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES contact_sessions(id) ON DELETE SET NULL,
+  node_id TEXT, -- References nodes.id; NULL for 'complete'
+  event_type TEXT NOT NULL CHECK (event_type IN ('entry', 'exit', 'drop_off', 'choice', 'complete')),
+  handle TEXT, -- btn_id / row_id the contact chose ('choice' only)
+  duration_ms INTEGER, -- Time between entering and leaving the node ('exit' only)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_node_events_flow_time ON flow_node_events(flow_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_flow_node_events_session ON flow_node_events(session_id);
+
+-- Keep the all-time counters in flow_analytics in step with the event log
+CREATE OR REPLACE FUNCTION rollup_flow_node_event()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.event_type IN ('entry', 'exit', 'drop_off') AND NEW.node_id IS NOT NULL THEN
+    INSERT INTO flow_analytics (flow_id, node_id, event_type, count, last_updated)
+    VALUES (NEW.flow_id, NEW.node_id, NEW.event_type, 1, NOW())
+    ON CONFLICT (flow_id, node_id, event_type)
+    DO UPDATE SET count = flow_analytics.count + 1, last_updated = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_rollup_flow_node_event ON flow_node_events;
+CREATE TRIGGER trg_rollup_flow_node_event
+  AFTER INSERT ON flow_node_events
+  FOR EACH ROW EXECUTE FUNCTION rollup_flow_node_event();
+
+-- Funnel of a flow between p_from (inclusive) and p_to (exclusive):
+-- { sessions, completed, nodes: [{ node_id, entries, sessions, exits, drop_offs, median_ms }],
+--   choices: [{ node_id, handle, count }] }
+CREATE OR REPLACE FUNCTION get_flow_funnel(p_flow_id UUID, p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS JSONB AS $$
+  WITH scoped AS (
+    SELECT *
+    FROM flow_node_events
+    WHERE flow_id = p_flow_id
+      AND created_at >= p_from
+      AND created_at < p_to
+  )
+  SELECT jsonb_build_object(
+    'sessions', (SELECT COUNT(DISTINCT session_id) FROM scoped WHERE event_type = 'entry'),
+    'completed', (SELECT COUNT(DISTINCT session_id) FROM scoped WHERE event_type = 'complete'),
+    'nodes', COALESCE((
+      SELECT jsonb_agg(to_jsonb(per_node))
+      FROM (
+        SELECT
+          node_id,
+          COUNT(*) FILTER (WHERE event_type = 'entry') AS entries,
+          COUNT(DISTINCT session_id) FILTER (WHERE event_type = 'entry') AS sessions,
+          COUNT(*) FILTER (WHERE event_type = 'exit') AS exits,
+          COUNT(*) FILTER (WHERE event_type = 'drop_off') AS drop_offs,
+          percentile_cont(0.5) WITHIN GROUP (ORDER BY duration_ms) FILTER (WHERE event_type = 'exit') AS median_ms
+        FROM scoped
+        WHERE node_id IS NOT NULL AND event_type <> 'choice'
+        GROUP BY node_id
+      ) per_node
+    ), '[]'::jsonb),
+    'choices', COALESCE((
+      SELECT jsonb_agg(to_jsonb(per_choice))
+      FROM (
+        SELECT node_id, handle, COUNT(*) AS count
+        FROM scoped
+        WHERE event_type = 'choice'
+        GROUP BY node_id, handle
+      ) per_choice
+    ), '[]'::jsonb)
+  );
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE flow_node_events IS 'Node-level flow events (entries, exits, drop-offs, choices, completions) for funnel analytics';
+COMMENT ON COLUMN flow_node_events.duration_ms IS 'Milliseconds the contact spent on the node before moving on';
+COMMENT ON TABLE flow_analytics IS 'All-time entry / exit / drop_off counters per node, maintained from flow_node_events';
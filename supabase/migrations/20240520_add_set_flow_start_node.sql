@@ -0,0 +1,31 @@
+-- Migration: Atomic start node changes
+-- Date: 2024-05-20
+-- Description: The flow's start edge (the edge with a NULL source) and flows.first_node_id
+-- describe the same thing. set_flow_start_node changes both, and the flow's revision,
+-- in one transaction so they cannot drift apart when one of the writes fails.
+
+CREATE OR REPLACE FUNCTION set_flow_start_node(p_flow_id UUID, p_node_id TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  v_revision INTEGER;
+BEGIN
+  DELETE FROM edges
+  WHERE flow_id = p_flow_id AND source_node_id IS NULL;
+
+  IF p_node_id IS NOT NULL THEN
+    INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+    VALUES (p_flow_id, NULL, NULL, p_node_id);
+  END IF;
+
+  UPDATE flows
+  SET first_node_id = p_node_id, revision = revision + 1, updated_at = NOW()
+  WHERE id = p_flow_id
+  RETURNING revision INTO v_revision;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Flow not found: %', p_flow_id;
+  END IF;
+
+  RETURN v_revision;
+END;
+$$ LANGUAGE plpgsql;
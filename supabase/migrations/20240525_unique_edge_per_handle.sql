@@ -0,0 +1,17 @@
+-- Migration: One outgoing edge per handle
+-- Date: 2024-05-25
+-- Description: A button, row, branch, fallback, HTTP outcome or default path leads to
+-- exactly one node. Flows that already have several edges on one handle keep the oldest,
+-- which is the one the engine has been following.
+
+DELETE FROM edges e
+USING edges older
+WHERE e.flow_id = older.flow_id
+  AND e.source_node_id = older.source_node_id
+  AND COALESCE(e.source_handle, '') = COALESCE(older.source_handle, '')
+  AND (older.created_at < e.created_at OR (older.created_at = e.created_at AND older.id < e.id));
+
+-- The start (NULL source) is left out: a draft may briefly have several, which validation reports
+CREATE UNIQUE INDEX IF NOT EXISTS idx_edges_one_per_handle
+  ON edges(flow_id, source_node_id, COALESCE(source_handle, ''))
+  WHERE source_node_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- Migration: Expire stalled paused and handed-off sessions
+-- Date: 2024-05-30
+-- Description: The sweeper now also expires paused sessions whose delay job is gone
+-- (resume_lost) and handed-off sessions with no message from contact or agent for
+-- HANDOFF_TIMEOUT_HOURS (handoff_timeout). Both are scanned by last activity.
+
+CREATE INDEX IF NOT EXISTS idx_contact_sessions_stalled_activity
+  ON contact_sessions(status, last_interaction_at)
+  WHERE status IN ('paused', 'handoff');
+
+COMMENT ON COLUMN contact_sessions.end_reason IS 'Why the session ended: completed, inactivity, superseded, closed, stopped, resume_lost, handoff_timeout';
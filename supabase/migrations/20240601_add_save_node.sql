@@ -0,0 +1,112 @@
+-- Migration: Atomic single-node saves
+-- Date: 2024-06-01
+-- Description: Creating or updating one node, relinking it from a previous_node_id and
+-- counting the change as a new revision happen in one transaction, so a failed relink
+-- no longer leaves the node saved without its incoming edges. flows.first_node_id
+-- follows the start edge, and a node cannot become a second start.
+
+-- p_node: { id, type, name, position, properties, connections }; on update only the keys present are written.
+-- p_incoming_edges: [{ source_node_id, source_handle }] replacing the node's incoming edges (NULL source = start);
+-- NULL leaves them alone.
+-- Returns { ok: true, node, revision } or { ok: false, error } with error one of
+-- not_found (updated node is not in the flow), root_exists (the flow starts at another node)
+-- or handle_taken (with source_node_id / source_handle: that handle already leads elsewhere).
+CREATE OR REPLACE FUNCTION save_node(
+  p_flow_id UUID,
+  p_node JSONB,
+  p_is_new BOOLEAN,
+  p_incoming_edges JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_node nodes;
+  v_taken RECORD;
+  v_revision INTEGER;
+BEGIN
+  PERFORM 1 FROM flows WHERE id = p_flow_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Flow not found: %', p_flow_id;
+  END IF;
+
+  IF p_incoming_edges IS NOT NULL THEN
+    IF EXISTS (SELECT 1 FROM jsonb_array_elements(p_incoming_edges) e WHERE e->>'source_node_id' IS NULL)
+      AND EXISTS (
+        SELECT 1 FROM edges
+        WHERE flow_id = p_flow_id AND source_node_id IS NULL AND target_node_id <> p_node->>'id'
+      ) THEN
+      RETURN jsonb_build_object('ok', false, 'error', 'root_exists');
+    END IF;
+
+    SELECT ed.source_node_id, ed.source_handle INTO v_taken
+    FROM jsonb_array_elements(p_incoming_edges) e
+    JOIN edges ed
+      ON ed.flow_id = p_flow_id
+      AND ed.source_node_id = e->>'source_node_id'
+      AND COALESCE(ed.source_handle, '') = COALESCE(e->>'source_handle', '')
+      AND ed.target_node_id <> p_node->>'id'
+    LIMIT 1;
+
+    IF FOUND THEN
+      RETURN jsonb_build_object(
+        'ok', false,
+        'error', 'handle_taken',
+        'source_node_id', v_taken.source_node_id,
+        'source_handle', v_taken.source_handle
+      );
+    END IF;
+  END IF;
+
+  IF p_is_new THEN
+    INSERT INTO nodes (id, flow_id, type, name, position, properties, connections)
+    VALUES (
+      p_node->>'id',
+      p_flow_id,
+      p_node->>'type',
+      p_node->>'name',
+      p_node->'position',
+      COALESCE(p_node->'properties', '{}'::jsonb),
+      COALESCE(p_node->'connections', '[]'::jsonb)
+    )
+    RETURNING * INTO v_node;
+  ELSE
+    UPDATE nodes SET
+      type = CASE WHEN p_node ? 'type' THEN p_node->>'type' ELSE type END,
+      name = CASE WHEN p_node ? 'name' THEN p_node->>'name' ELSE name END,
+      position = CASE WHEN p_node ? 'position' THEN p_node->'position' ELSE position END,
+      properties = CASE WHEN p_node ? 'properties' THEN p_node->'properties' ELSE properties END,
+      connections = CASE WHEN p_node ? 'connections' THEN p_node->'connections' ELSE connections END
+    WHERE id = p_node->>'id' AND flow_id = p_flow_id
+    RETURNING * INTO v_node;
+
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+    END IF;
+  END IF;
+
+  IF p_incoming_edges IS NOT NULL THEN
+    DELETE FROM edges
+    WHERE flow_id = p_flow_id AND target_node_id = v_node.id;
+
+    INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+    SELECT p_flow_id, e->>'source_node_id', e->>'source_handle', v_node.id
+    FROM jsonb_array_elements(p_incoming_edges) e;
+
+    UPDATE flows
+    SET first_node_id = (
+      SELECT target_node_id FROM edges
+      WHERE flow_id = p_flow_id AND source_node_id IS NULL
+      ORDER BY created_at
+      LIMIT 1
+    )
+    WHERE id = p_flow_id;
+  END IF;
+
+  UPDATE flows
+  SET revision = revision + 1, updated_at = NOW()
+  WHERE id = p_flow_id
+  RETURNING revision INTO v_revision;
+
+  RETURN jsonb_build_object('ok', true, 'node', to_jsonb(v_node), 'revision', v_revision);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,162 @@
+-- Migration: Diff batch saves inside the database
+-- Date: 2024-06-05
+-- Description: sync_flow_graph used to apply a diff the server computed from a draft it
+-- had read in several queries, so a concurrent save could land between those reads and
+-- the diff could come from rows newer than the revision that was checked. The function
+-- now takes the whole incoming graph and diffs it against the stored draft while holding
+-- the flow row lock, after the revision check. get_flow_draft reads the revision, nodes
+-- and edges in one statement, so they are one snapshot. flows.first_node_id follows the
+-- start edge on every batch save.
+
+DROP FUNCTION IF EXISTS sync_flow_graph(UUID, INTEGER, JSONB, TEXT[], JSONB, UUID[]);
+
+-- Save a flow's draft atomically.
+-- p_nodes: [{ id, type, name, position, properties, connections }] - every node of the draft
+-- p_edges: [{ source_node_id, source_handle, target_node_id }] - every edge of the draft
+-- Only nodes and edges that differ from the stored draft are written.
+-- Returns { ok: true, revision, changes } or { ok: false, error } with error one of
+-- not_found, conflict (with the stored revision) or node_taken (with node_id: a new node
+-- id that belongs to another flow).
+CREATE OR REPLACE FUNCTION sync_flow_graph(
+  p_flow_id UUID,
+  p_base_revision INTEGER,
+  p_nodes JSONB,
+  p_edges JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_revision INTEGER;
+  v_taken TEXT;
+  v_nodes_created INTEGER;
+  v_nodes_updated INTEGER;
+  v_nodes_deleted INTEGER;
+  v_edges_added INTEGER;
+  v_edges_removed INTEGER;
+BEGIN
+  SELECT revision INTO v_revision FROM flows WHERE id = p_flow_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'not_found');
+  END IF;
+
+  IF v_revision <> p_base_revision THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'conflict', 'revision', v_revision);
+  END IF;
+
+  -- Node ids are global; a new node must not take over another flow's node
+  SELECT n.id INTO v_taken
+  FROM jsonb_to_recordset(COALESCE(p_nodes, '[]'::jsonb)) AS n(id TEXT)
+  JOIN nodes other ON other.id = n.id AND other.flow_id <> p_flow_id
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'node_taken', 'node_id', v_taken);
+  END IF;
+
+  CREATE TEMP TABLE incoming_nodes ON COMMIT DROP AS
+  SELECT
+    n.id,
+    n.type,
+    n.name,
+    n.position,
+    COALESCE(n.properties, '{}'::jsonb) AS properties,
+    COALESCE(n.connections, '[]'::jsonb) AS connections
+  FROM jsonb_to_recordset(COALESCE(p_nodes, '[]'::jsonb))
+    AS n(id TEXT, type TEXT, name TEXT, position JSONB, properties JSONB, connections JSONB);
+
+  CREATE TEMP TABLE incoming_edges ON COMMIT DROP AS
+  SELECT e.source_node_id, e.source_handle, e.target_node_id
+  FROM jsonb_to_recordset(COALESCE(p_edges, '[]'::jsonb))
+    AS e(source_node_id TEXT, source_handle TEXT, target_node_id TEXT);
+
+  -- Created and changed nodes (JSONB equality ignores key order)
+  CREATE TEMP TABLE changed_nodes ON COMMIT DROP AS
+  SELECT n.*, stored.id IS NULL AS is_new
+  FROM incoming_nodes n
+  LEFT JOIN nodes stored ON stored.id = n.id AND stored.flow_id = p_flow_id
+  WHERE stored.id IS NULL
+    OR stored.type IS DISTINCT FROM n.type
+    OR stored.name IS DISTINCT FROM n.name
+    OR stored.position IS DISTINCT FROM n.position
+    OR stored.properties IS DISTINCT FROM n.properties
+    OR stored.connections IS DISTINCT FROM n.connections;
+
+  SELECT COUNT(*) FILTER (WHERE is_new), COUNT(*) FILTER (WHERE NOT is_new)
+  INTO v_nodes_created, v_nodes_updated
+  FROM changed_nodes;
+
+  DELETE FROM edges stored
+  WHERE stored.flow_id = p_flow_id
+    AND NOT EXISTS (
+      SELECT 1 FROM incoming_edges e
+      WHERE COALESCE(e.source_node_id, '') = COALESCE(stored.source_node_id, '')
+        AND COALESCE(e.source_handle, '') = COALESCE(stored.source_handle, '')
+        AND e.target_node_id = stored.target_node_id
+    );
+  GET DIAGNOSTICS v_edges_removed = ROW_COUNT;
+
+  DELETE FROM nodes stored
+  WHERE stored.flow_id = p_flow_id
+    AND NOT EXISTS (SELECT 1 FROM incoming_nodes n WHERE n.id = stored.id);
+  GET DIAGNOSTICS v_nodes_deleted = ROW_COUNT;
+
+  INSERT INTO nodes (id, flow_id, type, name, position, properties, connections)
+  SELECT id, p_flow_id, type, name, position, properties, connections
+  FROM changed_nodes
+  ON CONFLICT (id) DO UPDATE SET
+    type = EXCLUDED.type,
+    name = EXCLUDED.name,
+    position = EXCLUDED.position,
+    properties = EXCLUDED.properties,
+    connections = EXCLUDED.connections
+  WHERE nodes.flow_id = p_flow_id;
+
+  INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+  SELECT p_flow_id, e.source_node_id, e.source_handle, e.target_node_id
+  FROM incoming_edges e
+  WHERE NOT EXISTS (
+    SELECT 1 FROM edges stored
+    WHERE stored.flow_id = p_flow_id
+      AND COALESCE(stored.source_node_id, '') = COALESCE(e.source_node_id, '')
+      AND COALESCE(stored.source_handle, '') = COALESCE(e.source_handle, '')
+      AND stored.target_node_id = e.target_node_id
+  );
+  GET DIAGNOSTICS v_edges_added = ROW_COUNT;
+
+  UPDATE flows
+  SET
+    first_node_id = (SELECT target_node_id FROM incoming_edges WHERE source_node_id IS NULL LIMIT 1),
+    revision = revision + 1,
+    updated_at = NOW()
+  WHERE id = p_flow_id
+  RETURNING revision INTO v_revision;
+
+  RETURN jsonb_build_object(
+    'ok', true,
+    'revision', v_revision,
+    'changes', jsonb_build_object(
+      'nodesCreated', v_nodes_created,
+      'nodesUpdated', v_nodes_updated,
+      'nodesDeleted', v_nodes_deleted,
+      'edgesAdded', v_edges_added,
+      'edgesRemoved', v_edges_removed
+    )
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- A flow's draft as one snapshot: { revision, nodes, edges }, or NULL if the flow does not exist
+CREATE OR REPLACE FUNCTION get_flow_draft(p_flow_id UUID)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'revision', f.revision,
+    'nodes', COALESCE((SELECT jsonb_agg(to_jsonb(n)) FROM nodes n WHERE n.flow_id = f.id), '[]'::jsonb),
+    'edges', COALESCE((
+      SELECT jsonb_agg(to_jsonb(e) ORDER BY e.created_at)
+      FROM edges e
+      WHERE e.flow_id = f.id
+    ), '[]'::jsonb)
+  )
+  FROM flows f
+  WHERE f.id = p_flow_id;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,44 @@
+-- Migration: Sessions only run published versions
+-- Date: 2024-06-10
+-- Description: A flow that was never published used to run its draft, so builder saves
+-- changed live conversations. Activating now requires a published version and the engine
+-- no longer reads the nodes table for live sessions. Active flows that were never
+-- published get their current draft (what they run today) published, and live sessions
+-- that were started on a draft are pinned to it.
+
+WITH unpublished AS (
+  SELECT f.id
+  FROM flows f
+  WHERE f.is_active = true
+    AND f.published_version_id IS NULL
+),
+published AS (
+  INSERT INTO flow_versions (flow_id, version_number, nodes, edges, published_by, notes)
+  SELECT
+    u.id,
+    COALESCE((SELECT MAX(v.version_number) FROM flow_versions v WHERE v.flow_id = u.id), 0) + 1,
+    COALESCE((SELECT jsonb_agg(to_jsonb(n)) FROM nodes n WHERE n.flow_id = u.id), '[]'::jsonb),
+    COALESCE((
+      SELECT jsonb_agg(to_jsonb(e) ORDER BY e.created_at)
+      FROM edges e
+      WHERE e.flow_id = u.id
+    ), '[]'::jsonb),
+    'migration',
+    'Published from the live draft when activation began requiring a version'
+  FROM unpublished u
+  RETURNING id, flow_id
+)
+UPDATE flows f
+SET published_version_id = p.id
+FROM published p
+WHERE f.id = p.flow_id;
+
+UPDATE contact_sessions s
+SET flow_version_id = f.published_version_id
+FROM flows f
+WHERE s.flow_id = f.id
+  AND s.flow_version_id IS NULL
+  AND s.status IN ('active', 'paused', 'handoff')
+  AND f.published_version_id IS NOT NULL;
+
+COMMENT ON COLUMN flows.published_version_id IS 'Version new sessions run; NULL means never published (the flow cannot be activated)';
@@ -0,0 +1,14 @@
+-- Migration: Credential fingerprints
+-- Date: 2024-06-15
+-- Description: credentials.secret_hint held the last four characters of the raw secret,
+-- part of a password or token shown to every API client. It is replaced by
+-- secret_fingerprint, a keyed hash the server computes when a secret is created or
+-- rotated. Credentials created before this get theirs from move-inline-secrets.js.
+
+ALTER TABLE credentials
+ADD COLUMN IF NOT EXISTS secret_fingerprint VARCHAR(16);
+
+ALTER TABLE credentials
+DROP COLUMN IF EXISTS secret_hint;
+
+COMMENT ON COLUMN credentials.secret_fingerprint IS 'HMAC of the secret (server key), for telling secrets apart; reveals none of its characters';
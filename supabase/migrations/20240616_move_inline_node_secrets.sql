@@ -0,0 +1,71 @@
+-- Migration: Move inline HTTP node secrets into the vault
+-- Date: 2024-06-16
+-- Description: HTTP nodes from before the credential vault keep bearerToken, basicPassword
+-- and apiKeyValue in plain text, in nodes.properties and in every published snapshot.
+-- Saves no longer accept them. Secrets are encrypted by the server, so the move itself is
+-- done by move-inline-secrets.js: it creates the credentials and calls
+-- replace_inline_secrets for each draft node and snapshot node. Published snapshots stay
+-- immutable except for that one change.
+
+CREATE OR REPLACE FUNCTION prevent_flow_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.replacing_inline_secrets', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'flow_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Node properties without inline auth fields, pointing at p_credential_id when set
+CREATE OR REPLACE FUNCTION strip_inline_secrets(p_properties JSONB, p_credential_id UUID)
+RETURNS JSONB AS $$
+  SELECT
+    (
+      CASE WHEN jsonb_typeof(p_properties) = 'string'
+        THEN (p_properties #>> '{}')::jsonb
+        ELSE COALESCE(p_properties, '{}'::jsonb)
+      END
+    ) - 'bearerToken' - 'basicUsername' - 'basicPassword' - 'apiKeyHeader' - 'apiKeyValue'
+    || CASE WHEN p_credential_id IS NULL
+      THEN '{}'::jsonb
+      ELSE jsonb_build_object('credentialId', p_credential_id)
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Replace a node's inline secrets with a credential reference (NULL: drop unused secrets).
+-- p_version_id NULL changes the draft node, otherwise that version's snapshot of the node.
+-- Returns whether the node was found.
+CREATE OR REPLACE FUNCTION replace_inline_secrets(p_node_id TEXT, p_version_id UUID, p_credential_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_found BOOLEAN;
+BEGIN
+  IF p_version_id IS NULL THEN
+    UPDATE nodes
+    SET properties = strip_inline_secrets(properties, p_credential_id)
+    WHERE id = p_node_id;
+    RETURN FOUND;
+  END IF;
+
+  PERFORM set_config('app.replacing_inline_secrets', 'on', true);
+
+  UPDATE flow_versions v
+  SET nodes = (
+    SELECT jsonb_agg(
+      CASE WHEN t.node->>'id' = p_node_id
+        THEN jsonb_set(t.node, '{properties}', strip_inline_secrets(t.node->'properties', p_credential_id))
+        ELSE t.node
+      END
+      ORDER BY t.position
+    )
+    FROM jsonb_array_elements(v.nodes) WITH ORDINALITY AS t(node, position)
+  )
+  WHERE v.id = p_version_id
+    AND EXISTS (SELECT 1 FROM jsonb_array_elements(v.nodes) n WHERE n->>'id' = p_node_id);
+  v_found := FOUND;
+
+  PERFORM set_config('app.replacing_inline_secrets', 'off', true);
+  RETURN v_found;
+END;
+$$ LANGUAGE plpgsql;
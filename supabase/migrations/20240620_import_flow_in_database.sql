@@ -0,0 +1,98 @@
+-- Migration: Atomic flow import
+-- Date: 2024-06-20
+-- Description: Importing a flow wrote its DRAFT templates, the flow row, its nodes, its
+-- edges and first_node_id in separate requests, and deleted what it had created when a
+-- later step failed. A crash between those steps left half a flow behind, and the
+-- response carried the flow row from before first_node_id was set. import_flow writes
+-- everything in one transaction and returns the stored rows. first_node_id follows the
+-- start edge, as for node saves.
+
+-- p_flow: settings of the new flow ({ name, description, trigger_*, reminder_*, session_timeout_hours });
+-- it is created inactive and not the default.
+-- p_templates: [{ id, name, language, category, components }] - DRAFT templates to create
+-- p_nodes: [{ id, type, name, position, properties, connections }]
+-- p_edges: [{ source_node_id, source_handle, target_node_id }] (NULL source = start)
+-- Returns { flow, nodes, edges } as stored.
+CREATE OR REPLACE FUNCTION import_flow(
+  p_flow JSONB,
+  p_templates JSONB,
+  p_nodes JSONB,
+  p_edges JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_flow flows;
+BEGIN
+  INSERT INTO templates (id, name, language, category, status, components)
+  SELECT t.id, t.name, t.language, t.category, 'DRAFT', COALESCE(t.components, '[]'::jsonb)
+  FROM jsonb_to_recordset(COALESCE(p_templates, '[]'::jsonb))
+    AS t(id UUID, name TEXT, language TEXT, category TEXT, components JSONB);
+
+  INSERT INTO flows (
+    name,
+    description,
+    trigger_type,
+    trigger_value,
+    trigger_match_type,
+    trigger_case_sensitive,
+    trigger_priority,
+    reminder_after_minutes,
+    reminder_message,
+    session_timeout_hours,
+    is_active,
+    is_default
+  )
+  SELECT
+    f.name,
+    f.description,
+    f.trigger_type,
+    f.trigger_value,
+    f.trigger_match_type,
+    f.trigger_case_sensitive,
+    f.trigger_priority,
+    f.reminder_after_minutes,
+    f.reminder_message,
+    f.session_timeout_hours,
+    false,
+    false
+  FROM jsonb_populate_record(NULL::flows, p_flow) f
+  RETURNING * INTO v_flow;
+
+  INSERT INTO nodes (id, flow_id, type, name, position, properties, connections)
+  SELECT
+    n.id,
+    v_flow.id,
+    n.type,
+    n.name,
+    n.position,
+    COALESCE(n.properties, '{}'::jsonb),
+    COALESCE(n.connections, '[]'::jsonb)
+  FROM jsonb_to_recordset(COALESCE(p_nodes, '[]'::jsonb))
+    AS n(id TEXT, type TEXT, name TEXT, position JSONB, properties JSONB, connections JSONB);
+
+  INSERT INTO edges (flow_id, source_node_id, source_handle, target_node_id)
+  SELECT v_flow.id, e.source_node_id, e.source_handle, e.target_node_id
+  FROM jsonb_to_recordset(COALESCE(p_edges, '[]'::jsonb))
+    AS e(source_node_id TEXT, source_handle TEXT, target_node_id TEXT);
+
+  UPDATE flows
+  SET first_node_id = (
+    SELECT target_node_id FROM edges
+    WHERE flow_id = v_flow.id AND source_node_id IS NULL
+    ORDER BY created_at
+    LIMIT 1
+  )
+  WHERE id = v_flow.id
+  RETURNING * INTO v_flow;
+
+  RETURN jsonb_build_object(
+    'flow', to_jsonb(v_flow),
+    'nodes', COALESCE((SELECT jsonb_agg(to_jsonb(n)) FROM nodes n WHERE n.flow_id = v_flow.id), '[]'::jsonb),
+    'edges', COALESCE((
+      SELECT jsonb_agg(to_jsonb(e) ORDER BY e.created_at)
+      FROM edges e
+      WHERE e.flow_id = v_flow.id
+    ), '[]'::jsonb)
+  );
+END;
+$$ LANGUAGE plpgsql;
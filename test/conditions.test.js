@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateRule, findMatchingBranch } from '../src/utils/conditions.js';
+
+describe('evaluateRule', () => {
+  const variables = { name: ' Alice ', age: '42', tags: [], order: { total: 150 }, city: 'Paris' };
+
+  it('compares text case-insensitively unless caseSensitive is set', () => {
+    assert.equal(evaluateRule({ variable: 'name', operator: 'equals', value: 'alice' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'name', operator: 'equals', value: 'alice', caseSensitive: true }, variables), false);
+    assert.equal(evaluateRule({ variable: 'name', operator: 'not_equals', value: 'bob' }, variables), true);
+  });
+
+  it('supports contains, starts_with and ends_with', () => {
+    assert.equal(evaluateRule({ variable: 'city', operator: 'contains', value: 'AR' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'not_contains', value: 'x' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'starts_with', value: 'pa' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'ends_with', value: 'is' }, variables), true);
+  });
+
+  it('compares numbers and rejects empty or non-numeric values', () => {
+    assert.equal(evaluateRule({ variable: 'age', operator: 'greater_than', value: '40' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'age', operator: 'less_than_or_equal', value: 42 }, variables), true);
+    assert.equal(evaluateRule({ variable: 'order.total', operator: 'greater_than_or_equal', value: '150' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'missing', operator: 'less_than', value: '1' }, variables), false);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'greater_than', value: '1' }, variables), false);
+  });
+
+  it('treats blank strings, empty arrays and missing values as empty', () => {
+    assert.equal(evaluateRule({ variable: 'tags', operator: 'is_empty' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'missing', operator: 'is_empty' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'is_not_empty' }, variables), true);
+  });
+
+  it('matches comma-separated and array lists', () => {
+    assert.equal(evaluateRule({ variable: 'city', operator: 'in_list', value: 'London, paris' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'not_in_list', value: ['London', 'Rome'] }, variables), true);
+  });
+
+  it('interpolates variables in the expected value', () => {
+    assert.equal(evaluateRule({ variable: 'city', operator: 'equals', value: '{{city}}' }, variables), true);
+  });
+
+  it('returns false for an invalid regex or an unknown operator', () => {
+    assert.equal(evaluateRule({ variable: 'city', operator: 'regex', value: '^par' }, variables), true);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'regex', value: '(' }, variables), false);
+    assert.equal(evaluateRule({ variable: 'city', operator: 'bogus', value: 'x' }, variables), false);
+  });
+});
+
+describe('findMatchingBranch', () => {
+  const branches = [
+    { branch_id: 'empty', rules: [] },
+    {
+      branch_id: 'vip',
+      match: 'all',
+      rules: [
+        { variable: 'tier', operator: 'equals', value: 'gold' },
+        { variable: 'spend', operator: 'greater_than', value: '1000' },
+      ],
+    },
+    {
+      branch_id: 'any',
+      match: 'any',
+      rules: [
+        { variable: 'tier', operator: 'equals', value: 'silver' },
+        { variable: 'spend', operator: 'greater_than', value: '500' },
+      ],
+    },
+  ];
+
+  it('returns the first branch whose rules match', () => {
+    assert.equal(findMatchingBranch(branches, { tier: 'gold', spend: 2000 }).branch_id, 'vip');
+    assert.equal(findMatchingBranch(branches, { tier: 'gold', spend: 600 }).branch_id, 'any');
+  });
+
+  it('skips branches without rules and returns null when nothing matches', () => {
+    assert.equal(findMatchingBranch(branches, { tier: 'bronze', spend: 10 }), null);
+    assert.equal(findMatchingBranch([], {}), null);
+  });
+});
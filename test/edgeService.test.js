@@ -0,0 +1,106 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkEdges, followEdge, getNodeHandles, toEdgeRow, deriveEdgesFromLinks } from '../src/services/edgeService.js';
+
+const nodes = [
+  { id: 'welcome', name: 'Welcome', type: 'message', properties: { label: 'Hi' } },
+  {
+    id: 'menu',
+    name: 'Menu',
+    type: 'button',
+    properties: JSON.stringify({ buttons: [{ btn_id: 'btn-yes', text: 'Yes' }, { btn_id: 'btn-no', text: 'No' }] }),
+  },
+  { id: 'yes', name: 'Yes', type: 'message', properties: {} },
+  { id: 'no', name: 'No', type: 'message', properties: {} },
+];
+
+const edge = (source, handle, target) => ({ source_node_id: source, source_handle: handle, target_node_id: target });
+
+describe('getNodeHandles', () => {
+  it('gives button nodes only their buttons and other nodes a default path', () => {
+    assert.deepEqual(getNodeHandles(nodes[1], JSON.parse(nodes[1].properties)).map((item) => item.handle), ['btn-yes', 'btn-no']);
+    assert.deepEqual(getNodeHandles({ type: 'input' }, { fallback_id: 'fb' }).map((item) => item.handle), [null, 'fb']);
+  });
+});
+
+describe('checkEdges', () => {
+  it('accepts a valid graph', () => {
+    assert.equal(checkEdges(nodes, [
+      edge(null, null, 'welcome'),
+      edge('welcome', null, 'menu'),
+      edge('menu', 'btn-yes', 'yes'),
+      edge('menu', 'btn-no', 'no'),
+      edge('yes', null, 'menu'),
+    ]), null);
+  });
+
+  it('rejects edges to or from unknown nodes', () => {
+    assert.match(checkEdges(nodes, [edge(null, null, 'ghost')]), /Edge target ghost/);
+    assert.match(checkEdges(nodes, [edge('ghost', null, 'welcome')]), /Edge source ghost/);
+  });
+
+  it('rejects handles the source node does not expose', () => {
+    assert.match(checkEdges(nodes, [edge('menu', 'btn-maybe', 'yes')]), /has no handle btn-maybe/);
+    assert.match(checkEdges(nodes, [edge('menu', null, 'yes')]), /has no default path/);
+    assert.match(checkEdges(nodes, [edge(null, 'btn-yes', 'yes')]), /start cannot have a source handle/);
+  });
+
+  it('rejects duplicate edges', () => {
+    assert.equal(checkEdges(nodes, [edge('welcome', null, 'menu'), edge('welcome', null, 'menu')]), 'Duplicate edge');
+  });
+
+  it('rejects a second edge from the same source handle', () => {
+    assert.match(checkEdges(nodes, [edge('welcome', null, 'menu'), edge('welcome', null, 'yes')]), /default path of "Welcome" already leads/);
+    assert.match(checkEdges(nodes, [edge('menu', 'btn-yes', 'yes'), edge('menu', 'btn-yes', 'no')]), /Handle btn-yes of "Menu" already leads/);
+  });
+
+  it('leaves several start edges to the validator', () => {
+    assert.equal(checkEdges(nodes, [edge(null, null, 'welcome'), edge(null, null, 'menu')]), null);
+  });
+});
+
+describe('followEdge', () => {
+  const graph = {
+    nodes: [...nodes, { id: 'legacy', node_id: 12, type: 'message' }],
+    edges: [edge(null, null, 'welcome'), edge('welcome', null, 'menu'), edge('menu', 'btn-no', 'no'), edge('legacy', null, 'yes')],
+  };
+
+  it('follows the start, a handle or a node default path', () => {
+    assert.equal(followEdge(graph, null).id, 'welcome');
+    assert.equal(followEdge(graph, 'btn-no').id, 'no');
+    assert.equal(followEdge(graph, 'welcome').id, 'menu');
+    assert.equal(followEdge(graph, '12').id, 'yes');
+  });
+
+  it('returns null when nothing is connected', () => {
+    assert.equal(followEdge(graph, 'btn-yes'), null);
+    assert.equal(followEdge({ nodes, edges: [] }, null), null);
+  });
+});
+
+describe('toEdgeRow', () => {
+  it('maps the builder start node to a null source', () => {
+    assert.deepEqual(toEdgeRow('f1', { sourceNodeId: 'start-node', sourceHandle: '', targetNodeId: 'welcome' }), {
+      flow_id: 'f1',
+      source_node_id: null,
+      source_handle: null,
+      target_node_id: 'welcome',
+    });
+  });
+});
+
+describe('deriveEdgesFromLinks', () => {
+  it('converts previous_node_id links into edges', () => {
+    const linked = [
+      { id: 'welcome', node_id: 1, type: 'message', properties: {} },
+      { ...nodes[1], node_id: 2, previous_node_id: '1' },
+      { id: 'yes', type: 'message', previous_node_id: 'btn-yes' },
+    ];
+    assert.deepEqual(deriveEdgesFromLinks(linked), [
+      edge(null, null, 'welcome'),
+      edge('welcome', null, 'menu'),
+      edge('menu', 'btn-yes', 'yes'),
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptSecret, decryptSecret, fingerprintSecret } from '../src/utils/encryption.js';
+
+describe('encryptSecret', () => {
+  it('round-trips through decryptSecret', () => {
+    const secret = { username: 'bot', password: 'hunter22' };
+    assert.deepEqual(decryptSecret(encryptSecret(secret)), secret);
+  });
+});
+
+describe('fingerprintSecret', () => {
+  it('is stable for a secret and differs between secrets', () => {
+    assert.equal(fingerprintSecret({ token: 'abc12345' }), fingerprintSecret({ token: 'abc12345' }));
+    assert.notEqual(fingerprintSecret({ token: 'abc12345' }), fingerprintSecret({ token: 'abc12346' }));
+  });
+
+  it('depends on the server key', () => {
+    const fingerprint = fingerprintSecret({ value: 'key-5678' });
+    assert.match(fingerprint, /^[0-9a-f]{12}$/);
+
+    const key = process.env.CREDENTIALS_ENCRYPTION_KEY;
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'another-key';
+    try {
+      assert.notEqual(fingerprintSecret({ value: 'key-5678' }), fingerprint);
+    } finally {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = key;
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { updateFlow } from '../src/controllers/flowController.js';
+
+/**
+ * Minimal Express response that records the status and body
+ */
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const writes = (calls) => calls.filter((call) => call.rpc || call.action !== 'select');
+
+/**
+ * Fake database holding flow-1 with publishedVersionId and that version's snapshot
+ */
+const withFlow = (publishedVersionId, version = null) => fakeSupabase((call) => {
+  if (call.table === 'flows' && call.columns === 'published_version_id') {
+    return { data: { published_version_id: publishedVersionId } };
+  }
+  if (call.table === 'flow_versions') return { data: version };
+  if (call.table === 'flows' && call.action === 'update') {
+    return { data: { id: 'flow-1', name: 'Welcome', is_active: true, published_version_id: publishedVersionId } };
+  }
+  return {};
+});
+
+describe('updateFlow', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('refuses to activate a flow that was never published', async () => {
+    db = withFlow(null);
+    const res = response();
+
+    await updateFlow({ params: { id: 'flow-1' }, body: { isActive: true } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, 'Publish the flow before activating it');
+    assert.deepEqual(writes(db.calls), []);
+  });
+
+  it('validates the published version, not the draft', async () => {
+    const greet = { id: 'greet', flow_id: 'flow-1', type: 'message', name: 'Greet', properties: { label: 'Hi' } };
+    db = withFlow('version-broken', { id: 'version-broken', flow_id: 'flow-1', nodes: [greet], edges: [] });
+    const res = response();
+
+    await updateFlow({ params: { id: 'flow-1' }, body: { isActive: true } }, res);
+
+    assert.equal(res.statusCode, 422);
+    assert.deepEqual(res.body.data.errors.map((issue) => issue.code), ['NO_ROOT']);
+    assert.ok(!db.calls.some((call) => call.table === 'nodes' || call.table === 'edges'));
+    assert.deepEqual(writes(db.calls), []);
+  });
+
+  it('activates a flow whose published version is valid', async () => {
+    const version = {
+      id: 'version-ok',
+      flow_id: 'flow-1',
+      nodes: [{ id: 'welcome', flow_id: 'flow-1', type: 'message', name: 'Welcome', properties: { label: 'Hi' } }],
+      edges: [{ source_node_id: null, source_handle: null, target_node_id: 'welcome' }],
+    };
+    db = withFlow('version-ok', version);
+    const res = response();
+
+    await updateFlow({ params: { id: 'flow-1' }, body: { isActive: true } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.isActive, true);
+    const update = db.calls.find((call) => call.table === 'flows' && call.action === 'update');
+    assert.equal(update.payload.is_active, true);
+  });
+
+  it('deactivates without a published version', async () => {
+    db = withFlow(null);
+    const res = response();
+
+    await updateFlow({ params: { id: 'flow-1' }, body: { isActive: false } }, res);
+
+    assert.equal(res.statusCode, 200);
+  });
+});
@@ -0,0 +1,114 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { resumeBotForContact } from '../src/services/flowEngine.js';
+
+const PHONE = '15550001111';
+
+// Published version: the agent hands back, the bot thanks the contact and asks for an email
+const version = {
+  id: 'version-engine',
+  flow_id: 'flow-1',
+  nodes: [
+    { id: 'handoff', flow_id: 'flow-1', type: 'handoff', name: 'Agent', properties: {} },
+    { id: 'thanks', flow_id: 'flow-1', type: 'message', name: 'Thanks', properties: { label: 'Thanks for waiting' } },
+    { id: 'ask', flow_id: 'flow-1', type: 'input', name: 'Email', properties: { label: 'Your email?', inputType: 'email' } },
+  ],
+  edges: [
+    { source_node_id: null, source_handle: null, target_node_id: 'handoff' },
+    { source_node_id: 'handoff', source_handle: null, target_node_id: 'thanks' },
+    { source_node_id: 'thanks', source_handle: null, target_node_id: 'ask' },
+  ],
+};
+
+/**
+ * Fake database holding one handed-off session. With storedVersion ahead of the
+ * session the engine read, the first session update loses its version check.
+ * Session saves and WhatsApp sends are both logged to events, in order.
+ */
+const withHandoffSession = ({ storedVersion = 3 } = {}) => {
+  const events = [];
+  let stored = {
+    id: 'session-1',
+    phone_number: PHONE,
+    flow_id: 'flow-1',
+    flow_version_id: version.id,
+    current_node_id: 'handoff',
+    status: 'handoff',
+    context: {},
+    call_stack: [],
+    version: storedVersion,
+  };
+  let read = false;
+
+  const db = fakeSupabase((call) => {
+    if (call.table === 'contact_sessions' && call.action === 'select') {
+      // The engine's first read sees version 3
+      const row = read ? stored : { ...stored, version: 3 };
+      read = true;
+      return { data: row };
+    }
+    if (call.table === 'contact_sessions' && call.action === 'update') {
+      if (filterValue(call, 'version') !== stored.version) return { data: null };
+      stored = { ...stored, ...call.payload };
+      events.push({ save: call.payload });
+      return { data: stored };
+    }
+    if (call.table === 'flow_versions') return { data: version };
+    return {};
+  });
+
+  return { db, events };
+};
+
+describe('resumeBotForContact', () => {
+  const originalPost = axios.post;
+  let db;
+
+  afterEach(() => {
+    db?.restore();
+    axios.post = originalPost;
+  });
+
+  const recordSends = (events) => {
+    axios.post = async (url, payload) => {
+      events.push({ send: payload.text.body });
+      return { data: { messages: [{ id: 'wamid.out' }] } };
+    };
+  };
+
+  it('saves the step before sending its messages', async () => {
+    const fake = withHandoffSession();
+    db = fake.db;
+    recordSends(fake.events);
+
+    const session = await resumeBotForContact(PHONE);
+
+    assert.equal(fake.events[0].save.current_node_id, 'ask');
+    assert.deepEqual(fake.events.slice(1, 3), [{ send: 'Thanks for waiting' }, { send: 'Your email?' }]);
+    // The message_sent events are saved after the sends
+    const sent = fake.events[3].save.execution_trace.filter((event) => event.type === 'message_sent');
+    assert.deepEqual(sent.map((event) => event.nodeId), ['thanks', 'ask']);
+    assert.equal(session.current_node_id, 'ask');
+  });
+
+  it('sends nothing when the session moved on, and traces the conflict', async () => {
+    const fake = withHandoffSession({ storedVersion: 4 });
+    db = fake.db;
+    recordSends(fake.events);
+
+    const session = await resumeBotForContact(PHONE);
+
+    assert.ok(!fake.events.some((event) => event.send));
+    assert.equal(fake.events.length, 1);
+    const conflict = fake.events[0].save.execution_trace.find((event) => event.type === 'version_conflict');
+    assert.deepEqual(
+      { nodeId: conflict.nodeId, expectedVersion: conflict.expectedVersion, storedVersion: conflict.storedVersion, droppedMessages: conflict.droppedMessages },
+      { nodeId: 'ask', expectedVersion: 3, storedVersion: 4, droppedMessages: 2 }
+    );
+    assert.equal(session.current_node_id, 'handoff');
+    assert.equal(session.version, 5);
+  });
+});
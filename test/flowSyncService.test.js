@@ -0,0 +1,65 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { syncFlowGraph } from '../src/services/flowSyncService.js';
+
+const draft = {
+  revision: 7,
+  nodes: [{ id: 'welcome', flow_id: 'flow-1', type: 'message', name: 'Welcome' }],
+  edges: [{ id: 'edge-1', flow_id: 'flow-1', source_node_id: null, source_handle: null, target_node_id: 'welcome' }],
+};
+
+const nodes = [{ id: 'welcome', type: 'message', name: 'Welcome', position: { x: 0, y: 0 }, properties: {}, connections: [], flow_id: 'ignored' }];
+const edges = [{ flow_id: 'flow-1', source_node_id: null, source_handle: null, target_node_id: 'welcome' }];
+
+/**
+ * Fake database where sync_flow_graph answers with result and get_flow_draft with draft
+ */
+const withSync = (result) => fakeSupabase((call) => {
+  if (call.rpc === 'sync_flow_graph') return { data: result };
+  if (call.rpc === 'get_flow_draft') return { data: draft };
+  return {};
+});
+
+describe('syncFlowGraph', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('sends the whole draft so the database diffs it under the flow lock', async () => {
+    const changes = { nodesCreated: 0, nodesUpdated: 1, nodesDeleted: 0, edgesAdded: 0, edgesRemoved: 0 };
+    db = withSync({ ok: true, revision: 7, changes });
+
+    const result = await syncFlowGraph('flow-1', { nodes, edges, baseRevision: '6' });
+
+    const [sync] = db.calls;
+    assert.equal(sync.rpc, 'sync_flow_graph');
+    assert.deepEqual(sync.params, {
+      p_flow_id: 'flow-1',
+      p_base_revision: 6,
+      p_nodes: [{ id: 'welcome', type: 'message', name: 'Welcome', position: { x: 0, y: 0 }, properties: {}, connections: [] }],
+      p_edges: [{ source_node_id: null, source_handle: null, target_node_id: 'welcome' }],
+    });
+    assert.deepEqual(result, { status: 'saved', revision: 7, nodes: draft.nodes, edges: draft.edges, changes });
+    assert.equal(db.calls.some((call) => call.table), false);
+  });
+
+  it('returns the stored draft on a conflict', async () => {
+    db = withSync({ ok: false, error: 'conflict', revision: 7 });
+
+    assert.deepEqual(await syncFlowGraph('flow-1', { nodes, edges, baseRevision: 5 }), { status: 'conflict', current: draft });
+  });
+
+  it('reports node ids owned by another flow and missing flows', async () => {
+    db = withSync({ ok: false, error: 'node_taken', node_id: 'welcome' });
+    assert.deepEqual(await syncFlowGraph('flow-1', { nodes, edges, baseRevision: 6 }), {
+      status: 'invalid',
+      error: 'Node id welcome is already used by another flow',
+    });
+    db.restore();
+
+    db = withSync({ ok: false, error: 'not_found' });
+    assert.deepEqual(await syncFlowGraph('flow-2', { nodes, edges, baseRevision: 6 }), { status: 'not_found' });
+  });
+});
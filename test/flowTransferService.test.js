@@ -0,0 +1,149 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { createImportIdMap, remapIds, validateFlowDocument, importFlow } from '../src/services/flowTransferService.js';
+
+const nodes = [
+  { id: 'ask', name: 'Ask', type: 'input', properties: { variableName: 'name', fallback_id: 'ask-fallback' } },
+  {
+    id: 'menu',
+    name: 'Menu',
+    type: 'list',
+    properties: { sections: [{ rows: [{ row_id: 'row-a', title: 'A' }, { row_id: 'row-b', title: 'B' }] }] },
+  },
+  { id: 'done', name: 'Done', type: 'message', properties: { label: 'Thanks {{name}}' } },
+];
+
+const documentOf = (overrides = {}) => ({
+  format: 'whatsapp-flow',
+  version: 2,
+  flow: { name: 'Survey' },
+  nodes,
+  edges: [
+    { sourceNodeId: 'start-node', sourceHandle: null, targetNodeId: 'ask' },
+    { sourceNodeId: 'ask', sourceHandle: null, targetNodeId: 'menu' },
+    { sourceNodeId: 'menu', sourceHandle: 'row-a', targetNodeId: 'done' },
+  ],
+  ...overrides,
+});
+
+describe('createImportIdMap', () => {
+  it('gives every node and handle a fresh, unique id', () => {
+    const idMap = createImportIdMap(nodes);
+    assert.deepEqual([...idMap.keys()].sort(), ['ask', 'ask-fallback', 'done', 'menu', 'row-a', 'row-b']);
+
+    const fresh = [...idMap.values()];
+    assert.equal(new Set(fresh).size, fresh.length);
+    fresh.forEach((id) => assert.match(id, /^[0-9a-f-]{36}$/));
+  });
+});
+
+describe('remapIds', () => {
+  it('replaces mapped ids anywhere in a value and keeps everything else', () => {
+    const idMap = new Map([['menu', 'new-menu'], ['row-a', 'new-row-a']]);
+    const properties = {
+      sections: [{ rows: [{ row_id: 'row-a', title: 'menu item' }, { row_id: 'row-c' }] }],
+      next: 'menu',
+      limit: 3,
+      enabled: true,
+      empty: null,
+    };
+
+    assert.deepEqual(remapIds(properties, idMap), {
+      sections: [{ rows: [{ row_id: 'new-row-a', title: 'menu item' }, { row_id: 'row-c' }] }],
+      next: 'new-menu',
+      limit: 3,
+      enabled: true,
+      empty: null,
+    });
+  });
+
+  it('remaps edges onto the imported ids', () => {
+    const idMap = createImportIdMap(nodes);
+    const remapped = remapIds({ source_node_id: 'menu', source_handle: 'row-a', target_node_id: 'done' }, idMap);
+    assert.deepEqual(remapped, {
+      source_node_id: idMap.get('menu'),
+      source_handle: idMap.get('row-a'),
+      target_node_id: idMap.get('done'),
+    });
+  });
+});
+
+describe('validateFlowDocument', () => {
+  it('accepts a version 2 document', () => {
+    assert.deepEqual(validateFlowDocument(documentOf()), { valid: true, error: null });
+  });
+
+  it('rejects unknown formats and newer versions', () => {
+    assert.match(validateFlowDocument(documentOf({ format: 'other' })).error, /Unknown document format/);
+    assert.match(validateFlowDocument(documentOf({ version: 3 })).error, /Unsupported document version 3/);
+    assert.match(validateFlowDocument([]).error, /must be a JSON object/);
+  });
+
+  it('rejects nodes without ids and duplicate ids', () => {
+    assert.match(validateFlowDocument(documentOf({ nodes: [{ type: 'message' }] })).error, /needs an id and a type/);
+    assert.match(validateFlowDocument(documentOf({ nodes: [...nodes, nodes[0]] })).error, /must be unique/);
+  });
+
+  it('checks version 2 edges', () => {
+    assert.match(validateFlowDocument(documentOf({ edges: undefined })).error, /no edges/);
+    const edges = [{ sourceNodeId: 'menu', sourceHandle: 'row-z', targetNodeId: 'done' }];
+    assert.match(validateFlowDocument(documentOf({ edges })).error, /has no handle row-z/);
+  });
+
+  it('rejects inline HTTP secrets', () => {
+    const http = { id: 'call', name: 'Call API', type: 'http', properties: JSON.stringify({ authType: 'apikey', apiKeyValue: 'key-123' }) };
+    assert.match(validateFlowDocument(documentOf({ nodes: [...nodes, http] })).error, /Node "Call API": Inline HTTP secrets \(apiKeyValue\)/);
+
+    const masked = { ...http, properties: { authType: 'apikey', apiKeyValue: '********' } };
+    assert.equal(validateFlowDocument(documentOf({ nodes: [...nodes, masked] })).valid, true);
+  });
+
+  it('accepts version 1 documents linked through previousNodeId', () => {
+    const linked = [{ ...nodes[0] }, { ...nodes[1], previousNodeId: 'ask' }, { ...nodes[2], previousNodeId: 'row-a' }];
+    assert.deepEqual(validateFlowDocument({ format: 'whatsapp-flow', version: 1, flow: {}, nodes: linked }), { valid: true, error: null });
+  });
+});
+
+describe('importFlow', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('writes the flow, nodes, edges and new templates in one call and returns the stored flow', async () => {
+    const welcome = { id: 'welcome', name: 'Welcome', type: 'template', properties: { templateId: 'tpl-old' } };
+    const document = documentOf({
+      nodes: [welcome, ...nodes],
+      edges: [
+        { sourceNodeId: 'start-node', sourceHandle: null, targetNodeId: 'welcome' },
+        { sourceNodeId: 'welcome', sourceHandle: null, targetNodeId: 'ask' },
+      ],
+      templates: [{ id: 'tpl-old', name: 'welcome_v2', language: 'en', category: 'MARKETING', components: [] }],
+    });
+
+    db = fakeSupabase((call) => {
+      if (call.rpc === 'import_flow') {
+        const { p_flow, p_nodes, p_edges } = call.params;
+        const first = p_edges.find((edge) => edge.source_node_id === null).target_node_id;
+        return { data: { flow: { id: 'flow-new', ...p_flow, first_node_id: first }, nodes: p_nodes, edges: p_edges } };
+      }
+      return { data: null };
+    });
+
+    const result = await importFlow(document, { name: 'Copy' });
+
+    const [rpc, ...others] = db.calls.filter((call) => call.rpc || call.action !== 'select');
+    assert.deepEqual(others, []);
+    assert.equal(rpc.params.p_flow.name, 'Copy');
+
+    const [template] = rpc.params.p_templates;
+    assert.equal(template.name, 'welcome_v2');
+    const welcomeRow = rpc.params.p_nodes.find((node) => node.name === 'Welcome');
+    assert.equal(welcomeRow.properties.templateId, template.id);
+    assert.notEqual(welcomeRow.id, 'welcome');
+
+    assert.equal(result.flow.first_node_id, welcomeRow.id);
+    assert.match(result.warnings[0], /welcome_v2" was created as DRAFT/);
+  });
+});
@@ -0,0 +1,98 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateFlowNodes, collectFlowVariables } from '../src/services/flowValidator.js';
+
+const edge = (source, handle, target) => ({ source_node_id: source, source_handle: handle, target_node_id: target });
+const codes = (issues) => issues.map((issue) => issue.code);
+
+const ask = { id: 'ask', name: 'Ask name', type: 'input', properties: { label: 'Your name?', variableName: 'name' } };
+const greet = { id: 'greet', name: 'Greet', type: 'message', properties: { label: 'Hi {{name}}' } };
+
+describe('validateFlowNodes', () => {
+  it('passes a connected flow', () => {
+    const result = validateFlowNodes([ask, greet], [edge(null, null, 'ask'), edge('ask', null, 'greet')]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+  });
+
+  it('requires exactly one start edge', () => {
+    assert.deepEqual(codes(validateFlowNodes([ask, greet], [edge('ask', null, 'greet')]).errors), ['NO_ROOT']);
+    assert.deepEqual(codes(validateFlowNodes([ask, greet], [edge(null, null, 'ask'), edge(null, null, 'greet')]).errors), ['MULTIPLE_ROOTS', 'MULTIPLE_ROOTS']);
+  });
+
+  it('reports edges from missing nodes or handles', () => {
+    const result = validateFlowNodes([ask, greet], [edge(null, null, 'ask'), edge('ask', 'nope', 'greet')]);
+    assert.deepEqual(codes(result.errors), ['ORPHANED_NODE']);
+    assert.deepEqual(codes(result.warnings), ['UNREACHABLE_NODE']);
+  });
+
+  it('reports two nodes following the same handle', () => {
+    const other = { id: 'other', name: 'Other', type: 'message', properties: { label: 'x' } };
+    const result = validateFlowNodes([ask, greet, other], [edge(null, null, 'ask'), edge('ask', null, 'greet'), edge('ask', null, 'other')]);
+    assert.deepEqual(codes(result.errors), ['DUPLICATE_CONNECTION']);
+  });
+
+  it('rejects a loop of messages but allows a loop through an input', () => {
+    const a = { id: 'a', name: 'A', type: 'message', properties: { label: 'a' } };
+    const b = { id: 'b', name: 'B', type: 'message', properties: { label: 'b' } };
+    const loop = validateFlowNodes([a, b], [edge(null, null, 'a'), edge('a', null, 'b'), edge('b', null, 'a')]);
+    assert.deepEqual(codes(loop.errors), ['MESSAGE_LOOP']);
+
+    const waiting = validateFlowNodes([ask, greet], [edge(null, null, 'ask'), edge('ask', null, 'greet'), edge('greet', null, 'ask')]);
+    assert.equal(waiting.valid, true);
+  });
+
+  it('checks button limits and unconnected buttons', () => {
+    const menu = {
+      id: 'menu',
+      name: 'Menu',
+      type: 'button',
+      properties: {
+        label: 'Pick one',
+        buttons: [
+          { btn_id: 'b1', text: 'One' },
+          { btn_id: 'b2', text: 'A title that is far too long' },
+          { btn_id: 'b3', text: 'Three' },
+          { btn_id: 'b1', text: 'Four' },
+        ],
+      },
+    };
+    const done = { id: 'done', name: 'Done', type: 'message', properties: { label: 'Done' } };
+    const result = validateFlowNodes([menu, done], [edge(null, null, 'menu'), edge('menu', 'b1', 'done')]);
+    assert.deepEqual(codes(result.errors).sort(), ['BUTTON_TITLE_TOO_LONG', 'DUPLICATE_BUTTON_ID', 'TOO_MANY_BUTTONS']);
+    assert.deepEqual(codes(result.warnings), ['BUTTON_WITHOUT_TARGET', 'BUTTON_WITHOUT_TARGET']);
+  });
+
+  it('requires the settings each node type needs', () => {
+    const nodes = [
+      { id: 'http', name: 'Call', type: 'http', properties: {} },
+      { id: 'sub', name: 'Sub', type: 'subflow', properties: {} },
+      { id: 'tpl', name: 'Tpl', type: 'template', properties: {} },
+    ];
+    const result = validateFlowNodes(nodes, [edge(null, null, 'http'), edge('http', null, 'sub'), edge('sub', null, 'tpl')]);
+    assert.deepEqual(codes(result.errors), ['MISSING_URL', 'MISSING_SUBFLOW', 'MISSING_TEMPLATE']);
+  });
+
+  it('warns about variables no node sets and ignores notes', () => {
+    const note = { id: 'note', name: 'Note', type: 'note', properties: { label: '{{anything}}' } };
+    const bye = { id: 'bye', name: 'Bye', type: 'message', properties: { label: 'Bye {{nickname}}, {{phone_number}} {{1}}' } };
+    const result = validateFlowNodes([note, bye], [edge(null, null, 'bye')]);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings.map((warning) => warning.message), ['"Bye" uses {{nickname}}, which no node in this flow sets']);
+  });
+});
+
+describe('collectFlowVariables', () => {
+  it('lists system variables and the variables nodes define', () => {
+    const http = {
+      id: 'http',
+      type: 'http',
+      properties: { url: 'https://x', responseVariable: 'api', statusVariable: 'status', responseMappings: [{ path: '$.id', variable: 'userId' }] },
+    };
+    const sub = { id: 'sub', type: 'subflow', properties: { outputMapping: { total: 'sum' } } };
+    const names = collectFlowVariables([ask, http, sub]).map((variable) => variable.name);
+    assert.deepEqual(names, ['phone_number', 'customer_name', 'email', 'contact', 'name', 'api', 'userId', 'status', 'total']);
+  });
+});
@@ -0,0 +1,54 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { handOffContact } from '../src/services/handoffService.js';
+
+describe('handOffContact', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('queues a contact outside any flow without creating a session', async () => {
+    db = fakeSupabase((call) => {
+      if (call.table === 'agent_queue' && call.action === 'insert') return { data: { id: 'entry-1', ...call.payload } };
+      return { data: null };
+    });
+
+    const { session, entry } = await handOffContact('15550001', { assignedTo: 'sam' });
+
+    assert.equal(session, null);
+    assert.equal(entry.session_id, null);
+    assert.equal(entry.flow_id, null);
+    assert.equal(entry.status, 'active');
+    assert.ok(!db.calls.some((call) => call.table === 'contact_sessions' && call.action !== 'select'));
+  });
+
+  it('counts another agent reply as activity on the open entry', async () => {
+    const open = { id: 'entry-1', phone_number: '15550001', session_id: null, status: 'active' };
+    db = fakeSupabase((call) => (call.table === 'agent_queue' && call.action === 'select' ? { data: open } : { data: null }));
+
+    const { entry } = await handOffContact('15550001');
+
+    assert.equal(entry, open);
+    const writes = db.calls.filter((call) => call.action !== 'select');
+    assert.deepEqual(writes.map((call) => [call.table, call.action]), [['agent_queue', 'update']]);
+    assert.deepEqual(Object.keys(writes[0].payload), ['updated_at']);
+  });
+
+  it('parks a running session in handoff', async () => {
+    const running = { id: 'session-1', phone_number: '15550001', flow_id: 'flow-1', status: 'active', version: 1 };
+    db = fakeSupabase((call) => {
+      if (call.table === 'contact_sessions' && call.action === 'select') return { data: running };
+      if (call.table === 'contact_sessions' && call.action === 'update') return { data: { ...running, ...call.payload, version: 2 } };
+      if (call.table === 'agent_queue' && call.action === 'insert') return { data: { id: 'entry-1', ...call.payload } };
+      return { data: null };
+    });
+
+    const { session, entry } = await handOffContact('15550001');
+
+    assert.equal(session.status, 'handoff');
+    assert.equal(entry.session_id, 'session-1');
+    assert.equal(entry.flow_id, 'flow-1');
+  });
+});
@@ -0,0 +1,65 @@
+import supabase from '../../src/config/supabase.js';
+
+/**
+ * Route the shared Supabase client to an in-memory handler for one test.
+ *
+ * Every query or rpc call is recorded as
+ * { table, action, payload, filters, columns, single } or { rpc, params }
+ * and answered with handler(call), which returns { data, error } (both default to null).
+ * Call restore() when the test ends.
+ */
+export const fakeSupabase = (handler = () => ({})) => {
+  const calls = [];
+  const original = { from: supabase.from, rpc: supabase.rpc };
+
+  const respond = async (call) => {
+    calls.push(call);
+    return { data: null, error: null, ...(await handler(call)) };
+  };
+
+  supabase.from = (table) => {
+    const call = { table, action: 'select', payload: null, filters: [], columns: null, single: null };
+
+    const builder = new Proxy({}, {
+      get: (_, method) => {
+        if (method === 'then') {
+          const result = respond(call);
+          return result.then.bind(result);
+        }
+
+        return (...args) => {
+          if (['insert', 'update', 'upsert', 'delete'].includes(method)) {
+            call.action = method;
+            call.payload = args[0] ?? null;
+          } else if (method === 'select') {
+            call.columns = args[0] ?? '*';
+          } else if (method === 'single' || method === 'maybeSingle') {
+            call.single = method;
+          } else {
+            call.filters.push([method, ...args]);
+          }
+          return builder;
+        };
+      },
+    });
+
+    return builder;
+  };
+
+  supabase.rpc = (fn, params) => respond({ rpc: fn, params });
+
+  return {
+    calls,
+    restore: () => {
+      supabase.from = original.from;
+      supabase.rpc = original.rpc;
+    },
+  };
+};
+
+/**
+ * Value a recorded query filtered column on with method (eq by default), or undefined
+ */
+export const filterValue = (call, column, method = 'eq') => (
+  call.filters.find(([name, field]) => name === method && field === column)?.[2]
+);
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeInboundMessage } from '../src/utils/inboundMessage.js';
+
+const base = { id: 'wamid.1', from: '15550001111', timestamp: '1700000000' };
+
+describe('normalizeInboundMessage', () => {
+  it('normalizes text messages', () => {
+    assert.deepEqual(normalizeInboundMessage({ ...base, type: 'text', text: { body: 'Hello' } }), {
+      id: 'wamid.1',
+      from: '15550001111',
+      timestamp: '2023-11-14T22:13:20.000Z',
+      replyId: null,
+      context: null,
+      type: 'text',
+      text: 'Hello',
+      payload: null,
+      summary: 'Hello',
+    });
+  });
+
+  it('turns button and list replies into replies with a replyId', () => {
+    const button = normalizeInboundMessage({
+      ...base,
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id: 'btn-yes', title: 'Yes' } },
+      context: { id: 'wamid.0' },
+    });
+    assert.equal(button.type, 'reply');
+    assert.equal(button.replyId, 'btn-yes');
+    assert.equal(button.text, 'Yes');
+    assert.deepEqual(button.context, { id: 'wamid.0' });
+
+    const row = normalizeInboundMessage({
+      ...base,
+      type: 'interactive',
+      interactive: { type: 'list_reply', list_reply: { id: 'row-2', title: 'Pizza', description: 'Large' } },
+    });
+    assert.deepEqual(row.payload, { kind: 'list_reply', id: 'row-2', title: 'Pizza', description: 'Large' });
+  });
+
+  it('turns template quick replies into replies', () => {
+    const reply = normalizeInboundMessage({ ...base, type: 'button', button: { payload: 'STOP_PROMO', text: 'Stop promotions' } });
+    assert.equal(reply.type, 'reply');
+    assert.equal(reply.replyId, 'STOP_PROMO');
+    assert.equal(reply.summary, 'Stop promotions');
+  });
+
+  it('keeps media metadata and uses the caption as text', () => {
+    const image = normalizeInboundMessage({ ...base, type: 'image', image: { id: 'media-1', mime_type: 'image/jpeg', caption: 'Receipt' } });
+    assert.equal(image.text, 'Receipt');
+    assert.deepEqual(image.payload, { id: 'media-1', mime_type: 'image/jpeg', caption: 'Receipt' });
+    assert.equal(image.summary, '[image] Receipt');
+
+    const voice = normalizeInboundMessage({ ...base, type: 'audio', audio: { id: 'media-2', voice: true } });
+    assert.equal(voice.text, null);
+    assert.equal(voice.summary, '[audio]');
+  });
+
+  it('normalizes locations, contacts and reactions', () => {
+    const location = normalizeInboundMessage({ ...base, type: 'location', location: { latitude: 51.5, longitude: -0.12 } });
+    assert.deepEqual(location.payload, { latitude: 51.5, longitude: -0.12 });
+    assert.equal(location.summary, '[location] 51.5,-0.12');
+
+    const contacts = normalizeInboundMessage({
+      ...base,
+      type: 'contacts',
+      contacts: [{ name: { first_name: 'Ana', last_name: 'Lopez' }, phones: [{ wa_id: '15550002222' }] }],
+    });
+    assert.deepEqual(contacts.payload, { contacts: [{ name: 'Ana Lopez', phones: ['15550002222'], emails: [] }] });
+
+    const reaction = normalizeInboundMessage({ ...base, type: 'reaction', reaction: { message_id: 'wamid.0' } });
+    assert.equal(reaction.summary, '[reaction] removed');
+  });
+
+  it('marks unknown and unsupported messages', () => {
+    const unknown = normalizeInboundMessage({ ...base, type: 'order', errors: [{ code: 131051 }] });
+    assert.equal(unknown.type, 'unsupported');
+    assert.deepEqual(unknown.payload, { original_type: 'order', errors: [{ code: 131051 }] });
+
+    const flowReply = normalizeInboundMessage({ ...base, type: 'interactive', interactive: { type: 'nfm_reply' } });
+    assert.equal(flowReply.type, 'unsupported');
+    assert.equal(flowReply.summary, '[interactive:nfm_reply]');
+  });
+});
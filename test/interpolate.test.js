@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getValueByPath, interpolate, interpolateDeep } from '../src/utils/interpolate.js';
+
+describe('getValueByPath', () => {
+  it('reads dotted paths, including array indexes', () => {
+    const data = { order: { items: [{ name: 'Tea' }] } };
+    assert.equal(getValueByPath(data, 'order.items.0.name'), 'Tea');
+    assert.equal(getValueByPath(data, 'order.missing.name'), undefined);
+    assert.equal(getValueByPath(data, ''), undefined);
+  });
+});
+
+describe('interpolate', () => {
+  it('replaces placeholders and leaves unknown ones untouched', () => {
+    const text = 'Hi {{ name }}, order {{order.id}} ships to {{address}}';
+    assert.equal(interpolate(text, { name: 'Ana', order: { id: 7 } }), 'Hi Ana, order 7 ships to {{address}}');
+  });
+
+  it('serializes objects and keeps falsy values', () => {
+    assert.equal(interpolate('{{cart}}', { cart: { qty: 2 } }), '{"qty":2}');
+    assert.equal(interpolate('{{count}} {{flag}}', { count: 0, flag: false }), '0 false');
+  });
+
+  it('returns non-string input unchanged', () => {
+    assert.equal(interpolate(null, {}), null);
+    assert.equal(interpolate(5, {}), 5);
+  });
+});
+
+describe('interpolateDeep', () => {
+  it('replaces placeholders in nested objects and arrays', () => {
+    const value = { url: '/users/{{id}}', headers: [{ value: 'Bearer {{token}}' }], retries: 3 };
+    assert.deepEqual(interpolateDeep(value, { id: 'u1', token: 't' }), {
+      url: '/users/u1',
+      headers: [{ value: 'Bearer t' }],
+      retries: 3,
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryJsonPath } from '../src/utils/jsonPath.js';
+
+describe('queryJsonPath', () => {
+  const data = {
+    user: { name: 'Ana', 'full name': 'Ana Lopez' },
+    items: [{ id: 1, name: 'Tea' }, { id: 2, name: 'Cake' }],
+  };
+
+  it('returns the whole document for $ or an empty expression', () => {
+    assert.equal(queryJsonPath(data, '$'), data);
+    assert.equal(queryJsonPath(data, ''), data);
+  });
+
+  it('follows dotted, indexed and quoted paths', () => {
+    assert.equal(queryJsonPath(data, '$.user.name'), 'Ana');
+    assert.equal(queryJsonPath(data, 'user.name'), 'Ana');
+    assert.equal(queryJsonPath(data, '$.items[1].name'), 'Cake');
+    assert.equal(queryJsonPath(data, "$.user['full name']"), 'Ana Lopez');
+  });
+
+  it('returns arrays for wildcards', () => {
+    assert.deepEqual(queryJsonPath(data, '$.items[*].id'), [1, 2]);
+    assert.deepEqual(queryJsonPath({ items: [] }, '$.items[*].id'), []);
+    assert.equal(queryJsonPath(data, '$.missing[*].id'), undefined);
+  });
+
+  it('supports length and returns undefined for missing paths', () => {
+    assert.equal(queryJsonPath(data, '$.items.length'), 2);
+    assert.equal(queryJsonPath(data, '$.items[5].name'), undefined);
+    assert.equal(queryJsonPath(data, '$.user.age'), undefined);
+  });
+});
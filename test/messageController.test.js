@@ -0,0 +1,38 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { sendMessage } from '../src/controllers/messageController.js';
+
+/**
+ * Minimal Express response that records the status and body
+ */
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('sendMessage', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('refuses opted-out numbers with the same body as conversation replies', async () => {
+    db = fakeSupabase((call) => (call.table === 'contact_consents' ? { data: { status: 'opted_out' } } : {}));
+    const res = response();
+
+    await sendMessage({ body: { phoneNumber: '15550009', message: 'Hi' } }, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { success: false, message: 'Cannot send message: number has opted out', reason: 'opted_out' });
+    assert.ok(!db.calls.some((call) => call.table === 'api_config'));
+  });
+});
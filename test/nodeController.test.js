@@ -0,0 +1,231 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { createNode, updateNode, createEdge, deleteEdge } from '../src/controllers/nodeController.js';
+
+const nodes = [
+  { id: 'welcome', flow_id: 'flow-1', type: 'message', properties: {} },
+  { id: 'menu', flow_id: 'flow-1', type: 'message', properties: {} },
+];
+
+const startEdge = (target) => ({ id: 'edge-start', flow_id: 'flow-1', source_node_id: null, source_handle: null, target_node_id: target });
+
+/**
+ * Minimal Express response that records the status and body
+ */
+const response = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const rpcCalls = (calls) => calls.filter((call) => call.rpc);
+
+const buttonNode = {
+  id: 'menu',
+  flow_id: 'flow-1',
+  type: 'button',
+  properties: { buttons: [{ btn_id: 'btn-yes', text: 'Yes' }] },
+};
+
+/**
+ * Fake database for single-node saves: save_node answers with rpcResult
+ */
+const withSaveNode = (rpcResult) => fakeSupabase((call) => {
+  if (call.rpc === 'save_node') {
+    return typeof rpcResult === 'function' ? rpcResult(call) : { data: rpcResult };
+  }
+  if (call.table === 'nodes' && call.single) return { data: nodes.find((node) => node.id === filterValue(call, 'id')) || null };
+  if (call.table === 'nodes') return { data: [...nodes, buttonNode] };
+  return {};
+});
+
+describe('createNode', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('saves the node and its link from previous_node_id in one call', async () => {
+    db = withSaveNode((call) => ({ data: { ok: true, node: { ...call.params.p_node, flow_id: 'flow-1' }, revision: 3 } }));
+    const res = response();
+
+    await createNode({ body: { flowId: 'flow-1', id: 'thanks', type: 'message', name: 'Thanks', previous_node_id: 'btn-yes' } }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.revision, 3);
+    const [save] = rpcCalls(db.calls);
+    assert.equal(save.params.p_is_new, true);
+    assert.deepEqual(save.params.p_incoming_edges, [{ source_node_id: 'menu', source_handle: 'btn-yes' }]);
+    assert.equal(db.calls.some((call) => call.table === 'edges' || call.action === 'insert'), false);
+  });
+
+  it('leaves edges alone without previous_node_id', async () => {
+    db = withSaveNode((call) => ({ data: { ok: true, node: call.params.p_node, revision: 1 } }));
+
+    await createNode({ body: { flowId: 'flow-1', type: 'message' } }, response());
+
+    assert.equal(rpcCalls(db.calls)[0].params.p_incoming_edges, null);
+  });
+
+  it('rejects a second start node', async () => {
+    db = withSaveNode({ ok: false, error: 'root_exists' });
+    const res = response();
+
+    await createNode({ body: { flowId: 'flow-1', type: 'message', previous_node_id: null } }, res);
+
+    assert.deepEqual(rpcCalls(db.calls)[0].params.p_incoming_edges, [{ source_node_id: null, source_handle: null }]);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, 'The flow already has a first node; link this node to a parent instead');
+  });
+
+  it('answers 409 when the handle is taken or the id exists', async () => {
+    db = withSaveNode({ ok: false, error: 'handle_taken', source_node_id: 'menu', source_handle: 'btn-yes' });
+    const taken = response();
+    await createNode({ body: { flowId: 'flow-1', type: 'message', previous_node_id: 'btn-yes' } }, taken);
+    assert.equal(taken.statusCode, 409);
+    assert.match(taken.body.message, /Handle btn-yes of "menu" already leads to another node/);
+    db.restore();
+
+    db = withSaveNode(() => ({ error: { code: '23505', message: 'duplicate key value violates unique constraint "nodes_pkey"' } }));
+    const duplicate = response();
+    await createNode({ body: { flowId: 'flow-1', id: 'welcome', type: 'message' } }, duplicate);
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.message, 'Node already exists');
+  });
+
+  it('rejects inline HTTP secrets but keeps masked ones', async () => {
+    db = withSaveNode((call) => ({ data: { ok: true, node: call.params.p_node, revision: 1 } }));
+    const inline = response();
+
+    await createNode({ body: { flowId: 'flow-1', type: 'http', properties: { authType: 'bearer', bearerToken: 'sk-live-123' } } }, inline);
+
+    assert.equal(inline.statusCode, 400);
+    assert.match(inline.body.message, /Inline HTTP secrets \(bearerToken\) are not accepted/);
+    assert.deepEqual(rpcCalls(db.calls), []);
+
+    const masked = response();
+    await createNode({ body: { flowId: 'flow-1', type: 'http', properties: { credentialId: 'cred-1', bearerToken: '********' } } }, masked);
+    assert.equal(masked.statusCode, 201);
+  });
+});
+
+describe('updateNode', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('writes only the fields sent', async () => {
+    db = withSaveNode((call) => ({ data: { ok: true, node: { ...nodes[0], ...call.params.p_node }, revision: 8 } }));
+    const res = response();
+
+    await updateNode({ params: { id: 'welcome' }, body: { name: 'Hello' } }, res);
+
+    const [save] = rpcCalls(db.calls);
+    assert.deepEqual(save.params.p_node, { id: 'welcome', name: 'Hello' });
+    assert.equal(save.params.p_is_new, false);
+    assert.equal(save.params.p_incoming_edges, null);
+    assert.equal(res.body.data.name, 'Hello');
+  });
+
+  it('returns 404 for an unknown node', async () => {
+    db = withSaveNode({ ok: true });
+    const res = response();
+
+    await updateNode({ params: { id: 'missing' }, body: { name: 'x' } }, res);
+
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(rpcCalls(db.calls), []);
+  });
+});
+
+describe('createEdge', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('sets the start node through set_flow_start_node', async () => {
+    let start = null;
+    db = fakeSupabase((call) => {
+      if (call.table === 'nodes') return { data: nodes };
+      if (call.rpc === 'set_flow_start_node') {
+        start = startEdge(call.params.p_node_id);
+        return { data: 4 };
+      }
+      if (call.table === 'edges') return { data: start };
+      return {};
+    });
+    const res = response();
+
+    await createEdge({ body: { flowId: 'flow-1', sourceNodeId: 'start-node', targetNodeId: 'welcome' } }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.revision, 4);
+    assert.equal(res.body.data.targetNodeId, 'welcome');
+    assert.deepEqual(rpcCalls(db.calls).map((call) => call.params), [{ p_flow_id: 'flow-1', p_node_id: 'welcome' }]);
+    assert.equal(db.calls.some((call) => call.table === 'edges' && call.action === 'insert'), false);
+  });
+
+  it('rejects a second start edge', async () => {
+    db = fakeSupabase((call) => (call.table === 'nodes' ? { data: nodes } : { data: startEdge('welcome') }));
+    const res = response();
+
+    await createEdge({ body: { flowId: 'flow-1', sourceNodeId: null, targetNodeId: 'menu' } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, 'The flow already has a first node; remove its start edge first');
+    assert.deepEqual(rpcCalls(db.calls), []);
+  });
+});
+
+describe('deleteEdge', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('clears the start node through set_flow_start_node', async () => {
+    db = fakeSupabase((call) => (call.rpc ? { data: 5 } : { data: startEdge('welcome') }));
+    const res = response();
+
+    await deleteEdge({ params: { id: 'edge-start' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.revision, 5);
+    assert.deepEqual(rpcCalls(db.calls).map((call) => [call.rpc, call.params]), [
+      ['set_flow_start_node', { p_flow_id: 'flow-1', p_node_id: null }],
+    ]);
+    assert.equal(db.calls.some((call) => call.action === 'delete'), false);
+  });
+
+  it('deletes other edges and bumps the revision', async () => {
+    db = fakeSupabase((call) => {
+      if (call.rpc) return { data: 6 };
+      if (call.action === 'select') return { data: { id: 'edge-1', flow_id: 'flow-1', source_node_id: 'welcome' } };
+      return {};
+    });
+    const res = response();
+
+    await deleteEdge({ params: { id: 'edge-1' } }, res);
+
+    const removed = db.calls.find((call) => call.action === 'delete');
+    assert.equal(filterValue(removed, 'id'), 'edge-1');
+    assert.deepEqual(rpcCalls(db.calls).map((call) => call.rpc), ['bump_flow_revision']);
+    assert.equal(res.body.revision, 6);
+  });
+
+  it('returns 404 for an unknown edge', async () => {
+    db = fakeSupabase(() => ({ data: null }));
+    const res = response();
+
+    await deleteEdge({ params: { id: 'missing' } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+});
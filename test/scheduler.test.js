@@ -0,0 +1,107 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { registerJobHandler, runDueJobs, cancelPendingJobs, getSessionsWithOpenJobs } from '../src/services/scheduler.js';
+
+let db;
+
+afterEach(() => db?.restore());
+
+/**
+ * Fake scheduled_jobs table holding one due job; claims and updates are answered from it
+ */
+const withDueJob = (job) => fakeSupabase((call) => {
+  if (call.table !== 'scheduled_jobs') return {};
+  if (call.action === 'select') return { data: [job] };
+  if (call.action === 'update' && call.payload.status === 'running') {
+    return { data: { ...job, ...call.payload } };
+  }
+  return {};
+});
+
+const finalUpdate = (calls) => calls.filter((call) => call.action === 'update' && call.payload.status !== 'running').at(-1);
+
+describe('runDueJobs', () => {
+  it('claims a due job, runs its handler and marks it completed', async () => {
+    const ran = [];
+    registerJobHandler('test_ok', async (job) => ran.push(job.id));
+    db = withDueJob({ id: 'job-1', job_type: 'test_ok', attempts: 0, status: 'pending' });
+
+    await runDueJobs();
+
+    assert.deepEqual(ran, ['job-1']);
+    const claim = db.calls.find((call) => call.action === 'update' && call.payload.status === 'running');
+    assert.equal(claim.payload.attempts, 1);
+    assert.equal(filterValue(claim, 'status'), 'pending');
+    assert.equal(finalUpdate(db.calls).payload.status, 'completed');
+  });
+
+  it('puts a failed job back in the queue until it runs out of attempts', async () => {
+    registerJobHandler('test_fail', async () => {
+      throw new Error('boom');
+    });
+
+    db = withDueJob({ id: 'job-2', job_type: 'test_fail', attempts: 0, status: 'pending' });
+    await runDueJobs();
+    const retry = finalUpdate(db.calls).payload;
+    assert.equal(retry.status, 'pending');
+    assert.equal(retry.last_error, 'boom');
+    assert.ok(new Date(retry.run_at) > new Date());
+    db.restore();
+
+    db = withDueJob({ id: 'job-3', job_type: 'test_fail', attempts: 2, status: 'pending' });
+    await runDueJobs();
+    assert.equal(finalUpdate(db.calls).payload.status, 'failed');
+  });
+
+  it('fails jobs nobody handles', async () => {
+    db = withDueJob({ id: 'job-4', job_type: 'test_unknown', attempts: 0, status: 'pending' });
+    await runDueJobs();
+
+    const update = finalUpdate(db.calls).payload;
+    assert.equal(update.status, 'failed');
+    assert.equal(update.last_error, 'No handler for test_unknown');
+  });
+
+  it('skips a job another poller claimed first', async () => {
+    const ran = [];
+    registerJobHandler('test_taken', async () => ran.push(true));
+    db = fakeSupabase((call) => (call.action === 'select' ? { data: [{ id: 'job-5', job_type: 'test_taken', attempts: 0 }] } : {}));
+
+    await runDueJobs();
+
+    assert.deepEqual(ran, []);
+  });
+});
+
+describe('cancelPendingJobs', () => {
+  it('cancels pending jobs matching the given filters', async () => {
+    db = fakeSupabase(() => ({ data: [{ id: 'a' }, { id: 'b' }] }));
+
+    assert.equal(await cancelPendingJobs({ sessionId: 's1', jobType: 'resume_flow' }), 2);
+
+    const [call] = db.calls;
+    assert.equal(call.payload.status, 'cancelled');
+    assert.equal(filterValue(call, 'status'), 'pending');
+    assert.equal(filterValue(call, 'session_id'), 's1');
+    assert.equal(filterValue(call, 'job_type'), 'resume_flow');
+    assert.equal(filterValue(call, 'phone_number'), undefined);
+  });
+});
+
+describe('getSessionsWithOpenJobs', () => {
+  it('returns the sessions that still have a pending or running job', async () => {
+    db = fakeSupabase(() => ({ data: [{ session_id: 's1' }, { session_id: 's1' }] }));
+
+    assert.deepEqual(await getSessionsWithOpenJobs(['s1', 's2']), new Set(['s1']));
+    assert.deepEqual(filterValue(db.calls[0], 'status', 'in'), ['pending', 'running']);
+  });
+
+  it('does not query for an empty list', async () => {
+    db = fakeSupabase();
+
+    assert.deepEqual(await getSessionsWithOpenJobs([]), new Set());
+    assert.equal(db.calls.length, 0);
+  });
+});
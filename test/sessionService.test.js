@@ -0,0 +1,34 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase } from './helpers/fakeSupabase.js';
+import { startSession } from '../src/services/sessionService.js';
+
+describe('startSession', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('pins the new session to the published version', async () => {
+    db = fakeSupabase((call) => {
+      if (call.table === 'flows') return { data: { published_version_id: 'version-2' } };
+      if (call.table === 'contact_sessions' && call.action === 'insert') return { data: { id: 'session-1', ...call.payload } };
+      if (call.table === 'contact_sessions') return { data: [] };
+      return {};
+    });
+
+    const session = await startSession('15550001', 'flow-1');
+
+    assert.equal(session.flow_version_id, 'version-2');
+  });
+
+  it('refuses a flow that was never published without ending the current session', async () => {
+    db = fakeSupabase((call) => {
+      if (call.table === 'flows') return { data: { published_version_id: null } };
+      return {};
+    });
+
+    await assert.rejects(startSession('15550001', 'flow-1'), /has not been published/);
+    assert.ok(!db.calls.some((call) => call.table === 'contact_sessions' || call.table === 'scheduled_jobs'));
+  });
+});
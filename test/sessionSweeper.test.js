@@ -0,0 +1,129 @@
+import './setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { sweepInactiveSessions } from '../src/services/sessionSweeper.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const session = (id, status, idleHours) => ({
+  id,
+  status,
+  phone_number: `phone-${id}`,
+  flow_id: 'flow-1',
+  current_node_id: `node-${id}`,
+  version: 1,
+  last_interaction_at: new Date(Date.now() - idleHours * HOUR_MS).toISOString(),
+});
+
+/**
+ * Fake database holding the given sessions, with delay jobs still open for jobSessionIds
+ */
+const withSessions = (sessions, jobSessionIds = []) => {
+  const rows = new Map(sessions.map((row) => [row.id, row]));
+
+  return fakeSupabase((call) => {
+    if (call.table === 'contact_sessions' && call.action === 'select') {
+      if (call.single) return { data: rows.get(filterValue(call, 'id')) || null };
+
+      const idleBefore = new Date(filterValue(call, 'last_interaction_at', 'lt'));
+      return {
+        data: [...rows.values()].filter((row) => (
+          row.status === filterValue(call, 'status') && new Date(row.last_interaction_at) < idleBefore
+        )),
+      };
+    }
+    if (call.table === 'contact_sessions' && call.action === 'update') {
+      const row = rows.get(filterValue(call, 'id'));
+      const updated = { ...row, ...call.payload };
+      rows.set(row.id, updated);
+      return { data: updated };
+    }
+    if (call.table === 'scheduled_jobs' && call.action === 'select') {
+      return { data: jobSessionIds.map((id) => ({ session_id: id })) };
+    }
+    return { data: [] };
+  });
+};
+
+const sessionUpdate = (calls, id) => calls.find((call) => (
+  call.table === 'contact_sessions' && call.action === 'update' && filterValue(call, 'id') === id
+));
+
+const dropOffs = (calls) => calls
+  .filter((call) => call.table === 'flow_node_events' && call.action === 'insert')
+  .flatMap((call) => call.payload)
+  .filter((event) => event.event_type === 'drop_off');
+
+describe('sweepInactiveSessions', () => {
+  let db;
+
+  afterEach(() => db?.restore());
+
+  it('expires active sessions past the timeout and records the drop-off', async () => {
+    db = withSessions([session('idle', 'active', 25), session('recent', 'active', 2)]);
+
+    await sweepInactiveSessions();
+
+    const update = sessionUpdate(db.calls, 'idle');
+    assert.equal(update.payload.status, 'expired');
+    assert.equal(update.payload.end_reason, 'inactivity');
+    assert.equal(update.payload.dropped_off_node_id, 'node-idle');
+    assert.equal(sessionUpdate(db.calls, 'recent'), undefined);
+    assert.deepEqual(dropOffs(db.calls).map((event) => event.node_id), ['node-idle']);
+  });
+
+  it('expires paused sessions whose resume job is gone', async () => {
+    db = withSessions([session('lost', 'paused', 1), session('waiting', 'paused', 1), session('fresh', 'paused', 0.1)], ['waiting']);
+
+    await sweepInactiveSessions();
+
+    assert.equal(sessionUpdate(db.calls, 'lost').payload.end_reason, 'resume_lost');
+    assert.equal(sessionUpdate(db.calls, 'waiting'), undefined);
+    assert.equal(sessionUpdate(db.calls, 'fresh'), undefined);
+    assert.deepEqual(dropOffs(db.calls).map((event) => event.node_id), ['node-lost']);
+  });
+
+  it('expires unanswered handoffs and closes their queue entry', async () => {
+    db = withSessions([session('stale', 'handoff', 80), session('busy', 'handoff', 10)]);
+
+    await sweepInactiveSessions();
+
+    assert.equal(sessionUpdate(db.calls, 'stale').payload.end_reason, 'handoff_timeout');
+    assert.equal(sessionUpdate(db.calls, 'busy'), undefined);
+    assert.deepEqual(dropOffs(db.calls).map((event) => event.node_id), ['node-stale']);
+
+    const closed = db.calls.filter((call) => (
+      call.table === 'agent_queue' && call.action === 'update' && filterValue(call, 'phone_number')
+    ));
+    assert.equal(closed.length, 1);
+    assert.equal(filterValue(closed[0], 'phone_number'), 'phone-stale');
+    assert.equal(closed[0].payload.resolution, 'expired');
+  });
+
+  it('closes queue entries without a session once they go quiet', async () => {
+    db = withSessions([]);
+
+    await sweepInactiveSessions();
+
+    const [closed] = db.calls.filter((call) => call.table === 'agent_queue' && call.action === 'update');
+    assert.equal(filterValue(closed, 'session_id', 'is'), null);
+    assert.equal(closed.payload.resolution, 'expired');
+    const idleHours = (Date.now() - new Date(filterValue(closed, 'updated_at', 'lt'))) / HOUR_MS;
+    assert.ok(idleHours > 71 && idleHours < 73);
+  });
+
+  it('leaves a session alone when it changed after the scan', async () => {
+    const scanned = session('moved', 'paused', 1);
+    db = fakeSupabase((call) => {
+      if (call.table !== 'contact_sessions' || call.action !== 'select') return { data: [] };
+      // The contact wrote between the scan and the re-read under the lock
+      if (call.single) return { data: { ...scanned, version: 2 } };
+      return { data: filterValue(call, 'status') === 'paused' ? [scanned] : [] };
+    });
+
+    await sweepInactiveSessions();
+
+    assert.equal(sessionUpdate(db.calls, 'moved'), undefined);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Services build their Supabase client when imported. Unit tests never reach the
+ * database, so any URL and key will do when no .env is present; the same goes for
+ * the key that encrypts stored credentials.
+ */
+
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.CREDENTIALS_ENCRYPTION_KEY ||= 'test-credentials-key';
@@ -0,0 +1,99 @@
+import './setup.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { createSimulation, sendSimulatedMessage, getSimulation } from '../src/services/simulatorService.js';
+
+/**
+ * Draft: ask for an order number, look it up over HTTP, then answer with the status
+ */
+const draftOf = (url) => ({
+  nodes: [
+    { id: 'ask', flow_id: 'flow-1', type: 'input', name: 'Ask', properties: { label: 'Order number?', variableName: 'order' } },
+    {
+      id: 'lookup',
+      flow_id: 'flow-1',
+      type: 'http',
+      name: 'Lookup',
+      properties: { url, method: 'GET', responseMappings: [{ variable: 'status', path: '$.status' }] },
+    },
+    { id: 'reply', flow_id: 'flow-1', type: 'message', name: 'Reply', properties: { label: 'Status: {{status}}' } },
+  ],
+  edges: [
+    { flow_id: 'flow-1', source_node_id: null, source_handle: null, target_node_id: 'ask' },
+    { flow_id: 'flow-1', source_node_id: 'ask', source_handle: null, target_node_id: 'lookup' },
+    { flow_id: 'flow-1', source_node_id: 'lookup', source_handle: null, target_node_id: 'reply' },
+  ],
+});
+
+describe('simulated HTTP nodes', () => {
+  let server;
+  let url;
+  let hits = 0;
+  let db;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ status: 'shipped' }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/orders`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  afterEach(() => db?.restore());
+
+  const startOnDraft = async () => {
+    const draft = draftOf(url);
+    db = fakeSupabase((call) => {
+      if (call.single) return { data: draft[call.table].find((row) => row.id === filterValue(call, 'id')) || null };
+      return { data: draft[call.table] || null };
+    });
+    const started = await createSimulation('flow-1');
+    return getSimulation(started.simulationId);
+  };
+
+  it('does not make the real request without a mock', async () => {
+    const session = await startOnDraft();
+    hits = 0;
+
+    const step = await sendSimulatedMessage(session, { text: 'A-1' });
+
+    assert.equal(hits, 0);
+    assert.deepEqual(step.httpRequests.map(({ outcome, mocked, live }) => ({ outcome, mocked, live })), [
+      { outcome: 'not_mocked', mocked: false, live: false },
+    ]);
+    assert.equal(step.variables.status, null);
+    assert.deepEqual(step.path.map((node) => node.nodeId), ['lookup', 'reply']);
+  });
+
+  it('uses the mock for the node', async () => {
+    const session = await startOnDraft();
+    hits = 0;
+
+    const step = await sendSimulatedMessage(session, { text: 'A-1' }, { httpMocks: { lookup: { status: 200, data: { status: 'packed' } } } });
+
+    assert.equal(hits, 0);
+    assert.equal(step.httpRequests[0].outcome, 'success');
+    assert.equal(step.messages.at(-1).payload.text.body, 'Status: packed');
+  });
+
+  it('makes the real request only for a step that opts in', async () => {
+    const session = await startOnDraft();
+    hits = 0;
+
+    const step = await sendSimulatedMessage(session, { text: 'A-1' }, { liveHttp: true });
+
+    assert.equal(hits, 1);
+    assert.equal(step.httpRequests[0].live, true);
+    assert.equal(step.messages.at(-1).payload.text.body, 'Status: shipped');
+    assert.equal(session.simulation.liveHttp, true);
+
+    await sendSimulatedMessage(session, { text: 'hello' });
+    assert.equal(session.simulation.liveHttp, false);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimeZone, addDuration, getNextTimeInZone } from '../src/utils/time.js';
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones and rejects anything else', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(''), false);
+  });
+});
+
+describe('addDuration', () => {
+  it('adds each unit', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+    assert.equal(addDuration(start, 30, 'seconds').toISOString(), '2024-01-01T00:00:30.000Z');
+    assert.equal(addDuration(start, 5).toISOString(), '2024-01-01T00:05:00.000Z');
+    assert.equal(addDuration(start, '2', 'hours').toISOString(), '2024-01-01T02:00:00.000Z');
+    assert.equal(addDuration(start, 1, 'days').toISOString(), '2024-01-02T00:00:00.000Z');
+  });
+
+  it('throws on an unknown unit', () => {
+    assert.throws(() => addDuration(new Date(), 1, 'weeks'), /Unknown duration unit/);
+  });
+});
+
+describe('getNextTimeInZone', () => {
+  const now = new Date('2024-06-10T10:00:00Z');
+
+  it('returns today when the time is still ahead, otherwise tomorrow', () => {
+    assert.equal(getNextTimeInZone('12:30', 0, 'UTC', now).toISOString(), '2024-06-10T12:30:00.000Z');
+    assert.equal(getNextTimeInZone('09:00', 0, 'UTC', now).toISOString(), '2024-06-11T09:00:00.000Z');
+  });
+
+  it('applies the day offset', () => {
+    assert.equal(getNextTimeInZone('09:00', 2, 'UTC', now).toISOString(), '2024-06-12T09:00:00.000Z');
+  });
+
+  it('resolves wall-clock time in the zone, across DST changes', () => {
+    // Berlin is UTC+2 in June and UTC+1 after the October change
+    assert.equal(getNextTimeInZone('09:00', 1, 'Europe/Berlin', now).toISOString(), '2024-06-11T07:00:00.000Z');
+    const beforeChange = new Date('2024-10-26T12:00:00Z');
+    assert.equal(getNextTimeInZone('09:00', 1, 'Europe/Berlin', beforeChange).toISOString(), '2024-10-27T08:00:00.000Z');
+  });
+
+  it('throws on an invalid time', () => {
+    assert.throws(() => getNextTimeInZone('25:00', 0, 'UTC', now), /Invalid time of day/);
+    assert.throws(() => getNextTimeInZone('nine', 0, 'UTC', now), /Invalid time of day/);
+  });
+});
@@ -0,0 +1,109 @@
+import './setup.js';
+import { describe, it, afterEach, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeSupabase, filterValue } from './helpers/fakeSupabase.js';
+import { matchesTrigger, findTriggeredFlow, clearTriggerCache } from '../src/services/triggerRouter.js';
+
+const flow = (overrides) => ({
+  id: 'flow',
+  trigger_type: 'keyword',
+  trigger_match_type: 'contains_word',
+  trigger_case_sensitive: false,
+  trigger_priority: 0,
+  created_at: '2024-01-01T00:00:00Z',
+  ...overrides,
+});
+
+describe('matchesTrigger', () => {
+  it('matches whole words for contains_word', () => {
+    const hi = flow({ trigger_value: 'hi, hello' });
+    assert.equal(matchesTrigger('Hi there', hi), true);
+    assert.equal(matchesTrigger('well, hello!', hi), true);
+    assert.equal(matchesTrigger('this is shipping', hi), false);
+  });
+
+  it('supports exact and starts_with', () => {
+    assert.equal(matchesTrigger('  Menu ', flow({ trigger_match_type: 'exact', trigger_value: 'menu' })), true);
+    assert.equal(matchesTrigger('menu please', flow({ trigger_match_type: 'exact', trigger_value: 'menu' })), false);
+    assert.equal(matchesTrigger('order 123', flow({ trigger_match_type: 'starts_with', trigger_value: 'order' })), true);
+    assert.equal(matchesTrigger('my order', flow({ trigger_match_type: 'starts_with', trigger_value: 'order' })), false);
+  });
+
+  it('respects case sensitivity', () => {
+    const sale = flow({ trigger_match_type: 'exact', trigger_value: 'SALE', trigger_case_sensitive: true });
+    assert.equal(matchesTrigger('SALE', sale), true);
+    assert.equal(matchesTrigger('sale', sale), false);
+  });
+
+  it('treats regex rules as one pattern and ignores invalid ones', () => {
+    const ticket = flow({ trigger_match_type: 'regex', trigger_value: '^ticket\\s+#?\\d+$' });
+    assert.equal(matchesTrigger('Ticket #42', ticket), true);
+    assert.equal(matchesTrigger('ticket abc', ticket), false);
+    assert.equal(matchesTrigger('anything', flow({ trigger_match_type: 'regex', trigger_value: '(' })), false);
+  });
+
+  it('never matches empty text or an empty rule', () => {
+    assert.equal(matchesTrigger('', flow({ trigger_value: 'hi' })), false);
+    assert.equal(matchesTrigger('hi', flow({ trigger_value: ' , ' })), false);
+  });
+});
+
+describe('findTriggeredFlow', () => {
+  let db;
+
+  beforeEach(() => clearTriggerCache());
+  afterEach(() => db?.restore());
+
+  const withFlows = (flows) => fakeSupabase((call) => (
+    call.single ? { data: flows.find((item) => item.id === filterValue(call, 'id')) || null } : { data: flows }
+  ));
+
+  it('prefers the higher trigger_priority', async () => {
+    db = withFlows([
+      flow({ id: 'exact', trigger_match_type: 'exact', trigger_value: 'help' }),
+      flow({ id: 'urgent', trigger_value: 'help', trigger_priority: 5 }),
+    ]);
+
+    assert.equal((await findTriggeredFlow('help')).id, 'urgent');
+  });
+
+  it('breaks priority ties by match specificity, then by age', async () => {
+    db = withFlows([
+      flow({ id: 'newer-word', trigger_value: 'help', created_at: '2024-02-01T00:00:00Z' }),
+      flow({ id: 'older-word', trigger_value: 'help' }),
+      flow({ id: 'prefix', trigger_match_type: 'starts_with', trigger_value: 'help', created_at: '2024-03-01T00:00:00Z' }),
+    ]);
+    assert.equal((await findTriggeredFlow('help me')).id, 'prefix');
+
+    clearTriggerCache();
+    db.restore();
+    db = withFlows([
+      flow({ id: 'newer-word', trigger_value: 'help', created_at: '2024-02-01T00:00:00Z' }),
+      flow({ id: 'older-word', trigger_value: 'help' }),
+    ]);
+    assert.equal((await findTriggeredFlow('I need help')).id, 'older-word');
+  });
+
+  it('returns null when nothing matches', async () => {
+    db = withFlows([flow({ trigger_value: 'help' })]);
+
+    assert.equal(await findTriggeredFlow('hello'), null);
+  });
+
+  it('only checks the given flow when flowId is set', async () => {
+    db = withFlows([flow({ id: 'pinned', trigger_value: 'pay' })]);
+
+    assert.equal((await findTriggeredFlow('pay now', { flowId: 'pinned' })).id, 'pinned');
+    assert.equal(await findTriggeredFlow('help', { flowId: 'pinned' }), null);
+    assert.equal(filterValue(db.calls[0], 'id'), 'pinned');
+  });
+
+  it('only loads active keyword flows', async () => {
+    db = withFlows([]);
+
+    await findTriggeredFlow('hi');
+
+    assert.equal(filterValue(db.calls[0], 'is_active'), true);
+    assert.equal(filterValue(db.calls[0], 'trigger_type'), 'keyword');
+  });
+});
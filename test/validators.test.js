@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDate, validateInput, validateInboundInput } from '../src/utils/validators.js';
+
+describe('parseDate', () => {
+  it('parses a date in the given format into YYYY-MM-DD', () => {
+    assert.equal(parseDate('2024-02-29'), '2024-02-29');
+    assert.equal(parseDate('05/03/2024', 'DD/MM/YYYY'), '2024-03-05');
+    assert.equal(parseDate('3.5.2024', 'MM.DD.YYYY'), '2024-03-05');
+  });
+
+  it('rejects impossible dates and other formats', () => {
+    assert.equal(parseDate('2023-02-29'), null);
+    assert.equal(parseDate('31/04/2024', 'DD/MM/YYYY'), null);
+    assert.equal(parseDate('2024-03-05', 'DD/MM/YYYY'), null);
+  });
+});
+
+describe('validateInput', () => {
+  it('rejects an empty answer', () => {
+    assert.deepEqual(validateInput('   '), { valid: false, value: null, error: 'Please enter a value.' });
+  });
+
+  it('applies text length limits', () => {
+    assert.equal(validateInput('ab', { minLength: 3 }).valid, false);
+    assert.equal(validateInput('abcdef', { maxLength: 5 }).valid, false);
+    assert.deepEqual(validateInput(' Ana ', {}), { valid: true, value: 'Ana', error: null });
+  });
+
+  it('normalizes emails and phone numbers', () => {
+    assert.equal(validateInput('Ana@Example.COM', { inputType: 'email' }).value, 'ana@example.com');
+    assert.equal(validateInput('ana@example', { inputType: 'email' }).valid, false);
+    assert.equal(validateInput('+44 (20) 7946-0958', { inputType: 'phone' }).value, '+442079460958');
+    assert.equal(validateInput('12', { inputType: 'phone' }).valid, false);
+  });
+
+  it('parses numbers and checks their range', () => {
+    assert.equal(validateInput('1,250', { inputType: 'number' }).value, 1250);
+    assert.equal(validateInput('lots', { inputType: 'number' }).valid, false);
+    assert.equal(validateInput('0', { inputType: 'number', minValue: 1 }).error, 'Please enter a number of at least 1.');
+    assert.equal(validateInput('11', { inputType: 'number', maxValue: '10' }).error, 'Please enter a number no greater than 10.');
+    assert.equal(validateInput('5', { inputType: 'number', minValue: '', maxValue: '' }).value, 5);
+  });
+
+  it('validates dates in the configured format', () => {
+    assert.equal(validateInput('24/12/2024', { inputType: 'date', dateFormat: 'DD/MM/YYYY' }).value, '2024-12-24');
+    assert.equal(validateInput('2024-12-24', { inputType: 'date', dateFormat: 'DD/MM/YYYY' }).error, 'Please enter a date as DD/MM/YYYY.');
+  });
+
+  it('matches regex answers and lets everything through when the pattern is broken', () => {
+    assert.equal(validateInput('AB-123', { inputType: 'regex', pattern: '^[a-z]{2}-\\d+$' }).valid, true);
+    assert.equal(validateInput('AB-123', { inputType: 'regex', pattern: '^[a-z]{2}-\\d+$', caseSensitive: true }).valid, false);
+    assert.equal(validateInput('anything', { inputType: 'regex', pattern: '(' }).valid, true);
+  });
+
+  it('returns the configured spelling of a choice', () => {
+    assert.equal(validateInput('large', { inputType: 'choice', choices: 'Small, Large' }).value, 'Large');
+    assert.equal(validateInput('huge', { inputType: 'choice', choices: ['Small', 'Large'] }).error, 'Please reply with one of: Small, Large.');
+    assert.equal(validateInput('large', { inputType: 'choice', choices: 'Small, Large', caseSensitive: true }).valid, false);
+  });
+});
+
+describe('validateInboundInput', () => {
+  const location = { type: 'location', payload: { latitude: 1, longitude: 2 } };
+  const image = { type: 'image', text: 'receipt', payload: { id: 'media-1' } };
+
+  it('stores the payload of location and media answers', () => {
+    assert.deepEqual(validateInboundInput(location, { inputType: 'location' }).value, { type: 'location', latitude: 1, longitude: 2 });
+    assert.deepEqual(validateInboundInput(image, { inputType: 'media' }).value, { type: 'image', id: 'media-1' });
+  });
+
+  it('asks for the expected message type', () => {
+    assert.equal(validateInboundInput(image, { inputType: 'location' }).error, 'Please share a location.');
+    assert.equal(validateInboundInput({ type: 'text', text: 'hi' }, { inputType: 'document' }).error, 'Please send a document.');
+  });
+
+  it('requires text for text-based input types', () => {
+    assert.equal(validateInboundInput(image, { inputType: 'text' }).error, 'Please reply with a text message.');
+    assert.equal(validateInboundInput({ type: 'text', text: '42' }, { inputType: 'number' }).value, 42);
+  });
+});